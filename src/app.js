@@ -15,6 +15,10 @@ const runRoutes = require('./routes/run.routes');
 const statsRoutes = require('./routes/stats.routes');
 const userRoutes = require('./routes/user.routes');
 const aiRoutes = require('./routes/ai.routes');
+const territoryRoutes = require('./routes/territory.routes');
+const mapRoutes = require('./routes/map.routes');
+const liveRoutes = require('./routes/live.routes');
+const cronRoutes = require('./routes/cron.routes');
 
 const app = express();
 
@@ -82,6 +86,10 @@ app.use('/api/v1/runs', runRoutes);
 app.use('/api/v1/stats', statsRoutes);
 app.use('/api/v1/users', userRoutes);
 app.use('/api/v1/ai', aiRoutes);
+app.use('/api/v1/territory', territoryRoutes);
+app.use('/api/v1/map', mapRoutes);
+app.use('/api/v1/live', liveRoutes);
+app.use('/api/v1/cron', cronRoutes);
 
 // API documentation route
 app.get('/api/v1', (req, res) => {
@@ -97,11 +105,16 @@ app.get('/api/v1', (req, res) => {
       },
       runs: {
         create: 'POST /api/v1/runs',
+        importGpx: 'POST /api/v1/runs/import/gpx',
         getAll: 'GET /api/v1/runs',
         getById: 'GET /api/v1/runs/:id',
         recent: 'GET /api/v1/runs/recent',
         dateRange: 'GET /api/v1/runs/date-range',
         locationPoints: 'GET /api/v1/runs/:id/location-points',
+        splits: 'GET /api/v1/runs/:id/splits?unit=km|mi',
+        export: 'GET /api/v1/runs/:id/export?format=gpx|tcx|geojson',
+        leaderboardPosition: 'GET /api/v1/runs/leaderboard/me?type=area|distance',
+        rankHistory: 'GET /api/v1/runs/leaderboard/me/history?type=area|distance&period=all_time|week|month|year',
         update: 'PATCH /api/v1/runs/:id',
         delete: 'DELETE /api/v1/runs/:id',
       },
@@ -111,6 +124,9 @@ app.get('/api/v1', (req, res) => {
         weekly: 'GET /api/v1/stats/weekly',
         monthly: 'GET /api/v1/stats/monthly',
         yearly: 'GET /api/v1/stats/yearly',
+        records: 'GET /api/v1/stats/records',
+        trainingLoad: 'GET /api/v1/stats/training-load',
+        predictions: 'GET /api/v1/stats/predictions',
         refresh: 'POST /api/v1/stats/refresh',
       },
       users: {
@@ -118,9 +134,32 @@ app.get('/api/v1', (req, res) => {
         updateProfile: 'PATCH /api/v1/users/profile',
         stats: 'GET /api/v1/users/stats',
         activity: 'GET /api/v1/users/activity',
+        following: 'GET /api/v1/users/following',
+        followers: 'GET /api/v1/users/followers',
+        removeFollower: 'DELETE /api/v1/users/followers/:userId',
+        followRequests: 'GET /api/v1/users/follow-requests',
+        sentFollowRequests: 'GET /api/v1/users/follow-requests/sent',
+        acceptFollowRequest: 'POST /api/v1/users/follow-requests/:userId/accept',
+        follow: 'POST /api/v1/users/:userId/follow',
+        unfollow: 'DELETE /api/v1/users/:userId/follow',
         clearData: 'DELETE /api/v1/users/data',
         deleteAccount: 'DELETE /api/v1/users/account',
       },
+      territory: {
+        tiles: 'GET /api/v1/territory/tiles?minLat=&minLng=&maxLat=&maxLng=',
+        mine: 'GET /api/v1/territory/me',
+        stolen: 'GET /api/v1/territory/stolen',
+        leaderboard: 'GET /api/v1/territory/leaderboard',
+      },
+      map: {
+        tiles: 'GET /api/v1/map/tiles/:z/:x/:y.mvt',
+        heatmap: 'GET /api/v1/map/heatmap?minLat=&minLng=&maxLat=&maxLng=&zoom=&format=json|png',
+      },
+      live: {
+        updatePosition: 'PUT /api/v1/live/position',
+        endSession: 'DELETE /api/v1/live/session',
+        runners: 'GET /api/v1/live/runners?minLat=&minLng=&maxLat=&maxLng=',
+      },
       ai: {
         analyzeRun: 'POST /api/v1/ai/analyze-run/:runId',
         analyzeRunData: 'POST /api/v1/ai/analyze-run',
@@ -7,6 +7,7 @@ const geminiService = require('../services/geminiService');
 const voiceAgentService = require('../services/voiceAgentService');
 const runService = require('../services/runService');
 const statsService = require('../services/statsService');
+const predictionService = require('../services/predictionService');
 const ApiResponse = require('../utils/ApiResponse');
 const ApiError = require('../utils/ApiError');
 const { asyncHandler } = require('../utils/helpers');
@@ -26,8 +27,11 @@ class AIHealthController {
       throw ApiError.notFound('Run not found');
     }
 
+    // Ground the coach's advice in the runner's current fitness
+    const predictions = await predictionService.getPredictions(req.userId);
+
     // Analyze the run using Gemini
-    const analysis = await geminiService.analyzeRun(run);
+    const analysis = await geminiService.analyzeRun(run, { predictions });
 
     const response = ApiResponse.success('Run analysis completed', {
       runId: run.id,
@@ -52,8 +56,10 @@ class AIHealthController {
       throw ApiError.badRequest('Run data with distance and duration is required');
     }
 
+    const predictions = await predictionService.getPredictions(req.userId);
+
     // Analyze the run using Gemini
-    const analysis = await geminiService.analyzeRun(runData);
+    const analysis = await geminiService.analyzeRun(runData, { predictions });
 
     const response = ApiResponse.success('Run analysis completed', {
       analysis: analysis.analysis,
@@ -0,0 +1,18 @@
+const leaderboardService = require('../services/leaderboardService');
+const ApiResponse = require('../utils/ApiResponse');
+const { asyncHandler } = require('../utils/helpers');
+
+class CronController {
+  /**
+   * Rebuild the current leaderboard snapshots
+   * GET /api/v1/cron/leaderboards
+   */
+  rebuildLeaderboards = asyncHandler(async (req, res) => {
+    const result = await leaderboardService.rebuildCurrentBoards();
+
+    const response = ApiResponse.success('Leaderboards rebuilt', result);
+    res.status(response.statusCode).json(response.toJSON());
+  });
+}
+
+module.exports = new CronController();
@@ -0,0 +1,49 @@
+const liveService = require('../services/liveService');
+const ApiResponse = require('../utils/ApiResponse');
+const { asyncHandler } = require('../utils/helpers');
+
+class LiveController {
+  /**
+   * Report the current position of a run in progress
+   * PUT /api/v1/live/position
+   */
+  updatePosition = asyncHandler(async (req, res) => {
+    const session = await liveService.updatePosition(req.userId, req.body);
+
+    const response = ApiResponse.success('Live position updated', session);
+    res.status(response.statusCode).json(response.toJSON());
+  });
+
+  /**
+   * End the current user's live session
+   * DELETE /api/v1/live/session
+   */
+  endSession = asyncHandler(async (req, res) => {
+    const ended = await liveService.endSession(req.userId);
+
+    const response = ApiResponse.success('Live session ended', { ended });
+    res.status(response.statusCode).json(response.toJSON());
+  });
+
+  /**
+   * Get runs in progress inside a map bounding box
+   * GET /api/v1/live/runners?minLat=&minLng=&maxLat=&maxLng=
+   */
+  getRunners = asyncHandler(async (req, res) => {
+    const { minLat, minLng, maxLat, maxLng } = req.query;
+
+    const result = await liveService.getActiveRunners(req.userId, {
+      boundingBox: {
+        minLat: parseFloat(minLat),
+        minLng: parseFloat(minLng),
+        maxLat: parseFloat(maxLat),
+        maxLng: parseFloat(maxLng),
+      },
+    });
+
+    const response = ApiResponse.success('Live runners fetched successfully', result);
+    res.status(response.statusCode).json(response.toJSON());
+  });
+}
+
+module.exports = new LiveController();
@@ -0,0 +1,61 @@
+const mapTileService = require('../services/mapTileService');
+const heatmapService = require('../services/heatmapService');
+const ApiResponse = require('../utils/ApiResponse');
+const { asyncHandler } = require('../utils/helpers');
+const { MAP_TILES, HEATMAP_FORMATS } = require('../utils/constants');
+
+class MapController {
+  /**
+   * Get a community map vector tile
+   * GET /api/v1/map/tiles/:z/:x/:y.mvt
+   */
+  getTile = asyncHandler(async (req, res) => {
+    const { z, x, y } = req.params;
+
+    const tile = await mapTileService.getTile(z, x, y);
+
+    res.set('Cache-Control', `private, max-age=${MAP_TILES.CACHE_TTL}`);
+
+    // Map clients treat 204 as an empty tile
+    if (tile.length === 0) {
+      return res.status(204).end();
+    }
+
+    res.set('Content-Type', 'application/vnd.mapbox-vector-tile');
+    res.status(200).send(tile);
+  });
+
+  /**
+   * Get route point density for a bounding box as JSON cells or a PNG overlay
+   * GET /api/v1/map/heatmap?minLat=&minLng=&maxLat=&maxLng=&zoom=&format=json|png
+   */
+  getHeatmap = asyncHandler(async (req, res) => {
+    const { minLat, minLng, maxLat, maxLng, zoom, since, until, activityType } = req.query;
+
+    const density = await heatmapService.getDensity({
+      minLat,
+      minLng,
+      maxLat,
+      maxLng,
+      zoom,
+      since,
+      until,
+      activityType,
+    });
+
+    if (req.query.format === HEATMAP_FORMATS.PNG) {
+      const image = heatmapService.renderPng(density);
+
+      res.set('Content-Type', 'image/png');
+      res.set('X-Heatmap-Max-Count', String(density.maxCount));
+      return res.status(200).send(image);
+    }
+
+    const { grid, ...heatmap } = density;
+
+    const response = ApiResponse.success('Heatmap fetched successfully', heatmap);
+    res.status(response.statusCode).json(response.toJSON());
+  });
+}
+
+module.exports = new MapController();
@@ -1,8 +1,86 @@
 const runService = require('../services/runService');
+const leaderboardService = require('../services/leaderboardService');
 const ApiResponse = require('../utils/ApiResponse');
 const ApiError = require('../utils/ApiError');
-const { asyncHandler } = require('../utils/helpers');
-const { MESSAGES } = require('../utils/constants');
+const { asyncHandler, parseIntegerRanges } = require('../utils/helpers');
+const { MESSAGES, EXPORT_FORMATS, SPLIT_UNITS, COMMUNITY_MAP, LEADERBOARD_TYPES } = require('../utils/constants');
+
+/**
+ * Read route simplification/encoding options from the query string
+ * @param {Object} query - Express req.query
+ * @returns {Object|null} { zoom, tolerance, encoding } or null if none were given
+ */
+const parseRouteOptions = (query) => {
+  const { zoom, tolerance, encoding } = query;
+  if (zoom === undefined && tolerance === undefined && encoding === undefined) {
+    return null;
+  }
+
+  return {
+    zoom: zoom !== undefined ? parseInt(zoom) : undefined,
+    tolerance: tolerance !== undefined ? parseFloat(tolerance) : undefined,
+    encoding,
+  };
+};
+
+/**
+ * Read a bounding box from the query string
+ * @param {Object} query - Express req.query
+ * @returns {Object|null} { minLat, maxLat, minLng, maxLng } or null unless all four were given
+ */
+const parseBoundingBox = (query) => {
+  const { minLat, maxLat, minLng, maxLng } = query;
+  if (!minLat || !maxLat || !minLng || !maxLng) {
+    return null;
+  }
+
+  return {
+    minLat: parseFloat(minLat),
+    maxLat: parseFloat(maxLat),
+    minLng: parseFloat(minLng),
+    maxLng: parseFloat(maxLng),
+  };
+};
+
+/**
+ * Read leaderboard filters from the request
+ * @param {Object} req - Express request
+ * @returns {Object} { viewerId, activityType, period, since, until, boundingBox, city, home }
+ */
+const parseLeaderboardOptions = (req) => {
+  const { activityType, period, since, until, city, home } = req.query;
+
+  return {
+    viewerId: req.userId,
+    activityType,
+    period,
+    since,
+    until,
+    boundingBox: parseBoundingBox(req.query),
+    city,
+    home: home === 'true',
+  };
+};
+
+/**
+ * Read community map time filters from the query string
+ * @param {Object} query - Express req.query
+ * @returns {Object|null} { since, until, daysOfWeek, hours, timezone } or null if none were given
+ */
+const parseTimeWindow = (query) => {
+  const { since, until, daysOfWeek, hours, timezone } = query;
+  if (!since && !until && !daysOfWeek && !hours) {
+    return null;
+  }
+
+  return {
+    since,
+    until,
+    daysOfWeek: daysOfWeek ? parseIntegerRanges(daysOfWeek, 1, 7) : undefined,
+    hours: hours ? parseIntegerRanges(hours, 0, 23) : undefined,
+    timezone: timezone || undefined,
+  };
+};
 
 class RunController {
   /**
@@ -10,9 +88,32 @@ class RunController {
    * POST /api/v1/runs
    */
   createRun = asyncHandler(async (req, res) => {
-    const run = await runService.createRun(req.userId, req.body);
+    const { run, personalRecords, territory } = await runService.createRun(req.userId, req.body);
 
-    const response = ApiResponse.created(MESSAGES.RUN_CREATED, { run });
+    const response = ApiResponse.created(MESSAGES.RUN_CREATED, { run, personalRecords, territory });
+    res.status(response.statusCode).json(response.toJSON());
+  });
+
+  /**
+   * Import a run from a GPX file
+   * POST /api/v1/runs/import/gpx
+   */
+  importGpxRun = asyncHandler(async (req, res) => {
+    const isRawGpx = typeof req.body === 'string';
+    const gpx = isRawGpx ? req.body : req.body.gpx;
+    const { id, area, notes } = isRawGpx ? {} : req.body;
+    // Raw GPX bodies carry the activity type and visibility in the query string
+    const { activityType, visibility } = isRawGpx ? req.query : req.body;
+
+    const { run, personalRecords, territory } = await runService.importGpxRun(req.userId, gpx, {
+      id,
+      activityType,
+      visibility,
+      area,
+      notes,
+    });
+
+    const response = ApiResponse.created(MESSAGES.RUN_CREATED, { run, personalRecords, territory });
     res.status(response.statusCode).json(response.toJSON());
   });
 
@@ -40,10 +141,10 @@ class RunController {
 
   /**
    * Get a specific run by ID
-   * GET /api/v1/runs/:id
+   * GET /api/v1/runs/:id?zoom=&tolerance=&encoding=polyline
    */
   getRunById = asyncHandler(async (req, res) => {
-    const run = await runService.getRunById(req.params.id, req.userId);
+    const run = await runService.getRunById(req.params.id, req.userId, parseRouteOptions(req.query));
 
     const response = ApiResponse.success(MESSAGES.RUN_FETCHED, { run });
     res.status(response.statusCode).json(response.toJSON());
@@ -120,10 +221,12 @@ class RunController {
 
   /**
    * Get location points for a specific run
-   * GET /api/v1/runs/:id/location-points
+   * GET /api/v1/runs/:id/location-points?raw=true
    */
   getRunLocationPoints = asyncHandler(async (req, res) => {
-    const points = await runService.getRunLocationPoints(req.params.id, req.userId);
+    const points = await runService.getRunLocationPoints(req.params.id, req.userId, {
+      raw: req.query.raw === 'true',
+    });
 
     const response = ApiResponse.success('Location points fetched successfully', {
       points,
@@ -134,27 +237,78 @@ class RunController {
   });
 
   /**
-   * Get all community runs for map (all users)
-   * GET /api/v1/runs/community-map
+   * Get per-km or per-mile splits and laps for a run
+   * GET /api/v1/runs/:id/splits?unit=km|mi
+   */
+  getRunSplits = asyncHandler(async (req, res) => {
+    const { unit = SPLIT_UNITS.KM } = req.query;
+
+    const result = await runService.getRunSplits(req.params.id, req.userId, unit);
+
+    const response = ApiResponse.success('Run splits fetched successfully', result);
+    res.status(response.statusCode).json(response.toJSON());
+  });
+
+  /**
+   * Export a run as GPX, TCX or GeoJSON
+   * GET /api/v1/runs/:id/export?format=gpx|tcx|geojson
+   */
+  exportRun = asyncHandler(async (req, res) => {
+    const { format = EXPORT_FORMATS.GPX } = req.query;
+
+    const file = await runService.exportRun(req.params.id, req.userId, format);
+
+    // The filename comes from the client's run ID; attachment() encodes characters a header cannot hold
+    res.attachment(file.filename);
+    res.set('Content-Type', file.contentType);
+    res.status(200).send(file.body);
+  });
+
+  /**
+   * Get all community runs for map (all users), or clusters of them with ?cluster=true
+   * GET /api/v1/runs/community-map?zoom=&tolerance=&encoding=polyline&cluster=true
+   *     &since=&until=&daysOfWeek=1-5&hours=6-9,17-19&timezone=Europe/Berlin
    */
   getCommunityRuns = asyncHandler(async (req, res) => {
-    const { page, limit, minLat, maxLat, minLng, maxLng } = req.query;
-
-    // Parse bounding box if provided
-    let boundingBox = null;
-    if (minLat && maxLat && minLng && maxLng) {
-      boundingBox = {
-        minLat: parseFloat(minLat),
-        maxLat: parseFloat(maxLat),
-        minLng: parseFloat(minLng),
-        maxLng: parseFloat(maxLng),
-      };
+    const { page, limit, polygon, nearLat, nearLng, radius, match } = req.query;
+    const boundingBox = parseBoundingBox(req.query);
+
+    const near = nearLat !== undefined && nearLng !== undefined
+      ? {
+        latitude: parseFloat(nearLat),
+        longitude: parseFloat(nearLng),
+        radius: radius !== undefined ? parseInt(radius) : COMMUNITY_MAP.DEFAULT_NEAR_RADIUS,
+      }
+      : null;
+
+    const timeWindow = parseTimeWindow(req.query);
+
+    // Zoomed-out maps get clusters of route centers instead of individual runs
+    if (req.query.cluster === 'true') {
+      const clusters = await runService.getCommunityClusters({
+        zoom: req.query.zoom,
+        boundingBox,
+        polygon: polygon || null,
+        near,
+        match,
+        timeWindow,
+        viewerId: req.userId,
+      });
+
+      const response = ApiResponse.success('Community clusters fetched successfully', clusters);
+      return res.status(response.statusCode).json(response.toJSON());
     }
 
     const result = await runService.getCommunityRuns({
       page,
       limit,
       boundingBox,
+      polygon: polygon || null,
+      near,
+      match,
+      timeWindow,
+      viewerId: req.userId,
+      routeOptions: parseRouteOptions(req.query) || {},
     });
 
     const response = ApiResponse.withPagination(
@@ -168,14 +322,16 @@ class RunController {
 
   /**
    * Get area leaderboard
-   * GET /api/v1/runs/leaderboard/area
+   * GET /api/v1/runs/leaderboard/area?period=all_time|week|month|year|custom&since=&until=
+   *     &minLat=&minLng=&maxLat=&maxLng= | &city=berlin | &home=true
    */
   getAreaLeaderboard = asyncHandler(async (req, res) => {
     const { page, limit } = req.query;
 
-    const result = await runService.getAreaLeaderboard({
+    const result = await leaderboardService.getLeaderboard(LEADERBOARD_TYPES.AREA, {
       page,
       limit,
+      ...parseLeaderboardOptions(req),
     });
 
     const response = ApiResponse.withPagination(
@@ -189,14 +345,15 @@ class RunController {
 
   /**
    * Get distance leaderboard
-   * GET /api/v1/runs/leaderboard/distance
+   * GET /api/v1/runs/leaderboard/distance (same filters as the area leaderboard)
    */
   getDistanceLeaderboard = asyncHandler(async (req, res) => {
     const { page, limit } = req.query;
 
-    const result = await runService.getDistanceLeaderboard({
+    const result = await leaderboardService.getLeaderboard(LEADERBOARD_TYPES.DISTANCE, {
       page,
       limit,
+      ...parseLeaderboardOptions(req),
     });
 
     const response = ApiResponse.withPagination(
@@ -207,6 +364,40 @@ class RunController {
 
     res.status(response.statusCode).json(response.toJSON());
   });
+
+  /**
+   * Get the caller's leaderboard rank and the users around them
+   * GET /api/v1/runs/leaderboard/me?type=area|distance&neighbors=2 (same filters as the leaderboards)
+   */
+  getLeaderboardPosition = asyncHandler(async (req, res) => {
+    const { type = LEADERBOARD_TYPES.DISTANCE, neighbors } = req.query;
+
+    const position = await leaderboardService.getLeaderboardPosition(type, {
+      neighbors,
+      ...parseLeaderboardOptions(req),
+    });
+
+    const response = ApiResponse.success('Leaderboard position fetched successfully', position);
+    res.status(response.statusCode).json(response.toJSON());
+  });
+
+  /**
+   * Get how the caller's leaderboard rank changed over time
+   * GET /api/v1/runs/leaderboard/me/history?type=area|distance&period=all_time|week|month|year&activityType=&limit=30
+   */
+  getRankHistory = asyncHandler(async (req, res) => {
+    const { type = LEADERBOARD_TYPES.DISTANCE, period, activityType, limit } = req.query;
+
+    const history = await leaderboardService.getRankHistory(type, {
+      viewerId: req.userId,
+      period,
+      activityType,
+      limit,
+    });
+
+    const response = ApiResponse.success('Rank history fetched successfully', history);
+    res.status(response.statusCode).json(response.toJSON());
+  });
 }
 
 module.exports = new RunController();
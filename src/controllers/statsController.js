@@ -1,4 +1,7 @@
 const statsService = require('../services/statsService');
+const personalRecordService = require('../services/personalRecordService');
+const trainingLoadService = require('../services/trainingLoadService');
+const predictionService = require('../services/predictionService');
 const ApiResponse = require('../utils/ApiResponse');
 const { asyncHandler } = require('../utils/helpers');
 const { MESSAGES } = require('../utils/constants');
@@ -9,7 +12,7 @@ class StatsController {
    * GET /api/v1/stats/all-time
    */
   getAllTimeStats = asyncHandler(async (req, res) => {
-    const stats = await statsService.getAllTimeStats(req.userId);
+    const stats = await statsService.getAllTimeStats(req.userId, req.query.activityType);
 
     const response = ApiResponse.success(MESSAGES.STATS_FETCHED, { stats });
     res.status(response.statusCode).json(response.toJSON());
@@ -20,7 +23,7 @@ class StatsController {
    * GET /api/v1/stats/weekly
    */
   getWeeklyStats = asyncHandler(async (req, res) => {
-    const stats = await statsService.getWeeklyStats(req.userId);
+    const stats = await statsService.getWeeklyStats(req.userId, req.query.activityType);
 
     const response = ApiResponse.success(MESSAGES.STATS_FETCHED, { stats });
     res.status(response.statusCode).json(response.toJSON());
@@ -31,7 +34,7 @@ class StatsController {
    * GET /api/v1/stats/monthly
    */
   getMonthlyStats = asyncHandler(async (req, res) => {
-    const stats = await statsService.getMonthlyStats(req.userId);
+    const stats = await statsService.getMonthlyStats(req.userId, req.query.activityType);
 
     const response = ApiResponse.success(MESSAGES.STATS_FETCHED, { stats });
     res.status(response.statusCode).json(response.toJSON());
@@ -42,7 +45,7 @@ class StatsController {
    * GET /api/v1/stats/yearly
    */
   getYearlyStats = asyncHandler(async (req, res) => {
-    const stats = await statsService.getYearlyStats(req.userId);
+    const stats = await statsService.getYearlyStats(req.userId, req.query.activityType);
 
     const response = ApiResponse.success(MESSAGES.STATS_FETCHED, { stats });
     res.status(response.statusCode).json(response.toJSON());
@@ -53,7 +56,7 @@ class StatsController {
    * GET /api/v1/stats/overview
    */
   getStatsOverview = asyncHandler(async (req, res) => {
-    const stats = await statsService.getStatsOverview(req.userId);
+    const stats = await statsService.getStatsOverview(req.userId, req.query.activityType);
 
     const response = ApiResponse.success(MESSAGES.STATS_FETCHED, { stats });
     res.status(response.statusCode).json(response.toJSON());
@@ -70,6 +73,44 @@ class StatsController {
     res.status(response.statusCode).json(response.toJSON());
   });
 
+  /**
+   * Get personal records (best efforts) with history
+   * GET /api/v1/stats/records
+   */
+  getPersonalRecords = asyncHandler(async (req, res) => {
+    const records = await personalRecordService.getUserRecords(req.userId);
+
+    const response = ApiResponse.success('Personal records fetched successfully', {
+      records,
+      count: records.length,
+    });
+    res.status(response.statusCode).json(response.toJSON());
+  });
+
+  /**
+   * Get training load (TRIMP) with acute:chronic workload ratio
+   * GET /api/v1/stats/training-load
+   */
+  getTrainingLoad = asyncHandler(async (req, res) => {
+    const trainingLoad = await trainingLoadService.getTrainingLoad(req.userId, {
+      days: req.query.days,
+    });
+
+    const response = ApiResponse.success('Training load fetched successfully', { trainingLoad });
+    res.status(response.statusCode).json(response.toJSON());
+  });
+
+  /**
+   * Get VDOT estimate and race time predictions from recent best efforts
+   * GET /api/v1/stats/predictions
+   */
+  getPredictions = asyncHandler(async (req, res) => {
+    const predictions = await predictionService.getPredictions(req.userId);
+
+    const response = ApiResponse.success('Race predictions fetched successfully', { predictions });
+    res.status(response.statusCode).json(response.toJSON());
+  });
+
   /**
    * Get stats by period type
    * GET /api/v1/stats/:periodType
@@ -0,0 +1,74 @@
+const territoryService = require('../services/territoryService');
+const ApiResponse = require('../utils/ApiResponse');
+const { asyncHandler } = require('../utils/helpers');
+
+class TerritoryController {
+  /**
+   * Get owned tiles inside a map bounding box
+   * GET /api/v1/territory/tiles?minLat=&minLng=&maxLat=&maxLng=
+   */
+  getTiles = asyncHandler(async (req, res) => {
+    const { minLat, minLng, maxLat, maxLng } = req.query;
+
+    const result = await territoryService.getTilesInBoundingBox({ minLat, minLng, maxLat, maxLng });
+
+    const response = ApiResponse.success('Territory tiles fetched successfully', result);
+    res.status(response.statusCode).json(response.toJSON());
+  });
+
+  /**
+   * Get the tiles the current user owns
+   * GET /api/v1/territory/me
+   */
+  getMyTiles = asyncHandler(async (req, res) => {
+    const { page, limit } = req.query;
+
+    const result = await territoryService.getUserTiles(req.userId, { page, limit });
+
+    const response = ApiResponse.withPagination(
+      'Owned tiles fetched successfully',
+      result.tiles,
+      result.pagination
+    );
+
+    res.status(response.statusCode).json(response.toJSON());
+  });
+
+  /**
+   * Get tiles other users have stolen from the current user
+   * GET /api/v1/territory/stolen
+   */
+  getStolenTiles = asyncHandler(async (req, res) => {
+    const { page, limit } = req.query;
+
+    const result = await territoryService.getStolenEvents(req.userId, { page, limit });
+
+    const response = ApiResponse.withPagination(
+      'Stolen tiles fetched successfully',
+      result.events,
+      result.pagination
+    );
+
+    res.status(response.statusCode).json(response.toJSON());
+  });
+
+  /**
+   * Get the leaderboard by tiles owned
+   * GET /api/v1/territory/leaderboard
+   */
+  getLeaderboard = asyncHandler(async (req, res) => {
+    const { page, limit } = req.query;
+
+    const result = await territoryService.getTerritoryLeaderboard({ page, limit });
+
+    const response = ApiResponse.withPagination(
+      'Territory leaderboard fetched successfully',
+      result.leaderboard,
+      result.pagination
+    );
+
+    res.status(response.statusCode).json(response.toJSON());
+  });
+}
+
+module.exports = new TerritoryController();
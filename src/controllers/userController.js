@@ -1,4 +1,5 @@
 const userService = require('../services/userService');
+const followService = require('../services/followService');
 const ApiResponse = require('../utils/ApiResponse');
 const { asyncHandler } = require('../utils/helpers');
 const { MESSAGES } = require('../utils/constants');
@@ -91,6 +92,103 @@ class UserController {
     const response = ApiResponse.success(result.message);
     res.status(response.statusCode).json(response.toJSON());
   });
+
+  /**
+   * Follow a user (pending until they accept)
+   * POST /api/v1/users/:userId/follow
+   */
+  followUser = asyncHandler(async (req, res) => {
+    const result = await followService.follow(req.userId, req.params.userId);
+
+    const message = result.requested ? 'Follow request sent successfully' : 'User followed successfully';
+    const response = ApiResponse.success(message, result);
+    res.status(response.statusCode).json(response.toJSON());
+  });
+
+  /**
+   * Unfollow a user
+   * DELETE /api/v1/users/:userId/follow
+   */
+  unfollowUser = asyncHandler(async (req, res) => {
+    const result = await followService.unfollow(req.userId, req.params.userId);
+
+    const response = ApiResponse.success('User unfollowed successfully', result);
+    res.status(response.statusCode).json(response.toJSON());
+  });
+
+  /**
+   * Get the users the current user follows
+   * GET /api/v1/users/following
+   */
+  getFollowing = asyncHandler(async (req, res) => {
+    const { page, limit } = req.query;
+
+    const result = await followService.listConnections(req.userId, 'following', { page, limit });
+
+    const response = ApiResponse.withPagination('Following fetched successfully', result.users, result.pagination);
+    res.status(response.statusCode).json(response.toJSON());
+  });
+
+  /**
+   * Get the current user's followers
+   * GET /api/v1/users/followers
+   */
+  getFollowers = asyncHandler(async (req, res) => {
+    const { page, limit } = req.query;
+
+    const result = await followService.listConnections(req.userId, 'followers', { page, limit });
+
+    const response = ApiResponse.withPagination('Followers fetched successfully', result.users, result.pagination);
+    res.status(response.statusCode).json(response.toJSON());
+  });
+
+  /**
+   * Get the current user's pending follow requests
+   * GET /api/v1/users/follow-requests
+   */
+  getFollowRequests = asyncHandler(async (req, res) => {
+    const { page, limit } = req.query;
+
+    const result = await followService.listConnections(req.userId, 'requests', { page, limit });
+
+    const response = ApiResponse.withPagination('Follow requests fetched successfully', result.users, result.pagination);
+    res.status(response.statusCode).json(response.toJSON());
+  });
+
+  /**
+   * Get the follow requests the current user sent that are still pending
+   * GET /api/v1/users/follow-requests/sent
+   */
+  getSentFollowRequests = asyncHandler(async (req, res) => {
+    const { page, limit } = req.query;
+
+    const result = await followService.listConnections(req.userId, 'sent', { page, limit });
+
+    const response = ApiResponse.withPagination('Sent follow requests fetched successfully', result.users, result.pagination);
+    res.status(response.statusCode).json(response.toJSON());
+  });
+
+  /**
+   * Accept a follow request
+   * POST /api/v1/users/follow-requests/:userId/accept
+   */
+  acceptFollowRequest = asyncHandler(async (req, res) => {
+    const result = await followService.acceptRequest(req.userId, req.params.userId);
+
+    const response = ApiResponse.success('Follow request accepted successfully', result);
+    res.status(response.statusCode).json(response.toJSON());
+  });
+
+  /**
+   * Remove a follower or decline their follow request
+   * DELETE /api/v1/users/followers/:userId
+   */
+  removeFollower = asyncHandler(async (req, res) => {
+    const result = await followService.removeFollower(req.userId, req.params.userId);
+
+    const response = ApiResponse.success('Follower removed successfully', result);
+    res.status(response.statusCode).json(response.toJSON());
+  });
 }
 
 module.exports = new UserController();
@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const ApiError = require('../utils/ApiError');
 const { asyncHandler } = require('../utils/helpers');
@@ -79,6 +80,24 @@ const optionalAuthenticate = asyncHandler(async (req, res, next) => {
   next();
 });
 
+/**
+ * Middleware to authenticate scheduled jobs
+ * Vercel Cron sends the CRON_SECRET environment variable as a bearer token;
+ * without a secret configured every request is refused
+ */
+const authenticateCron = (req, res, next) => {
+  const secret = process.env.CRON_SECRET;
+  const expected = Buffer.from(`Bearer ${secret}`);
+  const received = Buffer.from(req.headers.authorization || '');
+
+  // Constant-time comparison so response timing does not reveal the secret
+  if (!secret || received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+    return next(ApiError.unauthorized('Invalid cron secret'));
+  }
+
+  next();
+};
+
 /**
  * Generate JWT token for user
  * @param {Object} user - User object
@@ -113,6 +132,7 @@ const verifyToken = (token) => {
 module.exports = {
   authenticate,
   optionalAuthenticate,
+  authenticateCron,
   generateToken,
   verifyToken,
 };
@@ -1,8 +1,9 @@
 const rateLimit = require('express-rate-limit');
-const { MESSAGES } = require('../utils/constants');
+const { MESSAGES, LIVE } = require('../utils/constants');
 
 /**
  * General API rate limiter
+ * Live position updates are limited per user by livePositionLimiter instead
  */
 const apiLimiter = rateLimit({
   windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
@@ -13,6 +14,7 @@ const apiLimiter = rateLimit({
   },
   standardHeaders: true,
   legacyHeaders: false,
+  skip: (req) => req.method === 'PUT' && req.path === '/v1/live/position',
 });
 
 /**
@@ -43,8 +45,25 @@ const createRunLimiter = rateLimit({
   legacyHeaders: false,
 });
 
+/**
+ * Rate limiter for live position updates, keyed by user
+ * Must run after authenticate
+ */
+const livePositionLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: LIVE.UPDATES_PER_MINUTE,
+  keyGenerator: (req) => String(req.userId),
+  message: {
+    success: false,
+    message: 'Too many position updates, please slow down',
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
 module.exports = {
   apiLimiter,
   authLimiter,
   createRunLimiter,
+  livePositionLimiter,
 };
@@ -1,6 +1,26 @@
 const { body, param, query, validationResult } = require('express-validator');
 const ApiError = require('../utils/ApiError');
-const { MESSAGES, VALIDATION } = require('../utils/constants');
+const { parseIntegerRanges } = require('../utils/helpers');
+const {
+  MESSAGES,
+  VALIDATION,
+  EXPORT_FORMATS,
+  ROUTE_ENCODINGS,
+  SPLIT_UNITS,
+  ACTIVITY_TYPES,
+  INDOOR_ACTIVITY_TYPES,
+  SENSORS,
+  TRAINING_LOAD,
+  MAP_TILES,
+  HEATMAP_FORMATS,
+  COMMUNITY_MAP,
+  SPATIAL_MATCH,
+  PRIVACY_ZONES,
+  RUN_VISIBILITY,
+  LEADERBOARD_TYPES,
+  LEADERBOARD_PERIODS,
+  LEADERBOARD,
+} = require('../utils/constants');
 
 /**
  * Middleware to handle validation errors
@@ -70,11 +90,46 @@ const loginValidation = [
   validate,
 ];
 
+/**
+ * Lap rules for a laps array in the body
+ * @param {string} field - Body field holding the laps, e.g. laps or runs.*.laps
+ * @returns {Array} express-validator chains
+ */
+const buildLapRules = (field) => [
+  body(field)
+    .optional()
+    .isArray({ max: 500 })
+    .withMessage('Laps must be an array with at most 500 items'),
+  body(`${field}.*.startTime`)
+    .isISO8601()
+    .withMessage('Lap start time must be a valid ISO 8601 date'),
+  body(`${field}.*.endTime`)
+    .isISO8601()
+    .withMessage('Lap end time must be a valid ISO 8601 date')
+    .custom((value, { req, path }) => {
+      // path is e.g. runs[0].laps[2].endTime; walk to the lap holding it
+      const lap = path.split(/[.[\]]+/).filter(Boolean).slice(0, -1)
+        .reduce((parent, key) => parent && parent[key], req.body);
+      if (new Date(value) <= new Date(lap.startTime)) {
+        throw new Error('Lap end time must be after lap start time');
+      }
+      return true;
+    }),
+];
+
 /**
  * Validation rules for creating a run
  */
 const createRunValidation = [
   body('id').optional().isString().withMessage('ID must be a string'),
+  body('activityType')
+    .optional()
+    .isIn(Object.values(ACTIVITY_TYPES))
+    .withMessage(`Activity type must be one of: ${Object.values(ACTIVITY_TYPES).join(', ')}`),
+  body('visibility')
+    .optional()
+    .isIn(Object.values(RUN_VISIBILITY))
+    .withMessage(`Visibility must be one of: ${Object.values(RUN_VISIBILITY).join(', ')}`),
   body('startTime')
     .notEmpty()
     .withMessage('Start time is required')
@@ -139,11 +194,18 @@ const createRunValidation = [
     .optional()
     .isFloat({ min: 0 })
     .withMessage('Total area must be a positive number (in square meters)'),
+  // Indoor activities (treadmill) may be recorded without a GPS route
   body('route')
+    .if((value, { req }) => !INDOOR_ACTIVITY_TYPES.includes(req.body.activityType))
     .notEmpty()
     .withMessage('Route is required')
-    .isArray({ min: 1 })
-    .withMessage('Route must be an array with at least one point'),
+    // Distance and speeds are computed from the track, which takes two points
+    .isArray({ min: 2 })
+    .withMessage('Route must have at least 2 location points'),
+  body('route')
+    .optional()
+    .isArray()
+    .withMessage('Route must be an array'),
   // Validate route array doesn't contain NoSQL injection
   body('route')
     .custom((value) => {
@@ -179,6 +241,78 @@ const createRunValidation = [
     .optional()
     .isFloat({ min: 0 })
     .withMessage('Accuracy must be a positive number'),
+  body('route.*.heartRate')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0, max: SENSORS.MAX_HEART_RATE })
+    .withMessage(`Heart rate must be between 0 and ${SENSORS.MAX_HEART_RATE} bpm`),
+  body('route.*.cadence')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0, max: SENSORS.MAX_CADENCE })
+    .withMessage(`Cadence must be between 0 and ${SENSORS.MAX_CADENCE} per minute`),
+  body('route.*.power')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0, max: SENSORS.MAX_POWER })
+    .withMessage(`Power must be between 0 and ${SENSORS.MAX_POWER} watts`),
+  ...buildLapRules('laps'),
+  validate,
+];
+
+/**
+ * Validation rules for importing a run from a GPX file
+ * Accepts a raw GPX body or JSON with a `gpx` string field
+ */
+const importGpxValidation = [
+  body('gpx').custom((value, { req }) => {
+    const gpx = typeof req.body === 'string' ? req.body : value;
+    if (typeof gpx !== 'string' || gpx.trim().length === 0) {
+      throw new Error('GPX document is required');
+    }
+    return true;
+  }),
+  body('id')
+    .optional()
+    .isString()
+    .withMessage('ID must be a string')
+    .trim()
+    .customSanitizer(value => value ? value.replace(/[${}]/g, '') : value),
+  // Raw GPX bodies pass the activity type as a query parameter
+  body('activityType')
+    .optional()
+    .isIn(Object.values(ACTIVITY_TYPES))
+    .withMessage(`Activity type must be one of: ${Object.values(ACTIVITY_TYPES).join(', ')}`),
+  query('activityType')
+    .optional()
+    .isIn(Object.values(ACTIVITY_TYPES))
+    .withMessage(`Activity type must be one of: ${Object.values(ACTIVITY_TYPES).join(', ')}`),
+  body('visibility')
+    .optional()
+    .isIn(Object.values(RUN_VISIBILITY))
+    .withMessage(`Visibility must be one of: ${Object.values(RUN_VISIBILITY).join(', ')}`),
+  query('visibility')
+    .optional()
+    .isIn(Object.values(RUN_VISIBILITY))
+    .withMessage(`Visibility must be one of: ${Object.values(RUN_VISIBILITY).join(', ')}`),
+  body('notes')
+    .optional()
+    .trim()
+    .isString()
+    .withMessage('Notes must be a string')
+    .isLength({ max: VALIDATION.MAX_NOTES_LENGTH })
+    .withMessage(`Notes cannot exceed ${VALIDATION.MAX_NOTES_LENGTH} characters`)
+    .customSanitizer(value => value ? value.replace(/[<>]/g, '') : value),
+  body('area')
+    .optional()
+    .trim()
+    .isString()
+    .withMessage('Area must be a string')
+    .isLength({ max: 200 })
+    .withMessage('Area name cannot exceed 200 characters')
+    .matches(/^[a-zA-Z0-9\s\-,.()&'"]+$/)
+    .withMessage('Area contains invalid characters')
+    .customSanitizer(value => {
+      if (!value) return value;
+      return value.replace(/[${}]/g, '').replace(/[<>]/g, '').trim();
+    }),
   validate,
 ];
 
@@ -199,6 +333,10 @@ const updateRunValidation = [
     .isLength({ max: VALIDATION.MAX_NOTES_LENGTH })
     .withMessage(`Notes cannot exceed ${VALIDATION.MAX_NOTES_LENGTH} characters`)
     .customSanitizer(value => value ? value.replace(/[<>]/g, '') : value),
+  body('visibility')
+    .optional()
+    .isIn(Object.values(RUN_VISIBILITY))
+    .withMessage(`Visibility must be one of: ${Object.values(RUN_VISIBILITY).join(', ')}`),
   validate,
 ];
 
@@ -240,6 +378,425 @@ const paginationValidation = [
   validate,
 ];
 
+/**
+ * Validation rules for route simplification and encoding options
+ */
+const routeOptionsValidation = [
+  query('zoom')
+    .optional()
+    .isInt({ min: 0, max: 22 })
+    .withMessage('Zoom must be an integer between 0 and 22'),
+  query('tolerance')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Tolerance must be a positive number (meters)'),
+  query('encoding')
+    .optional()
+    .isIn(Object.values(ROUTE_ENCODINGS))
+    .withMessage(`Encoding must be one of: ${Object.values(ROUTE_ENCODINGS).join(', ')}`),
+  validate,
+];
+
+/**
+ * Validation rules for filtering stats and leaderboards by activity type
+ */
+const activityTypeFilterValidation = [
+  query('activityType')
+    .optional()
+    .isIn(Object.values(ACTIVITY_TYPES))
+    .withMessage(`Activity type must be one of: ${Object.values(ACTIVITY_TYPES).join(', ')}`),
+  validate,
+];
+
+/**
+ * Validation rules for training load history
+ */
+const trainingLoadValidation = [
+  query('days')
+    .optional()
+    .isInt({ min: 1, max: TRAINING_LOAD.MAX_DAYS })
+    .withMessage(`Days must be an integer between 1 and ${TRAINING_LOAD.MAX_DAYS}`),
+  validate,
+];
+
+const BOUNDING_BOX_PARAMS = ['minLat', 'minLng', 'maxLat', 'maxLng'];
+
+/**
+ * minLat/minLng/maxLat/maxLng query parameter rules
+ * @param {boolean} required - Whether the box must be given; an optional box still needs all four values
+ * @returns {Array} express-validator chains
+ */
+const buildBoundingBoxRules = (required = true) => {
+  const field = (name) => (required
+    ? query(name)
+    : query(name).if((value, { req }) => BOUNDING_BOX_PARAMS.some((key) => req.query[key] !== undefined)));
+
+  return [
+    field('minLat')
+      .isFloat({ min: -90, max: 90 })
+      .withMessage('minLat must be between -90 and 90'),
+    field('maxLat')
+      .isFloat({ min: -90, max: 90 })
+      .withMessage('maxLat must be between -90 and 90')
+      .custom((value, { req }) => parseFloat(value) > parseFloat(req.query.minLat))
+      .withMessage('maxLat must be greater than minLat'),
+    field('minLng')
+      .isFloat({ min: -180, max: 180 })
+      .withMessage('minLng must be between -180 and 180'),
+    field('maxLng')
+      .isFloat({ min: -180, max: 180 })
+      .withMessage('maxLng must be between -180 and 180')
+      .custom((value, { req }) => parseFloat(value) > parseFloat(req.query.minLng))
+      .withMessage('maxLng must be greater than minLng'),
+  ];
+};
+
+// Required minLat/minLng/maxLat/maxLng query parameters, shared by map endpoints
+const boundingBoxRules = buildBoundingBoxRules();
+
+// Optional since/until query parameters, shared by map endpoints
+const timeRangeRules = [
+  query('since')
+    .optional()
+    .isISO8601()
+    .withMessage('Since must be a valid date'),
+  query('until')
+    .optional()
+    .isISO8601()
+    .withMessage('Until must be a valid date')
+    .custom((value, { req }) => {
+      if (req.query.since && new Date(value) <= new Date(req.query.since)) {
+        throw new Error('Until must be after since');
+      }
+      return true;
+    }),
+];
+
+/**
+ * Check a comma-separated list of integers and ranges within bounds
+ * @param {number} min - Smallest allowed value
+ * @param {number} max - Largest allowed value
+ * @returns {Function} express-validator custom validator
+ */
+const isIntegerRangeList = (min, max) => (value) => parseIntegerRanges(value, min, max) !== null;
+
+/**
+ * Check an IANA time zone name such as "Europe/Berlin"
+ * @param {string} value - Query parameter value
+ * @returns {boolean} True when the runtime knows the zone
+ */
+const isTimeZone = (value) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Validation rules for a map bounding box
+ */
+const boundingBoxValidation = [
+  ...boundingBoxRules,
+  validate,
+];
+
+/**
+ * Check a GeoJSON Polygon passed as a JSON string
+ * @param {string} value - Query parameter value
+ * @returns {boolean} True when valid
+ * @throws {Error} Describing the first problem found
+ */
+const isGeoJsonPolygon = (value) => {
+  let polygon;
+  try {
+    polygon = JSON.parse(value);
+  } catch (error) {
+    throw new Error('Polygon must be a JSON-encoded GeoJSON Polygon');
+  }
+
+  if (!polygon || polygon.type !== 'Polygon' || !Array.isArray(polygon.coordinates) || polygon.coordinates.length === 0) {
+    throw new Error('Polygon must be a GeoJSON Polygon with at least one ring');
+  }
+
+  const positions = polygon.coordinates.flat();
+  if (positions.length > COMMUNITY_MAP.MAX_POLYGON_VERTICES) {
+    throw new Error(`Polygon cannot have more than ${COMMUNITY_MAP.MAX_POLYGON_VERTICES} positions`);
+  }
+
+  for (const ring of polygon.coordinates) {
+    const isPosition = (position) => Array.isArray(position)
+      && position.length >= 2
+      && typeof position[0] === 'number' && position[0] >= -180 && position[0] <= 180
+      && typeof position[1] === 'number' && position[1] >= -90 && position[1] <= 90;
+
+    if (!Array.isArray(ring) || ring.length < 4 || !ring.every(isPosition)) {
+      throw new Error('Each polygon ring needs at least 4 [longitude, latitude] positions');
+    }
+
+    const first = ring[0];
+    const last = ring[ring.length - 1];
+    if (first[0] !== last[0] || first[1] !== last[1]) {
+      throw new Error('Each polygon ring must end at its first position');
+    }
+  }
+
+  return true;
+};
+
+/**
+ * Validation rules for community map spatial and time filters
+ * Only one of a bounding box, polygon or near point may be given
+ */
+const communityMapValidation = [
+  query('polygon')
+    .optional()
+    .custom(isGeoJsonPolygon)
+    .bail()
+    .custom((value, { req }) => req.query.minLat === undefined && req.query.nearLat === undefined)
+    .withMessage('Use only one of a bounding box, polygon or near point')
+    .customSanitizer((value) => JSON.parse(value)),
+  query('nearLat')
+    .optional()
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('nearLat must be between -90 and 90')
+    .custom((value, { req }) => req.query.minLat === undefined)
+    .withMessage('Use only one of a bounding box, polygon or near point'),
+  query('nearLng')
+    .if(query('nearLat').exists())
+    .notEmpty()
+    .withMessage('nearLng is required with nearLat')
+    .bail()
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('nearLng must be between -180 and 180'),
+  query('nearLat')
+    .if(query('nearLng').exists())
+    .notEmpty()
+    .withMessage('nearLat is required with nearLng'),
+  query('radius')
+    .optional()
+    .isInt({ min: 1, max: COMMUNITY_MAP.MAX_NEAR_RADIUS })
+    .withMessage(`Radius must be between 1 and ${COMMUNITY_MAP.MAX_NEAR_RADIUS} meters`),
+  query('match')
+    .optional()
+    .isIn(Object.values(SPATIAL_MATCH))
+    .withMessage(`Match must be one of: ${Object.values(SPATIAL_MATCH).join(', ')}`),
+  query('cluster')
+    .optional()
+    .isBoolean()
+    .withMessage('Cluster must be true or false'),
+  query('zoom')
+    .if(query('cluster').equals('true'))
+    .notEmpty()
+    .withMessage('Zoom is required when clustering'),
+  ...timeRangeRules,
+  query('daysOfWeek')
+    .optional()
+    .custom(isIntegerRangeList(1, 7))
+    .withMessage('daysOfWeek must list days 1 (Monday) to 7 (Sunday), e.g. 1-5 or 6,7'),
+  query('hours')
+    .optional()
+    .custom(isIntegerRangeList(0, 23))
+    .withMessage('Hours must list hours 0 to 23, e.g. 6-9,17-19'),
+  query('timezone')
+    .optional()
+    .custom(isTimeZone)
+    .withMessage('Timezone must be an IANA time zone name, e.g. Europe/Berlin'),
+  validate,
+];
+
+/**
+ * Validation rules for the community heatmap
+ */
+const heatmapValidation = [
+  ...boundingBoxRules,
+  query('zoom')
+    .notEmpty()
+    .withMessage('Zoom is required')
+    .isInt({ min: 0, max: MAP_TILES.MAX_ZOOM })
+    .withMessage(`Zoom must be an integer between 0 and ${MAP_TILES.MAX_ZOOM}`),
+  query('format')
+    .optional()
+    .isIn(Object.values(HEATMAP_FORMATS))
+    .withMessage(`Format must be one of: ${Object.values(HEATMAP_FORMATS).join(', ')}`),
+  ...timeRangeRules,
+  query('activityType')
+    .optional()
+    .isIn(Object.values(ACTIVITY_TYPES))
+    .withMessage(`Activity type must be one of: ${Object.values(ACTIVITY_TYPES).join(', ')}`),
+  validate,
+];
+
+/**
+ * Check that at most one leaderboard region is given
+ * @param {string} value - Query parameter value
+ * @param {Object} meta - express-validator meta with req
+ * @returns {boolean} True when valid
+ */
+const isSingleRegion = (value, { req }) => [
+  req.query.minLat !== undefined,
+  req.query.city !== undefined,
+  req.query.home === 'true',
+].filter(Boolean).length <= 1;
+
+// Period and region filters, shared by leaderboard endpoints
+const leaderboardRules = [
+  query('activityType')
+    .optional()
+    .isIn(Object.values(ACTIVITY_TYPES))
+    .withMessage(`Activity type must be one of: ${Object.values(ACTIVITY_TYPES).join(', ')}`),
+  query('period')
+    .optional()
+    .isIn(Object.values(LEADERBOARD_PERIODS))
+    .withMessage(`Period must be one of: ${Object.values(LEADERBOARD_PERIODS).join(', ')}`)
+    .bail()
+    .custom((value, { req }) => value !== LEADERBOARD_PERIODS.CUSTOM || req.query.since || req.query.until)
+    .withMessage('A custom period needs since, until or both'),
+  ...timeRangeRules,
+  query(['since', 'until'])
+    .optional()
+    .custom((value, { req }) => req.query.period === LEADERBOARD_PERIODS.CUSTOM)
+    .withMessage('Since and until need period=custom'),
+  ...buildBoundingBoxRules(false),
+  query('city')
+    .optional()
+    .matches(/^[a-z0-9]+(-[a-z0-9]+)*$/)
+    .withMessage('City must be a region slug, e.g. berlin or new-york')
+    .bail()
+    .custom(isSingleRegion)
+    .withMessage('Use only one of a bounding box, city or home'),
+  query('home')
+    .optional()
+    .isBoolean()
+    .withMessage('Home must be true or false')
+    .bail()
+    .custom(isSingleRegion)
+    .withMessage('Use only one of a bounding box, city or home'),
+];
+
+/**
+ * Validation rules for the area and distance leaderboards
+ */
+const leaderboardValidation = [
+  ...leaderboardRules,
+  validate,
+];
+
+/**
+ * Validation rules for the caller's leaderboard position
+ */
+const leaderboardPositionValidation = [
+  ...leaderboardRules,
+  query('type')
+    .optional()
+    .isIn(Object.values(LEADERBOARD_TYPES))
+    .withMessage(`Type must be one of: ${Object.values(LEADERBOARD_TYPES).join(', ')}`),
+  query('neighbors')
+    .optional()
+    .isInt({ min: 0, max: LEADERBOARD.MAX_NEIGHBORS })
+    .withMessage(`Neighbors must be an integer between 0 and ${LEADERBOARD.MAX_NEIGHBORS}`),
+  validate,
+];
+
+/**
+ * Validation rules for the caller's rank history
+ * Only snapshot periods keep history, so custom periods and regions are not accepted
+ */
+const rankHistoryValidation = [
+  query('type')
+    .optional()
+    .isIn(Object.values(LEADERBOARD_TYPES))
+    .withMessage(`Type must be one of: ${Object.values(LEADERBOARD_TYPES).join(', ')}`),
+  query('period')
+    .optional()
+    .isIn(Object.values(LEADERBOARD_PERIODS).filter((period) => period !== LEADERBOARD_PERIODS.CUSTOM))
+    .withMessage('Period must be one of: all_time, week, month, year'),
+  query('activityType')
+    .optional()
+    .isIn(Object.values(ACTIVITY_TYPES))
+    .withMessage(`Activity type must be one of: ${Object.values(ACTIVITY_TYPES).join(', ')}`),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: LEADERBOARD.MAX_HISTORY_ITEMS })
+    .withMessage(`Limit must be an integer between 1 and ${LEADERBOARD.MAX_HISTORY_ITEMS}`),
+  validate,
+];
+
+/**
+ * Validation rules for vector tile coordinates
+ */
+const mapTileValidation = [
+  param('z')
+    .isInt({ min: 0, max: MAP_TILES.MAX_ZOOM })
+    .withMessage(`Zoom must be an integer between 0 and ${MAP_TILES.MAX_ZOOM}`)
+    .toInt(),
+  param(['x', 'y'])
+    .isInt({ min: 0 })
+    .withMessage('Tile coordinates must be non-negative integers')
+    .toInt()
+    .custom((value, { req }) => value < Math.pow(2, parseInt(req.params.z)))
+    .withMessage('Tile coordinates are outside the grid for this zoom'),
+  validate,
+];
+
+/**
+ * Validation rules for a live position update
+ */
+const livePositionValidation = [
+  body('latitude')
+    .notEmpty()
+    .withMessage('Latitude is required')
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude must be between -90 and 90'),
+  body('longitude')
+    .notEmpty()
+    .withMessage('Longitude is required')
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude must be between -180 and 180'),
+  body('timestamp')
+    .optional()
+    .isISO8601()
+    .withMessage('Timestamp must be a valid date'),
+  body('startedAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Started at must be a valid date')
+    .custom((value) => new Date(value) <= new Date())
+    .withMessage('Started at cannot be in the future'),
+  body('activityType')
+    .optional()
+    .isIn(Object.values(ACTIVITY_TYPES))
+    .withMessage(`Activity type must be one of: ${Object.values(ACTIVITY_TYPES).join(', ')}`),
+  body('distance')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Distance must be a positive number'),
+  body('speed')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0 })
+    .withMessage('Speed must be a positive number'),
+  body('heading')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0, max: 360 })
+    .withMessage('Heading must be between 0 and 360 degrees'),
+  body('visibility')
+    .optional()
+    .isIn(Object.values(RUN_VISIBILITY))
+    .withMessage(`Visibility must be one of: ${Object.values(RUN_VISIBILITY).join(', ')}`),
+  validate,
+];
+
+/**
+ * Validation rules for a user ID parameter
+ */
+const userIdValidation = [
+  param('userId')
+    .isMongoId()
+    .withMessage('User ID must be a valid ID'),
+  validate,
+];
+
 /**
  * Validation rules for stats period
  */
@@ -263,6 +820,30 @@ const runIdValidation = [
   validate,
 ];
 
+/**
+ * Validation rules for exporting a run
+ */
+const exportRunValidation = [
+  ...runIdValidation,
+  query('format')
+    .optional()
+    .isIn(Object.values(EXPORT_FORMATS))
+    .withMessage(`Format must be one of: ${Object.values(EXPORT_FORMATS).join(', ')}`),
+  validate,
+];
+
+/**
+ * Validation rules for run splits
+ */
+const splitsValidation = [
+  ...runIdValidation,
+  query('unit')
+    .optional()
+    .isIn(Object.values(SPLIT_UNITS))
+    .withMessage(`Unit must be one of: ${Object.values(SPLIT_UNITS).join(', ')}`),
+  validate,
+];
+
 /**
  * Validation rules for user profile update
  */
@@ -279,6 +860,15 @@ const updateProfileValidation = [
     .matches(/^[a-zA-Z0-9_]+$/)
     .withMessage('Username can only contain letters, numbers, and underscores')
     .customSanitizer(value => value ? value.replace(/[${}]/g, '') : value),
+  // null clears it and falls back to the username
+  body('displayName')
+    .optional({ values: 'null' })
+    .trim()
+    .isString()
+    .withMessage('Display name must be a string')
+    .isLength({ min: 1, max: VALIDATION.MAX_DISPLAY_NAME_LENGTH })
+    .withMessage(`Display name must be between 1 and ${VALIDATION.MAX_DISPLAY_NAME_LENGTH} characters`)
+    .customSanitizer(value => value ? value.replace(/[${}]/g, '') : value),
   body('profilePicture')
     .optional()
     .trim()
@@ -289,6 +879,43 @@ const updateProfileValidation = [
     .trim()
     .matches(/^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/)
     .withMessage('Run color must be a valid hex color code (e.g., #FF6B6B or #F00)'),
+  // null clears it and falls back to the default
+  body('maxHeartRate')
+    .optional({ values: 'null' })
+    .isInt({ min: 100, max: SENSORS.MAX_HEART_RATE })
+    .withMessage(`Max heart rate must be an integer between 100 and ${SENSORS.MAX_HEART_RATE} bpm`)
+    .toInt(),
+  body('restingHeartRate')
+    .optional({ values: 'null' })
+    .isInt({ min: 25, max: 120 })
+    .withMessage('Resting heart rate must be an integer between 25 and 120 bpm')
+    .toInt(),
+  body('defaultVisibility')
+    .optional()
+    .isIn(Object.values(RUN_VISIBILITY))
+    .withMessage(`Default visibility must be one of: ${Object.values(RUN_VISIBILITY).join(', ')}`),
+  body('privacyZones')
+    .optional()
+    .isArray({ max: PRIVACY_ZONES.MAX_ZONES })
+    .withMessage(`Privacy zones must be an array of at most ${PRIVACY_ZONES.MAX_ZONES} zones`),
+  body('privacyZones.*.latitude')
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Zone latitude must be between -90 and 90')
+    .toFloat(),
+  body('privacyZones.*.longitude')
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Zone longitude must be between -180 and 180')
+    .toFloat(),
+  body('privacyZones.*.radius')
+    .isInt({ min: PRIVACY_ZONES.MIN_RADIUS, max: PRIVACY_ZONES.MAX_RADIUS })
+    .withMessage(`Zone radius must be between ${PRIVACY_ZONES.MIN_RADIUS} and ${PRIVACY_ZONES.MAX_RADIUS} meters`)
+    .toInt(),
+  body('privacyZones.*.name')
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ max: PRIVACY_ZONES.MAX_NAME_LENGTH })
+    .withMessage(`Zone name cannot exceed ${PRIVACY_ZONES.MAX_NAME_LENGTH} characters`)
+    .customSanitizer(value => value ? value.replace(/[${}]/g, '') : value),
   validate,
 ];
 
@@ -314,9 +941,28 @@ const bulkSyncValidation = [
   body('runs.*.averageSpeed')
     .isFloat({ min: 0 })
     .withMessage('Average speed must be a positive number (m/s)'),
+  body('runs.*.activityType')
+    .optional()
+    .isIn(Object.values(ACTIVITY_TYPES))
+    .withMessage(`Activity type must be one of: ${Object.values(ACTIVITY_TYPES).join(', ')}`),
+  body('runs.*.visibility')
+    .optional()
+    .isIn(Object.values(RUN_VISIBILITY))
+    .withMessage(`Visibility must be one of: ${Object.values(RUN_VISIBILITY).join(', ')}`),
   body('runs.*.route')
-    .isArray({ min: 2 })
-    .withMessage('Route must have at least 2 location points'),
+    .custom((value, { req, path }) => {
+      const index = path.match(/\[(\d+)\]/)[1];
+      const { activityType } = req.body.runs[index];
+
+      // Indoor activities (treadmill) may be recorded without a GPS route
+      if (value === undefined && INDOOR_ACTIVITY_TYPES.includes(activityType)) {
+        return true;
+      }
+      if (!Array.isArray(value) || value.length < 2) {
+        throw new Error('Route must have at least 2 location points');
+      }
+      return true;
+    }),
   body('runs.*.route.*.latitude')
     .isFloat({ min: -90, max: 90 })
     .withMessage('Latitude must be between -90 and 90'),
@@ -326,6 +972,18 @@ const bulkSyncValidation = [
   body('runs.*.route.*.timestamp')
     .isISO8601()
     .withMessage('Timestamp must be a valid ISO 8601 date'),
+  body('runs.*.route.*.heartRate')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0, max: SENSORS.MAX_HEART_RATE })
+    .withMessage(`Heart rate must be between 0 and ${SENSORS.MAX_HEART_RATE} bpm`),
+  body('runs.*.route.*.cadence')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0, max: SENSORS.MAX_CADENCE })
+    .withMessage(`Cadence must be between 0 and ${SENSORS.MAX_CADENCE} per minute`),
+  body('runs.*.route.*.power')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0, max: SENSORS.MAX_POWER })
+    .withMessage(`Power must be between 0 and ${SENSORS.MAX_POWER} watts`),
   body('runs.*.area')
     .optional()
     .trim()
@@ -343,6 +1001,7 @@ const bulkSyncValidation = [
     .optional()
     .isFloat({ min: 0 })
     .withMessage('Total area must be a positive number (in square meters)'),
+  ...buildLapRules('runs.*.laps'),
   body('runs.*.notes')
     .optional()
     .trim()
@@ -365,11 +1024,26 @@ module.exports = {
   handleValidationErrors,
   loginValidation,
   createRunValidation,
+  importGpxValidation,
   updateRunValidation,
   dateRangeValidation,
   paginationValidation,
+  routeOptionsValidation,
+  activityTypeFilterValidation,
+  trainingLoadValidation,
+  boundingBoxValidation,
+  communityMapValidation,
+  heatmapValidation,
+  leaderboardValidation,
+  leaderboardPositionValidation,
+  rankHistoryValidation,
+  mapTileValidation,
+  livePositionValidation,
   statsPeriodValidation,
   runIdValidation,
+  userIdValidation,
+  exportRunValidation,
+  splitsValidation,
   updateProfileValidation,
   bulkSyncValidation,
 };
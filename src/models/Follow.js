@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+const { FOLLOW_STATUS } = require('../utils/constants');
+
+const followSchema = new mongoose.Schema(
+  {
+    followerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Follower ID is required'],
+    },
+    followingId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Following ID is required'],
+      index: true,
+    },
+    // Follows created before approvals existed have no status and count as accepted
+    status: {
+      type: String,
+      enum: Object.values(FOLLOW_STATUS),
+      default: FOLLOW_STATUS.PENDING,
+    },
+  },
+  {
+    timestamps: true,
+    collection: 'follows',
+  }
+);
+
+followSchema.index({ followerId: 1, followingId: 1 }, { unique: true });
+
+const Follow = mongoose.model('Follow', followSchema);
+
+module.exports = Follow;
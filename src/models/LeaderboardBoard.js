@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+const { ACTIVITY_TYPES, LEADERBOARD_TYPES, LEADERBOARD_PERIODS } = require('../utils/constants');
+
+// One materialized leaderboard; its ranked users are LeaderboardEntry documents with the same key
+const leaderboardBoardSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: Object.values(LEADERBOARD_TYPES),
+      required: true,
+    },
+    period: {
+      type: String,
+      enum: Object.values(LEADERBOARD_PERIODS),
+      required: true,
+    },
+    // First moment of the week, month or year; null for all time
+    periodStart: {
+      type: Date,
+      default: null,
+    },
+    // null ranks all activities together
+    activityType: {
+      type: String,
+      enum: Object.values(ACTIVITY_TYPES),
+      default: null,
+    },
+    // Last full rebuild from the runs collection
+    builtAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+    collection: 'leaderboard_boards',
+  }
+);
+
+leaderboardBoardSchema.index({ type: 1, period: 1, periodStart: 1, activityType: 1 }, { unique: true });
+
+const LeaderboardBoard = mongoose.model('LeaderboardBoard', leaderboardBoardSchema);
+
+module.exports = LeaderboardBoard;
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+const { ACTIVITY_TYPES, LEADERBOARD_TYPES, LEADERBOARD_PERIODS } = require('../utils/constants');
+
+// A user's total on one materialized leaderboard (see LeaderboardBoard for the key fields)
+// Ranks are not stored; they follow from the score order when the board is read
+const leaderboardEntrySchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: Object.values(LEADERBOARD_TYPES),
+      required: true,
+    },
+    period: {
+      type: String,
+      enum: Object.values(LEADERBOARD_PERIODS),
+      required: true,
+    },
+    periodStart: {
+      type: Date,
+      default: null,
+    },
+    activityType: {
+      type: String,
+      enum: Object.values(ACTIVITY_TYPES),
+      default: null,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required'],
+    },
+    // The total the board ranks by, e.g. totalDistance
+    score: {
+      type: Number,
+      required: true,
+    },
+    // Totals and averages as returned by the leaderboard endpoints
+    stats: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    refreshedAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    collection: 'leaderboard_entries',
+    minimize: false,
+  }
+);
+
+leaderboardEntrySchema.index({ type: 1, period: 1, periodStart: 1, activityType: 1, userId: 1 }, { unique: true });
+leaderboardEntrySchema.index({ type: 1, period: 1, periodStart: 1, activityType: 1, score: -1, userId: 1 });
+leaderboardEntrySchema.index({ userId: 1, type: 1, period: 1, activityType: 1, periodStart: -1 });
+
+const LeaderboardEntry = mongoose.model('LeaderboardEntry', leaderboardEntrySchema);
+
+module.exports = LeaderboardEntry;
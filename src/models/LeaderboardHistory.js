@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+const { ACTIVITY_TYPES, LEADERBOARD_TYPES, LEADERBOARD } = require('../utils/constants');
+
+// A user's all-time rank on a given day; weekly, monthly and yearly ranks stay on their own boards
+const leaderboardHistorySchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: Object.values(LEADERBOARD_TYPES),
+      required: true,
+    },
+    activityType: {
+      type: String,
+      enum: Object.values(ACTIVITY_TYPES),
+      default: null,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required'],
+    },
+    // Start of the day the rank was recorded
+    date: {
+      type: Date,
+      required: true,
+    },
+    rank: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    score: {
+      type: Number,
+      required: true,
+    },
+  },
+  {
+    collection: 'leaderboard_history',
+  }
+);
+
+leaderboardHistorySchema.index({ userId: 1, type: 1, activityType: 1, date: -1 });
+leaderboardHistorySchema.index({ type: 1, activityType: 1, userId: 1, date: 1 }, { unique: true });
+leaderboardHistorySchema.index({ date: 1 }, { expireAfterSeconds: LEADERBOARD.HISTORY_DAYS * 24 * 60 * 60 });
+
+const LeaderboardHistory = mongoose.model('LeaderboardHistory', leaderboardHistorySchema);
+
+module.exports = LeaderboardHistory;
@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+const { ACTIVITY_TYPES, LIVE, RUN_VISIBILITY } = require('../utils/constants');
+
+const livePointSchema = new mongoose.Schema(
+  {
+    latitude: {
+      type: Number,
+      required: true,
+      min: -90,
+      max: 90,
+    },
+    longitude: {
+      type: Number,
+      required: true,
+      min: -180,
+      max: 180,
+    },
+    timestamp: {
+      type: Date,
+      required: true,
+    },
+  },
+  { _id: false }
+);
+
+const liveSessionSchema = new mongoose.Schema(
+  {
+    // One live session per user; a new startedAt replaces the previous one
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required'],
+      unique: true,
+    },
+    activityType: {
+      type: String,
+      enum: Object.values(ACTIVITY_TYPES),
+      default: ACTIVITY_TYPES.RUN,
+    },
+    // Who can see the session, like a saved run's visibility
+    visibility: {
+      type: String,
+      enum: Object.values(RUN_VISIBILITY),
+      default: RUN_VISIBILITY.PUBLIC,
+    },
+    startedAt: {
+      type: Date,
+      required: true,
+    },
+    position: {
+      type: livePointSchema,
+      required: true,
+    },
+    location: {
+      type: {
+        type: String,
+        enum: ['Point'],
+        default: 'Point',
+      },
+      coordinates: {
+        type: [Number], // [longitude, latitude]
+        required: true,
+      },
+    },
+    // Most recent positions, oldest first
+    trail: {
+      type: [livePointSchema],
+      default: [],
+    },
+    distance: {
+      type: Number, // meters so far, as reported by the device
+      default: 0,
+      min: 0,
+    },
+    speed: {
+      type: Number, // m/s
+      default: null,
+    },
+    heading: {
+      type: Number, // degrees clockwise from north
+      default: null,
+    },
+    // Server time of the last update, so device clock drift cannot keep a session alive
+    lastUpdateAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+    collection: 'live_sessions',
+  }
+);
+
+liveSessionSchema.index({ location: '2dsphere' });
+liveSessionSchema.index({ lastUpdateAt: 1 }, { expireAfterSeconds: LIVE.SESSION_TTL });
+
+const LiveSession = mongoose.model('LiveSession', liveSessionSchema);
+
+module.exports = LiveSession;
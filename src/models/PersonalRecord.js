@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+const { BEST_EFFORT_DISTANCES } = require('../utils/constants');
+
+const effortSchema = new mongoose.Schema(
+  {
+    time: {
+      type: Number,
+      required: true,
+      min: [0, 'Time cannot be negative'],
+    },
+    runId: {
+      type: String,
+      required: true,
+    },
+    achievedAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { _id: false }
+);
+
+const personalRecordSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required'],
+      index: true,
+    },
+    distance: {
+      type: String,
+      required: [true, 'Distance is required'],
+      enum: {
+        values: Object.keys(BEST_EFFORT_DISTANCES),
+        message: `Distance must be one of: ${Object.keys(BEST_EFFORT_DISTANCES).join(', ')}`,
+      },
+    },
+    distanceMeters: {
+      type: Number,
+      required: true,
+    },
+    // Current record; history holds every record it replaced, oldest first
+    time: {
+      type: Number,
+      required: [true, 'Time is required'],
+      min: [0, 'Time cannot be negative'],
+    },
+    runId: {
+      type: String,
+      required: true,
+    },
+    achievedAt: {
+      type: Date,
+      required: true,
+    },
+    history: {
+      type: [effortSchema],
+      default: [],
+    },
+  },
+  {
+    timestamps: true,
+    collection: 'personal_records',
+  }
+);
+
+// One record per user and distance
+personalRecordSchema.index({ userId: 1, distance: 1 }, { unique: true });
+
+// Virtual for pace in seconds per km
+personalRecordSchema.virtual('pacePerKm').get(function () {
+  return this.time / (this.distanceMeters / 1000);
+});
+
+// Static method to get all records for a user, shortest distance first
+personalRecordSchema.statics.getUserRecords = function (userId) {
+  return this.find({ userId }).sort({ distanceMeters: 1 });
+};
+
+const PersonalRecord = mongoose.model('PersonalRecord', personalRecordSchema);
+
+module.exports = PersonalRecord;
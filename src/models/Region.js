@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+const regionSchema = new mongoose.Schema(
+  {
+    // Name used in query strings, e.g. ?city=berlin
+    slug: {
+      type: String,
+      required: [true, 'Slug is required'],
+      unique: true,
+      lowercase: true,
+      trim: true,
+      match: [/^[a-z0-9]+(-[a-z0-9]+)*$/, 'Slug can only contain lowercase letters, numbers and dashes'],
+    },
+    name: {
+      type: String,
+      required: [true, 'Name is required'],
+      trim: true,
+    },
+    // City outline as a GeoJSON Polygon or MultiPolygon
+    boundary: {
+      type: {
+        type: String,
+        enum: ['Polygon', 'MultiPolygon'],
+        required: true,
+      },
+      coordinates: {
+        type: Array, // [longitude, latitude] positions
+        required: true,
+      },
+    },
+  },
+  {
+    timestamps: true,
+    collection: 'regions',
+  }
+);
+
+regionSchema.index({ boundary: '2dsphere' });
+
+const Region = mongoose.model('Region', regionSchema);
+
+module.exports = Region;
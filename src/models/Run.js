@@ -1,4 +1,56 @@
 const mongoose = require('mongoose');
+const {
+  ACTIVITY_TYPES,
+  INDOOR_ACTIVITY_TYPES,
+  SENSORS,
+  TRIMP_SOURCES,
+  AREA_METHODS,
+  RUN_VISIBILITY,
+} = require('../utils/constants');
+
+const routePointSchema = new mongoose.Schema({
+  latitude: {
+    type: Number,
+    required: true,
+    min: -90,
+    max: 90,
+  },
+  longitude: {
+    type: Number,
+    required: true,
+    min: -180,
+    max: 180,
+  },
+  timestamp: {
+    type: Date,
+    required: true,
+  },
+  altitude: {
+    type: Number,
+    default: null,
+  },
+  accuracy: {
+    type: Number,
+    default: null,
+    min: 0,
+  },
+  // Optional sensor samples from paired BLE devices
+  heartRate: {
+    type: Number,
+    min: 0,
+    max: SENSORS.MAX_HEART_RATE,
+  },
+  cadence: {
+    type: Number,
+    min: 0,
+    max: SENSORS.MAX_CADENCE,
+  },
+  power: {
+    type: Number,
+    min: 0,
+    max: SENSORS.MAX_POWER,
+  },
+});
 
 const runSchema = new mongoose.Schema(
   {
@@ -14,6 +66,24 @@ const runSchema = new mongoose.Schema(
       required: [true, 'User ID is required'],
       index: true,
     },
+    activityType: {
+      type: String,
+      enum: {
+        values: Object.values(ACTIVITY_TYPES),
+        message: `Activity type must be one of: ${Object.values(ACTIVITY_TYPES).join(', ')}`,
+      },
+      default: ACTIVITY_TYPES.RUN,
+      index: true,
+    },
+    // Runs saved before visibility existed have none and are treated as public
+    visibility: {
+      type: String,
+      enum: {
+        values: Object.values(RUN_VISIBILITY),
+        message: `Visibility must be one of: ${Object.values(RUN_VISIBILITY).join(', ')}`,
+      },
+      default: RUN_VISIBILITY.PUBLIC,
+    },
     startTime: {
       type: Date,
       required: [true, 'Start time is required'],
@@ -33,11 +103,38 @@ const runSchema = new mongoose.Schema(
       default: null,
       maxlength: [100, 'Area name cannot exceed 100 characters'],
     },
+    // Computed on the server from the route (the client's value is kept in reportedMetrics)
     totalArea: {
       type: Number,
       default: null,
       min: [0, 'Total area cannot be negative'],
     },
+    enclosedArea: {
+      type: Number,
+      default: null,
+      min: [0, 'Enclosed area cannot be negative'],
+    },
+    corridorArea: {
+      type: Number,
+      default: null,
+      min: [0, 'Corridor area cannot be negative'],
+    },
+    areaMethod: {
+      type: String,
+      enum: [...Object.values(AREA_METHODS), null],
+      default: null,
+    },
+    // GeoJSON Polygon of the covered area (not indexed, routes may cross themselves)
+    areaPolygon: {
+      type: {
+        type: String,
+        enum: ['Polygon'],
+      },
+      coordinates: {
+        type: [[[Number]]], // [[[longitude, latitude], ...]]
+        default: undefined,
+      },
+    },
     duration: {
       type: Number,
       required: [true, 'Duration is required'],
@@ -53,6 +150,72 @@ const runSchema = new mongoose.Schema(
       default: 0,
       min: [0, 'Max speed cannot be negative'],
     },
+    elapsedTime: {
+      type: Number,
+      default: null,
+      min: [0, 'Elapsed time cannot be negative'],
+    },
+    movingTime: {
+      type: Number,
+      default: null,
+      min: [0, 'Moving time cannot be negative'],
+    },
+    elevationGain: {
+      type: Number,
+      default: null,
+      min: [0, 'Elevation gain cannot be negative'],
+    },
+    elevationLoss: {
+      type: Number,
+      default: null,
+      min: [0, 'Elevation loss cannot be negative'],
+    },
+    maxElevation: {
+      type: Number,
+      default: null,
+    },
+    minElevation: {
+      type: Number,
+      default: null,
+    },
+    gradeAdjustedPace: {
+      type: Number, // seconds per km
+      default: null,
+      min: [0, 'Grade-adjusted pace cannot be negative'],
+    },
+    // Stops detected from timestamp gaps and low-speed stretches
+    pauses: [
+      {
+        _id: false,
+        startTime: Date,
+        endTime: Date,
+        duration: Number,
+      },
+    ],
+    // Values sent by the client, kept for auditing against the computed metrics
+    reportedMetrics: {
+      distance: { type: Number, default: null },
+      duration: { type: Number, default: null },
+      averageSpeed: { type: Number, default: null },
+      maxSpeed: { type: Number, default: null },
+      totalArea: { type: Number, default: null },
+    },
+    metricsCheck: {
+      flagged: {
+        type: Boolean,
+        default: false,
+        index: true,
+      },
+      discrepancies: [
+        {
+          _id: false,
+          field: String,
+          reported: Number,
+          computed: Number,
+          deviation: Number,
+        },
+      ],
+    },
     notes: {
       type: String,
       maxlength: [500, 'Notes cannot exceed 500 characters'],
@@ -70,42 +233,110 @@ const runSchema = new mongoose.Schema(
       },
     },
     route: {
-      type: [
-        {
-          latitude: {
-            type: Number,
-            required: true,
-            min: -90,
-            max: 90,
-          },
-          longitude: {
-            type: Number,
-            required: true,
-            min: -180,
-            max: 180,
-          },
-          timestamp: {
-            type: Date,
-            required: true,
-          },
-          altitude: {
-            type: Number,
-            default: null,
-          },
-          accuracy: {
-            type: Number,
-            default: null,
-            min: 0,
-          },
-        },
-      ],
+      type: [routePointSchema],
       validate: {
         validator: function (v) {
+          // Treadmill and other indoor activities have no GPS route
+          if (INDOOR_ACTIVITY_TYPES.includes(this.activityType)) return true;
           return Array.isArray(v) && v.length > 0;
         },
         message: 'Route must contain at least one location point',
       },
     },
+    // Route exactly as recorded by the device, before GPS noise filtering
+    rawRoute: {
+      type: [routePointSchema],
+      select: false,
+    },
+    // Simplified route as a GeoJSON LineString, so area queries can match any part of the route
+    routeLine: {
+      type: {
+        type: String,
+        enum: ['LineString'],
+        select: false,
+      },
+      coordinates: {
+        type: [[Number]], // [[longitude, latitude], ...]
+        default: undefined,
+        select: false,
+      },
+    },
+    routeCleaning: {
+      rawPointCount: { type: Number, default: 0 },
+      removedInaccurate: { type: Number, default: 0 },
+      removedSpikes: { type: Number, default: 0 },
+      smoothed: { type: Boolean, default: false },
+      applied: { type: Boolean, default: false },
+    },
+    // Sensor summaries, time-weighted over the route (null without sensor data)
+    averageHeartRate: {
+      type: Number,
+      default: null,
+    },
+    maxHeartRate: {
+      type: Number,
+      default: null,
+    },
+    averageCadence: {
+      type: Number,
+      default: null,
+    },
+    maxCadence: {
+      type: Number,
+      default: null,
+    },
+    averagePower: {
+      type: Number,
+      default: null,
+    },
+    maxPower: {
+      type: Number,
+      default: null,
+    },
+    heartRateZones: [
+      {
+        _id: false,
+        zone: Number,
+        name: String,
+        minHeartRate: Number,
+        maxHeartRate: Number,
+        time: Number, // seconds
+      },
+    ],
+    // Fastest segment per best-effort distance (running activities only)
+    bestEfforts: [
+      {
+        _id: false,
+        distance: String,
+        distanceMeters: Number,
+        time: Number, // seconds
+        startTime: Date,
+        endTime: Date,
+      },
+    ],
+    // Banister training impulse, from heart rate or estimated from pace
+    trimp: {
+      type: Number,
+      default: null,
+      min: [0, 'TRIMP cannot be negative'],
+    },
+    trimpSource: {
+      type: String,
+      enum: [...Object.values(TRIMP_SOURCES), null],
+      default: null,
+    },
+    // Laps marked by the client during the run, measured against the route
+    laps: [
+      {
+        _id: false,
+        lap: Number,
+        startTime: Date,
+        endTime: Date,
+        distance: Number,
+        duration: Number,
+        averageSpeed: Number,
+      },
+    ],
     isDeleted: {
       type: Boolean,
       default: false,
@@ -122,10 +353,12 @@ runSchema.index({ userId: 1, startTime: -1 });
 runSchema.index({ userId: 1, isDeleted: 1, startTime: -1 });
 runSchema.index({ startTime: -1 });
 runSchema.index({ isDeleted: 1 });
+runSchema.index({ isDeleted: 1, activityType: 1 });
 
 // Geospatial index for location-based queries (like Strava, Uber)
 runSchema.index({ location: '2dsphere' });
 runSchema.index({ isDeleted: 1, location: '2dsphere' }); // Compound for filtered geo queries
+runSchema.index({ routeLine: '2dsphere' }); // Routes crossing an area, not just centered in it
 
 // Virtual for calculating duration in hours
 runSchema.virtual('durationHours').get(function () {
@@ -1,4 +1,21 @@
 const mongoose = require('mongoose');
+const { ACTIVITY_TYPES } = require('../utils/constants');
+
+// Per-activity totals within a stats period
+const activityBreakdownSchema = new mongoose.Schema(
+  {
+    activityType: {
+      type: String,
+      enum: Object.values(ACTIVITY_TYPES),
+      required: true,
+    },
+    totalDistance: { type: Number, default: 0 },
+    totalDuration: { type: Number, default: 0 },
+    totalMovingTime: { type: Number, default: 0 },
+    totalRuns: { type: Number, default: 0 },
+  },
+  { _id: false }
+);
 
 const statsSchema = new mongoose.Schema(
   {
@@ -37,6 +54,11 @@ const statsSchema = new mongoose.Schema(
       default: 0,
       min: [0, 'Total duration cannot be negative'],
     },
+    totalMovingTime: {
+      type: Number,
+      default: 0,
+      min: [0, 'Total moving time cannot be negative'],
+    },
     totalRuns: {
       type: Number,
       required: true,
@@ -64,6 +86,24 @@ const statsSchema = new mongoose.Schema(
       default: 0,
       min: [0, 'Fastest speed cannot be negative'],
     },
+    totalElevationGain: {
+      type: Number,
+      default: 0,
+      min: [0, 'Total elevation gain cannot be negative'],
+    },
+    totalElevationLoss: {
+      type: Number,
+      default: 0,
+      min: [0, 'Total elevation loss cannot be negative'],
+    },
+    averageGradeAdjustedPace: {
+      type: Number, // seconds per km
+      default: null,
+    },
+    activityBreakdown: {
+      type: [activityBreakdownSchema],
+      default: [],
+    },
   },
   {
     timestamps: true,
@@ -101,11 +141,16 @@ statsSchema.statics.updateOrCreateStats = async function (
       periodEnd,
       totalDistance: statsData.totalDistance,
       totalDuration: statsData.totalDuration,
+      totalMovingTime: statsData.totalMovingTime,
       totalRuns: statsData.totalRuns,
       averageSpeed: statsData.averageSpeed,
       longestRun: statsData.longestRun,
       longestDuration: statsData.longestDuration,
       fastestSpeed: statsData.fastestSpeed,
+      totalElevationGain: statsData.totalElevationGain,
+      totalElevationLoss: statsData.totalElevationLoss,
+      averageGradeAdjustedPace: statsData.averageGradeAdjustedPace,
+      activityBreakdown: statsData.activityBreakdown,
     },
   };
 
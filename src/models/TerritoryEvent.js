@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// A territory tile changing hands from one user to another
+const territoryEventSchema = new mongoose.Schema(
+  {
+    tileId: {
+      type: String,
+      required: [true, 'Tile ID is required'],
+    },
+    // User who took the tile
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required'],
+      index: true,
+    },
+    // User who lost the tile
+    previousOwnerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    runId: {
+      type: String,
+      required: true,
+    },
+    occurredAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+    collection: 'territory_events',
+  }
+);
+
+territoryEventSchema.index({ previousOwnerId: 1, occurredAt: -1 });
+
+const TerritoryEvent = mongoose.model('TerritoryEvent', territoryEventSchema);
+
+module.exports = TerritoryEvent;
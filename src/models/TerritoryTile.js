@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+const territoryTileSchema = new mongoose.Schema(
+  {
+    // Axial hex coordinates joined as "q:r"
+    tileId: {
+      type: String,
+      required: [true, 'Tile ID is required'],
+      unique: true,
+    },
+    q: {
+      type: Number,
+      required: true,
+    },
+    r: {
+      type: Number,
+      required: true,
+    },
+    center: {
+      type: {
+        type: String,
+        enum: ['Point'],
+        default: 'Point',
+      },
+      coordinates: {
+        type: [Number], // [longitude, latitude]
+        required: true,
+      },
+    },
+    // Whoever covered the tile most recently owns it
+    ownerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Owner ID is required'],
+      index: true,
+    },
+    runId: {
+      type: String,
+      required: true,
+    },
+    capturedAt: {
+      type: Date,
+      required: true,
+    },
+    captureCount: {
+      type: Number,
+      default: 1,
+      min: 1,
+    },
+  },
+  {
+    timestamps: true,
+    collection: 'territory_tiles',
+  }
+);
+
+territoryTileSchema.index({ center: '2dsphere' });
+territoryTileSchema.index({ ownerId: 1, capturedAt: -1 });
+
+const TerritoryTile = mongoose.model('TerritoryTile', territoryTileSchema);
+
+module.exports = TerritoryTile;
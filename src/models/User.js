@@ -1,4 +1,35 @@
 const mongoose = require('mongoose');
+const { PRIVACY_ZONES, RUN_VISIBILITY } = require('../utils/constants');
+
+const privacyZoneSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      trim: true,
+      default: null,
+      maxlength: [PRIVACY_ZONES.MAX_NAME_LENGTH, `Zone name cannot exceed ${PRIVACY_ZONES.MAX_NAME_LENGTH} characters`],
+    },
+    latitude: {
+      type: Number,
+      required: [true, 'Zone latitude is required'],
+      min: -90,
+      max: 90,
+    },
+    longitude: {
+      type: Number,
+      required: [true, 'Zone longitude is required'],
+      min: -180,
+      max: 180,
+    },
+    radius: {
+      type: Number, // meters
+      required: [true, 'Zone radius is required'],
+      min: [PRIVACY_ZONES.MIN_RADIUS, `Zone radius must be at least ${PRIVACY_ZONES.MIN_RADIUS} meters`],
+      max: [PRIVACY_ZONES.MAX_RADIUS, `Zone radius cannot exceed ${PRIVACY_ZONES.MAX_RADIUS} meters`],
+    },
+  },
+  { _id: false }
+);
 
 const userSchema = new mongoose.Schema(
   {
@@ -19,6 +50,13 @@ const userSchema = new mongoose.Schema(
       trim: true,
       maxlength: [50, 'Username cannot exceed 50 characters'],
     },
+    // Free-form name shown to other users; username is the handle
+    displayName: {
+      type: String,
+      trim: true,
+      default: null,
+      maxlength: [50, 'Display name cannot exceed 50 characters'],
+    },
     profilePicture: {
       type: String,
       default: null,
@@ -28,6 +66,38 @@ const userSchema = new mongoose.Schema(
       default: '#FF6B6B',
       match: [/^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/, 'Please provide a valid hex color code'],
     },
+    // Used to derive heart-rate zones; falls back to a default when unset
+    maxHeartRate: {
+      type: Number,
+      default: null,
+      min: [100, 'Max heart rate must be at least 100 bpm'],
+      max: [250, 'Max heart rate cannot exceed 250 bpm'],
+    },
+    // Used for training load (TRIMP); falls back to a default when unset
+    restingHeartRate: {
+      type: Number,
+      default: null,
+      min: [25, 'Resting heart rate must be at least 25 bpm'],
+      max: [120, 'Resting heart rate cannot exceed 120 bpm'],
+    },
+    // Visibility given to new runs that do not set their own
+    defaultVisibility: {
+      type: String,
+      enum: {
+        values: Object.values(RUN_VISIBILITY),
+        message: `Default visibility must be one of: ${Object.values(RUN_VISIBILITY).join(', ')}`,
+      },
+      default: RUN_VISIBILITY.PUBLIC,
+    },
+    // Route points inside these circles are hidden from other users
+    privacyZones: {
+      type: [privacyZoneSchema],
+      default: [],
+      validate: {
+        validator: (zones) => zones.length <= PRIVACY_ZONES.MAX_ZONES,
+        message: `Cannot have more than ${PRIVACY_ZONES.MAX_ZONES} privacy zones`,
+      },
+    },
     isActive: {
       type: Boolean,
       default: true,
@@ -0,0 +1,17 @@
+const express = require('express');
+const cronController = require('../controllers/cronController');
+const { authenticateCron } = require('../middlewares/authMiddleware');
+
+const router = express.Router();
+
+// Called by Vercel Cron (see vercel.json), never by the app
+router.use(authenticateCron);
+
+/**
+ * @route   GET /api/v1/cron/leaderboards
+ * @desc    Rebuild the current leaderboard snapshots and record today's all-time ranks
+ * @access  Cron (Authorization: Bearer CRON_SECRET)
+ */
+router.get('/leaderboards', cronController.rebuildLeaderboards);
+
+module.exports = router;
@@ -0,0 +1,36 @@
+const express = require('express');
+const liveController = require('../controllers/liveController');
+const { authenticate } = require('../middlewares/authMiddleware');
+const { livePositionLimiter } = require('../middlewares/rateLimiter');
+const {
+  boundingBoxValidation,
+  livePositionValidation,
+} = require('../middlewares/validator');
+
+const router = express.Router();
+
+// All live routes require authentication
+router.use(authenticate);
+
+/**
+ * @route   PUT /api/v1/live/position
+ * @desc    Report the current position of a run in progress (starts a session on first update)
+ * @access  Private
+ */
+router.put('/position', livePositionLimiter, livePositionValidation, liveController.updatePosition);
+
+/**
+ * @route   DELETE /api/v1/live/session
+ * @desc    End the current user's live session
+ * @access  Private
+ */
+router.delete('/session', liveController.endSession);
+
+/**
+ * @route   GET /api/v1/live/runners
+ * @desc    Get runs in progress inside a bounding box (?minLat=&minLng=&maxLat=&maxLng=)
+ * @access  Private
+ */
+router.get('/runners', boundingBoxValidation, liveController.getRunners);
+
+module.exports = router;
@@ -0,0 +1,29 @@
+const express = require('express');
+const mapController = require('../controllers/mapController');
+const { authenticate } = require('../middlewares/authMiddleware');
+const {
+  mapTileValidation,
+  heatmapValidation,
+} = require('../middlewares/validator');
+
+const router = express.Router();
+
+// All map routes require authentication
+router.use(authenticate);
+
+/**
+ * @route   GET /api/v1/map/tiles/:z/:x/:y.mvt
+ * @desc    Get a Mapbox Vector Tile of community runs (routes from zoom 10, run points below)
+ * @access  Private (authenticated users only)
+ */
+router.get('/tiles/:z/:x/:y.mvt', mapTileValidation, mapController.getTile);
+
+/**
+ * @route   GET /api/v1/map/heatmap
+ * @desc    Get route point density per grid cell (?minLat=&minLng=&maxLat=&maxLng=&zoom=)
+ *          Supports ?since=, ?until=, ?activityType= and ?format=json|png
+ * @access  Private (authenticated users only)
+ */
+router.get('/heatmap', heatmapValidation, mapController.getHeatmap);
+
+module.exports = router;
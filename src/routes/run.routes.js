@@ -3,10 +3,18 @@ const runController = require('../controllers/runController');
 const { authenticate } = require('../middlewares/authMiddleware');
 const {
   createRunValidation,
+  importGpxValidation,
   updateRunValidation,
   dateRangeValidation,
   paginationValidation,
+  routeOptionsValidation,
+  communityMapValidation,
+  leaderboardValidation,
+  leaderboardPositionValidation,
+  rankHistoryValidation,
   runIdValidation,
+  exportRunValidation,
+  splitsValidation,
   bulkSyncValidation,
 } = require('../middlewares/validator');
 const { createRunLimiter } = require('../middlewares/rateLimiter');
@@ -23,6 +31,19 @@ router.use(authenticate);
  */
 router.post('/', createRunLimiter, createRunValidation, runController.createRun);
 
+/**
+ * @route   POST /api/v1/runs/import/gpx
+ * @desc    Import a run from a GPX 1.1 file (raw XML body or JSON { gpx })
+ * @access  Private
+ */
+router.post(
+  '/import/gpx',
+  createRunLimiter,
+  express.text({ type: ['application/gpx+xml', 'application/xml', 'text/xml'], limit: '10mb' }),
+  importGpxValidation,
+  runController.importGpxRun
+);
+
 /**
  * @route   POST /api/v1/runs/bulk-sync
  * @desc    Bulk sync multiple runs (for offline data)
@@ -54,38 +75,99 @@ router.get('/date-range', dateRangeValidation, runController.getRunsByDateRange)
 /**
  * @route   GET /api/v1/runs/community-map
  * @desc    Get all community runs for map plotting (all users)
+ *          Supports ?zoom=N or ?tolerance=meters simplification and ?encoding=polyline
+ *          Filter by bounding box, ?polygon=<GeoJSON> or ?nearLat=&nearLng=&radius=;
+ *          ?match=route matches any part of the route instead of its center
+ *          ?cluster=true&zoom=N returns clusters of route centers instead of runs
+ *          Filter by start time with ?since=&until=&daysOfWeek=1-5&hours=6-9&timezone=
  * @access  Private (authenticated users only)
  */
-router.get('/community-map', paginationValidation, runController.getCommunityRuns);
+router.get(
+  '/community-map',
+  paginationValidation,
+  routeOptionsValidation,
+  communityMapValidation,
+  runController.getCommunityRuns
+);
 
 /**
  * @route   GET /api/v1/runs/leaderboard/area
- * @desc    Get area leaderboard with rankings
+ * @desc    Get area leaderboard with rankings (optional ?activityType=)
+ *          ?period=all_time|week|month|year, or period=custom with ?since=&until=
+ *          Limit to a bounding box, a named city (?city=berlin) or the caller's home area (?home=true)
  * @access  Private
  */
-router.get('/leaderboard/area', paginationValidation, runController.getAreaLeaderboard);
+router.get(
+  '/leaderboard/area',
+  paginationValidation,
+  leaderboardValidation,
+  runController.getAreaLeaderboard
+);
 
 /**
  * @route   GET /api/v1/runs/leaderboard/distance
- * @desc    Get distance leaderboard with rankings
+ * @desc    Get distance leaderboard with rankings (same filters as the area leaderboard)
  * @access  Private
  */
-router.get('/leaderboard/distance', paginationValidation, runController.getDistanceLeaderboard);
+router.get(
+  '/leaderboard/distance',
+  paginationValidation,
+  leaderboardValidation,
+  runController.getDistanceLeaderboard
+);
+
+/**
+ * @route   GET /api/v1/runs/leaderboard/me
+ * @desc    Get the caller's rank and the users around them (?type=area|distance&neighbors=2)
+ *          Takes the same period and region filters as the leaderboards
+ * @access  Private
+ */
+router.get(
+  '/leaderboard/me',
+  leaderboardPositionValidation,
+  runController.getLeaderboardPosition
+);
+
+/**
+ * @route   GET /api/v1/runs/leaderboard/me/history
+ * @desc    Get how the caller's rank changed (?type=area|distance&period=all_time|week|month|year&limit=30)
+ *          All time gives daily ranks; week, month and year give the rank on each past period's board
+ * @access  Private
+ */
+router.get(
+  '/leaderboard/me/history',
+  rankHistoryValidation,
+  runController.getRankHistory
+);
 
 /**
  * @route   GET /api/v1/runs/:id
  * @desc    Get a specific run by ID
  * @access  Private
  */
-router.get('/:id', runIdValidation, runController.getRunById);
+router.get('/:id', runIdValidation, routeOptionsValidation, runController.getRunById);
 
 /**
  * @route   GET /api/v1/runs/:id/location-points
- * @desc    Get location points for a specific run
+ * @desc    Get location points for a specific run (?raw=true for the unfiltered GPS trace)
  * @access  Private
  */
 router.get('/:id/location-points', runIdValidation, runController.getRunLocationPoints);
 
+/**
+ * @route   GET /api/v1/runs/:id/splits
+ * @desc    Get per-km or per-mile splits and client-marked laps for a run
+ * @access  Private
+ */
+router.get('/:id/splits', splitsValidation, runController.getRunSplits);
+
+/**
+ * @route   GET /api/v1/runs/:id/export
+ * @desc    Download a run as a GPX, TCX or GeoJSON file
+ * @access  Private
+ */
+router.get('/:id/export', exportRunValidation, runController.exportRun);
+
 /**
  * @route   PATCH /api/v1/runs/:id
  * @desc    Update a run (notes only)
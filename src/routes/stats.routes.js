@@ -1,7 +1,11 @@
 const express = require('express');
 const statsController = require('../controllers/statsController');
 const { authenticate } = require('../middlewares/authMiddleware');
-const { statsPeriodValidation } = require('../middlewares/validator');
+const {
+  statsPeriodValidation,
+  activityTypeFilterValidation,
+  trainingLoadValidation,
+} = require('../middlewares/validator');
 
 const router = express.Router();
 
@@ -10,38 +14,59 @@ router.use(authenticate);
 
 /**
  * @route   GET /api/v1/stats/overview
- * @desc    Get comprehensive statistics overview (all periods)
+ * @desc    Get comprehensive statistics overview (all periods, optional ?activityType=)
  * @access  Private
  */
-router.get('/overview', statsController.getStatsOverview);
+router.get('/overview', activityTypeFilterValidation, statsController.getStatsOverview);
 
 /**
  * @route   GET /api/v1/stats/all-time
  * @desc    Get all-time statistics
  * @access  Private
  */
-router.get('/all-time', statsController.getAllTimeStats);
+router.get('/all-time', activityTypeFilterValidation, statsController.getAllTimeStats);
 
 /**
  * @route   GET /api/v1/stats/weekly
  * @desc    Get weekly statistics
  * @access  Private
  */
-router.get('/weekly', statsController.getWeeklyStats);
+router.get('/weekly', activityTypeFilterValidation, statsController.getWeeklyStats);
 
 /**
  * @route   GET /api/v1/stats/monthly
  * @desc    Get monthly statistics
  * @access  Private
  */
-router.get('/monthly', statsController.getMonthlyStats);
+router.get('/monthly', activityTypeFilterValidation, statsController.getMonthlyStats);
 
 /**
  * @route   GET /api/v1/stats/yearly
  * @desc    Get yearly statistics
  * @access  Private
  */
-router.get('/yearly', statsController.getYearlyStats);
+router.get('/yearly', activityTypeFilterValidation, statsController.getYearlyStats);
+
+/**
+ * @route   GET /api/v1/stats/records
+ * @desc    Get personal records (fastest 400m, 1k, 1 mile, 5k, 10k, half and full marathon)
+ * @access  Private
+ */
+router.get('/records', statsController.getPersonalRecords);
+
+/**
+ * @route   GET /api/v1/stats/training-load
+ * @desc    Get daily TRIMP with acute (7-day) and chronic (28-day) load and their ratio
+ * @access  Private
+ */
+router.get('/training-load', trainingLoadValidation, statsController.getTrainingLoad);
+
+/**
+ * @route   GET /api/v1/stats/predictions
+ * @desc    Get VO2max (VDOT) estimate and 5k, 10k, half and full marathon time predictions
+ * @access  Private
+ */
+router.get('/predictions', statsController.getPredictions);
 
 /**
  * @route   POST /api/v1/stats/refresh
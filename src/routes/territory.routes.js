@@ -0,0 +1,42 @@
+const express = require('express');
+const territoryController = require('../controllers/territoryController');
+const { authenticate } = require('../middlewares/authMiddleware');
+const {
+  paginationValidation,
+  boundingBoxValidation,
+} = require('../middlewares/validator');
+
+const router = express.Router();
+
+// All territory routes require authentication
+router.use(authenticate);
+
+/**
+ * @route   GET /api/v1/territory/tiles
+ * @desc    Get owned hex tiles inside a bounding box (?minLat=&minLng=&maxLat=&maxLng=)
+ * @access  Private
+ */
+router.get('/tiles', boundingBoxValidation, territoryController.getTiles);
+
+/**
+ * @route   GET /api/v1/territory/me
+ * @desc    Get the tiles the current user owns
+ * @access  Private
+ */
+router.get('/me', paginationValidation, territoryController.getMyTiles);
+
+/**
+ * @route   GET /api/v1/territory/stolen
+ * @desc    Get tiles other users have stolen from the current user
+ * @access  Private
+ */
+router.get('/stolen', paginationValidation, territoryController.getStolenTiles);
+
+/**
+ * @route   GET /api/v1/territory/leaderboard
+ * @desc    Get leaderboard by tiles owned
+ * @access  Private
+ */
+router.get('/leaderboard', paginationValidation, territoryController.getLeaderboard);
+
+module.exports = router;
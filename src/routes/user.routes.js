@@ -1,7 +1,11 @@
 const express = require('express');
 const userController = require('../controllers/userController');
 const { authenticate } = require('../middlewares/authMiddleware');
-const { updateProfileValidation } = require('../middlewares/validator');
+const {
+  updateProfileValidation,
+  paginationValidation,
+  userIdValidation,
+} = require('../middlewares/validator');
 
 const router = express.Router();
 
@@ -36,6 +40,62 @@ router.get('/stats', userController.getUserStats);
  */
 router.get('/activity', userController.getUserActivity);
 
+/**
+ * @route   GET /api/v1/users/following
+ * @desc    Get the users the current user follows
+ * @access  Private
+ */
+router.get('/following', paginationValidation, userController.getFollowing);
+
+/**
+ * @route   GET /api/v1/users/followers
+ * @desc    Get the current user's followers
+ * @access  Private
+ */
+router.get('/followers', paginationValidation, userController.getFollowers);
+
+/**
+ * @route   DELETE /api/v1/users/followers/:userId
+ * @desc    Remove a follower or decline their follow request
+ * @access  Private
+ */
+router.delete('/followers/:userId', userIdValidation, userController.removeFollower);
+
+/**
+ * @route   GET /api/v1/users/follow-requests
+ * @desc    Get pending requests to follow the current user
+ * @access  Private
+ */
+router.get('/follow-requests', paginationValidation, userController.getFollowRequests);
+
+/**
+ * @route   GET /api/v1/users/follow-requests/sent
+ * @desc    Get the current user's own follow requests that are still pending
+ * @access  Private
+ */
+router.get('/follow-requests/sent', paginationValidation, userController.getSentFollowRequests);
+
+/**
+ * @route   POST /api/v1/users/follow-requests/:userId/accept
+ * @desc    Accept a user's request to follow the current user
+ * @access  Private
+ */
+router.post('/follow-requests/:userId/accept', userIdValidation, userController.acceptFollowRequest);
+
+/**
+ * @route   POST /api/v1/users/:userId/follow
+ * @desc    Ask to follow a user (followers-only runs are shared once they accept)
+ * @access  Private
+ */
+router.post('/:userId/follow', userIdValidation, userController.followUser);
+
+/**
+ * @route   DELETE /api/v1/users/:userId/follow
+ * @desc    Unfollow a user or withdraw a follow request
+ * @access  Private
+ */
+router.delete('/:userId/follow', userIdValidation, userController.unfollowUser);
+
 /**
  * @route   DELETE /api/v1/users/data
  * @desc    Clear all user data (runs, stats)
@@ -0,0 +1,151 @@
+/**
+ * Follow Service
+ * One-way follows; followers can see runs shared with "followers" visibility
+ * once the followed user has accepted their request
+ */
+
+const Follow = require('../models/Follow');
+const User = require('../models/User');
+const ApiError = require('../utils/ApiError');
+const { calculatePagination } = require('../utils/helpers');
+const { MESSAGES, PAGINATION, FOLLOW_STATUS } = require('../utils/constants');
+const { PUBLIC_PROFILE_SELECT, toPublicProfile } = require('../utils/publicProfile');
+
+// Follows without a status predate approvals and count as accepted
+const ACCEPTED_FILTER = { status: { $ne: FOLLOW_STATUS.PENDING } };
+
+class FollowService {
+  /**
+   * Ask to follow another user; the follow is pending until they accept it
+   * @param {string} followerId - User who follows
+   * @param {string} followingId - User to follow
+   * @returns {Object} { following, requested }
+   */
+  async follow(followerId, followingId) {
+    if (followerId.toString() === followingId.toString()) {
+      throw ApiError.badRequest('You cannot follow yourself');
+    }
+
+    const user = await User.findOne({ _id: followingId, isActive: true }).select('_id');
+    if (!user) {
+      throw ApiError.notFound(MESSAGES.USER_NOT_FOUND);
+    }
+
+    // Following twice is a no-op and keeps an accepted follow accepted
+    const follow = await Follow.findOneAndUpdate(
+      { followerId, followingId },
+      { $setOnInsert: { followerId, followingId, status: FOLLOW_STATUS.PENDING } },
+      { upsert: true, new: true }
+    ).lean();
+
+    const requested = follow.status === FOLLOW_STATUS.PENDING;
+
+    return { following: !requested, requested };
+  }
+
+  /**
+   * Stop following a user, or withdraw a pending request
+   * @param {string} followerId - User who follows
+   * @param {string} followingId - User to unfollow
+   * @returns {Object} { following: false, requested: false }
+   */
+  async unfollow(followerId, followingId) {
+    await Follow.deleteOne({ followerId, followingId });
+
+    return { following: false, requested: false };
+  }
+
+  /**
+   * Accept a pending follow request
+   * @param {string} userId - User who was asked
+   * @param {string} followerId - User who asked to follow
+   * @returns {Object} { accepted: true }
+   */
+  async acceptRequest(userId, followerId) {
+    const result = await Follow.updateOne(
+      { followerId, followingId: userId, status: FOLLOW_STATUS.PENDING },
+      { $set: { status: FOLLOW_STATUS.ACCEPTED } }
+    );
+
+    if (result.matchedCount === 0) {
+      throw ApiError.notFound(MESSAGES.FOLLOW_REQUEST_NOT_FOUND);
+    }
+
+    return { accepted: true };
+  }
+
+  /**
+   * Remove a follower, or decline their pending request
+   * @param {string} userId - User who is followed
+   * @param {string} followerId - Follower to remove
+   * @returns {Object} { removed }
+   */
+  async removeFollower(userId, followerId) {
+    const result = await Follow.deleteOne({ followerId, followingId: userId });
+
+    return { removed: result.deletedCount > 0 };
+  }
+
+  /**
+   * IDs of the users someone follows, for visibility filters
+   * @param {string} userId - User ID
+   * @returns {Array} User IDs
+   */
+  async getFollowingIds(userId) {
+    return Follow.find({ followerId: userId, ...ACCEPTED_FILTER }).distinct('followingId');
+  }
+
+  /**
+   * List the users someone follows, their followers, or pending requests to or from them
+   * @param {string} userId - User ID
+   * @param {string} direction - 'following', 'followers', 'requests' (received) or 'sent'
+   * @param {Object} options - { page, limit }
+   * @returns {Object} { users, pagination }
+   */
+  async listConnections(userId, direction, options = {}) {
+    const page = parseInt(options.page) || PAGINATION.DEFAULT_PAGE;
+    const limit = Math.min(parseInt(options.limit) || PAGINATION.DEFAULT_LIMIT, PAGINATION.MAX_LIMIT);
+
+    const [ownField, otherField] = direction === 'following' || direction === 'sent'
+      ? ['followerId', 'followingId']
+      : ['followingId', 'followerId'];
+
+    const isPending = direction === 'requests' || direction === 'sent';
+    const filter = {
+      [ownField]: userId,
+      ...(isPending ? { status: FOLLOW_STATUS.PENDING } : ACCEPTED_FILTER),
+    };
+
+    const [follows, totalItems] = await Promise.all([
+      Follow.find(filter)
+        .populate(otherField, PUBLIC_PROFILE_SELECT)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Follow.countDocuments(filter),
+    ]);
+
+    const users = follows
+      .filter((follow) => follow[otherField])
+      .map((follow) => ({
+        ...toPublicProfile(follow[otherField]),
+        since: follow.createdAt,
+      }));
+
+    return {
+      users,
+      pagination: calculatePagination(totalItems, page, limit),
+    };
+  }
+
+  /**
+   * Remove all follows from and to a user
+   * @param {string} userId - User ID
+   */
+  async deleteUserFollows(userId) {
+    await Follow.deleteMany({ $or: [{ followerId: userId }, { followingId: userId }] });
+  }
+}
+
+module.exports = new FollowService();
@@ -5,6 +5,8 @@
 
 const { GoogleGenerativeAI } = require('@google/generative-ai');
 const opikService = require('./opikService');
+const metricsService = require('./metricsService');
+const { formatDuration } = require('../utils/helpers');
 
 class GeminiService {
   constructor() {
@@ -101,10 +103,11 @@ class GeminiService {
   /**
    * Analyze a single run and provide health insights
    * @param {Object} runData - Run data object
+   * @param {Object} context - Optional { predictions } from predictionService
    * @returns {Object} Analysis result
    */
-  async analyzeRun(runData) {
-    const prompt = this.buildRunAnalysisPrompt(runData);
+  async analyzeRun(runData, context = {}) {
+    const prompt = this.buildRunAnalysisPrompt(runData, context.predictions);
     const response = await this.generateResponse(prompt, 'run_analysis', {
       runId: runData.id,
       distance: runData.distance,
@@ -122,34 +125,56 @@ class GeminiService {
 
   /**
    * Build prompt for run analysis
+   * @param {Object} runData - Run data object
+   * @param {Object} predictions - Optional VDOT and race predictions for the runner
    */
-  buildRunAnalysisPrompt(runData) {
+  buildRunAnalysisPrompt(runData, predictions = null) {
     const distanceKm = (runData.distance / 1000).toFixed(2);
-    const durationMinutes = (runData.duration / 60).toFixed(1);
+    // Pace is based on moving time so stops at traffic lights don't count against the runner
+    const movingTime = runData.movingTime ?? runData.duration;
+    const durationMinutes = (movingTime / 60).toFixed(1);
     const paceMinPerKm = runData.distance > 0 
-      ? ((runData.duration / 60) / (runData.distance / 1000)).toFixed(2) 
+      ? ((movingTime / 60) / (runData.distance / 1000)).toFixed(2) 
       : 'N/A';
     const avgSpeedKmh = (runData.averageSpeed * 3.6).toFixed(2);
+    const splits = metricsService.computeSplits(runData.route);
+    const splitTrend = metricsService.getSplitTrend(splits);
+    const splitLines = splits
+      .map((split) => `  - Km ${split.split}${split.partial ? ` (${(split.distance / 1000).toFixed(2)} km)` : ''}: ${formatDuration(split.pace)} /km${split.elevationChange !== null ? `, ${split.elevationChange >= 0 ? '+' : ''}${split.elevationChange} m` : ''}`)
+      .join('\n');
+    const predictionLines = (predictions?.predictions || [])
+      .map((prediction) => `  - ${prediction.distance.replace('_', ' ')}: ${formatDuration(prediction.time)} (${formatDuration(prediction.pacePerKm)} /km)`)
+      .join('\n');
 
     return `
 You are a professional running coach and health expert. Analyze the following run data and provide comprehensive insights.
 
 ## Run Data:
 - **Distance**: ${distanceKm} km (${runData.distance} meters)
-- **Duration**: ${durationMinutes} minutes (${runData.duration} seconds)
+- **Moving Time**: ${durationMinutes} minutes (${movingTime} seconds)
+${runData.pauses?.length ? `- **Elapsed Time**: ${(runData.duration / 60).toFixed(1)} minutes including ${runData.pauses.length} stops` : ''}
 - **Average Speed**: ${avgSpeedKmh} km/h
 - **Max Speed**: ${(runData.maxSpeed * 3.6).toFixed(2)} km/h
 - **Pace**: ${paceMinPerKm} min/km
+${runData.averageHeartRate ? `- **Heart Rate**: ${runData.averageHeartRate} bpm average, ${runData.maxHeartRate} bpm max` : ''}
+${runData.averageCadence ? `- **Cadence**: ${runData.averageCadence} spm average` : ''}
 - **Date**: ${new Date(runData.startTime).toLocaleDateString()}
 - **Time**: ${new Date(runData.startTime).toLocaleTimeString()} - ${new Date(runData.endTime).toLocaleTimeString()}
 ${runData.area ? `- **Area**: ${runData.area}` : ''}
 ${runData.notes ? `- **Notes**: ${runData.notes}` : ''}
 ${runData.route?.length ? `- **Route Points**: ${runData.route.length} GPS points recorded` : ''}
+${splits.length ? `- **Kilometer Splits**:\n${splitLines}` : ''}
+${splitTrend ? `- **Split Trend**: ${splitTrend} splits` : ''}
+${predictions?.vdot ? `
+## Runner Fitness (from recent best efforts):
+- **VDOT (VO2max estimate)**: ${predictions.vdot}
+- **Predicted Race Times**:
+${predictionLines}` : ''}
 
 Please provide:
 
 ### 1. Run Performance Analysis
-Analyze the run performance including pace consistency, speed metrics, and overall effort level.
+Analyze the run performance including pace consistency, speed metrics, and overall effort level. If splits are provided, comment on pacing (negative splits, fades, hills).
 
 ### 2. Health Benefits
 List specific health benefits the user gained from this run, including:
@@ -160,7 +185,7 @@ List specific health benefits the user gained from this run, including:
 - Endurance improvements
 
 ### 3. Personalized Recommendations
-Provide 3-5 actionable recommendations to improve future runs.
+Provide 3-5 actionable recommendations to improve future runs. If runner fitness is provided, base any target paces and race goals on the VDOT and predicted times rather than generic advice.
 
 ### 4. Recovery Suggestions
 Suggest recovery activities and nutrition tips post-run.
@@ -177,24 +202,33 @@ Format your response in clear sections with headers.
    */
   extractRunStats(runData) {
     const distanceKm = runData.distance / 1000;
-    const durationMinutes = runData.duration / 60;
+    const movingTime = runData.movingTime ?? runData.duration;
+    const durationMinutes = movingTime / 60;
     const paceMinPerKm = distanceKm > 0 ? durationMinutes / distanceKm : 0;
     const avgSpeedKmh = runData.averageSpeed * 3.6;
     const maxSpeedKmh = runData.maxSpeed * 3.6;
 
     // Estimate calories (rough calculation: ~60 calories per km for average person)
     const estimatedCalories = Math.round(distanceKm * 60);
+    const splits = metricsService.computeSplits(runData.route);
 
     return {
       distanceKm: parseFloat(distanceKm.toFixed(2)),
       distanceMeters: runData.distance,
       durationMinutes: parseFloat(durationMinutes.toFixed(1)),
       durationSeconds: runData.duration,
+      movingTimeSeconds: movingTime,
+      pauses: runData.pauses?.length || 0,
       paceMinPerKm: parseFloat(paceMinPerKm.toFixed(2)),
       avgSpeedKmh: parseFloat(avgSpeedKmh.toFixed(2)),
       maxSpeedKmh: parseFloat(maxSpeedKmh.toFixed(2)),
+      averageHeartRate: runData.averageHeartRate ?? null,
+      maxHeartRate: runData.maxHeartRate ?? null,
+      averageCadence: runData.averageCadence ?? null,
       estimatedCalories,
       routePoints: runData.route?.length || 0,
+      splits,
+      splitTrend: metricsService.getSplitTrend(splits),
       startTime: runData.startTime,
       endTime: runData.endTime,
       area: runData.area,
@@ -267,7 +301,7 @@ Format your response in clear sections with headers.
     }
 
     const totalDistance = runs.reduce((sum, run) => sum + run.distance, 0);
-    const totalDuration = runs.reduce((sum, run) => sum + run.duration, 0);
+    const totalDuration = runs.reduce((sum, run) => sum + (run.movingTime ?? run.duration), 0);
     const avgSpeed = runs.reduce((sum, run) => sum + run.averageSpeed, 0) / runs.length;
     const longestRun = Math.max(...runs.map(run => run.distance));
     const fastestSpeed = Math.max(...runs.map(run => run.averageSpeed));
@@ -298,7 +332,7 @@ Format your response in clear sections with headers.
   buildWeeklyReportPrompt(runs, weeklyStats, userStats) {
     const runDetails = runs.map((run, index) => {
       const distKm = (run.distance / 1000).toFixed(2);
-      const durMin = (run.duration / 60).toFixed(1);
+      const durMin = ((run.movingTime ?? run.duration) / 60).toFixed(1);
       const date = new Date(run.startTime).toLocaleDateString();
       return `  ${index + 1}. ${date}: ${distKm} km in ${durMin} min (${(run.averageSpeed * 3.6).toFixed(1)} km/h)`;
     }).join('\n');
@@ -311,7 +345,7 @@ You are a professional running coach and health expert. Generate a comprehensive
 ### Run Statistics:
 - **Total Runs**: ${weeklyStats.totalRuns}
 - **Total Distance**: ${weeklyStats.totalDistance} km
-- **Total Duration**: ${weeklyStats.totalDuration} minutes
+- **Total Moving Time**: ${weeklyStats.totalDuration} minutes
 - **Average Distance per Run**: ${weeklyStats.avgDistance} km
 - **Average Pace**: ${weeklyStats.avgPace} min/km
 - **Average Speed**: ${weeklyStats.avgSpeed} km/h
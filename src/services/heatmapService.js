@@ -0,0 +1,453 @@
+/**
+ * Heatmap Service
+ * Aggregates community route points into map-aligned grid cells, cached per map tile
+ */
+
+const Run = require('../models/Run');
+const ApiError = require('../utils/ApiError');
+const { encodePng } = require('../utils/png');
+const {
+  getActivityTypeFilter,
+  isWideBounds,
+  getLocationFilter,
+  getRouteIntersectsFilter,
+  getMercatorCellProjection,
+  getTimeWindowFilter,
+  getOutsidePrivacyZonesExpression,
+  getPublicVisibilityFilter,
+} = require('../utils/helpers');
+const {
+  toMercator,
+  expandBounds,
+  boundsToPolygon,
+  getZoomTolerance,
+  tileBounds,
+} = require('../utils/geo');
+const { HEATMAP } = require('../utils/constants');
+
+const TILE_SIZE = 256; // pixels per map tile side
+const MAX_MERCATOR_LATITUDE = 85.05112878;
+const WORLD_SIZE = 2 * Math.PI * 6378137; // Web Mercator world width in meters
+
+// Color stops from sparse to dense as [red, green, blue, alpha]
+const HEAT_RAMP = [
+  { at: 0, color: [0, 0, 255, 0] },
+  { at: 0.2, color: [0, 120, 255, 120] },
+  { at: 0.45, color: [0, 220, 180, 170] },
+  { at: 0.7, color: [255, 220, 0, 210] },
+  { at: 1, color: [255, 40, 0, 255] },
+];
+
+// Cells with any activity start this far up the ramp so single runs stay visible
+const MIN_VISIBLE_INTENSITY = 0.15;
+
+// Grid cells along one side of a map tile
+const CELLS_PER_TILE = TILE_SIZE / HEATMAP.CELL_PIXELS;
+
+/**
+ * Route center filter for boxes too wide for one GeoJSON polygon
+ * The box is cut at the equator and into pieces at most WIDE_PIECE_DEGREES across, so each
+ * piece can use the location 2dsphere index. Polygon edges are great circles that bow toward
+ * the pole, so each piece's equator-side edge is moved out far enough that its bow still
+ * clears the box; the coordinate ranges then keep exactly the centers inside it
+ * @param {Object} bounds - { minLat, minLng, maxLat, maxLng }
+ * @returns {Object} Partial query condition
+ */
+const getWideLocationFilter = (bounds) => {
+  const latitudeBands = bounds.minLat < 0 && bounds.maxLat > 0
+    ? [[bounds.minLat, 0], [0, bounds.maxLat]]
+    : [[bounds.minLat, bounds.maxLat]];
+  const pieceCount = Math.ceil((bounds.maxLng - bounds.minLng) / HEATMAP.WIDE_PIECE_DEGREES) || 1;
+  const pieceWidth = (bounds.maxLng - bounds.minLng) / pieceCount;
+
+  // Latitude whose great circle across the piece peaks at the given latitude
+  const toRad = Math.PI / 180;
+  const clearBow = (latitude) => Math.atan(Math.tan(latitude * toRad) * Math.cos((pieceWidth / 2) * toRad)) / toRad;
+
+  const pieces = [];
+  for (const [minLat, maxLat] of latitudeBands) {
+    const northern = minLat >= 0;
+
+    for (let i = 0; i < pieceCount; i++) {
+      pieces.push({
+        location: {
+          $geoWithin: {
+            $geometry: boundsToPolygon({
+              minLat: northern ? clearBow(minLat) : minLat,
+              minLng: bounds.minLng + i * pieceWidth,
+              maxLat: northern ? maxLat : clearBow(maxLat),
+              maxLng: bounds.minLng + (i + 1) * pieceWidth,
+            }),
+          },
+        },
+      });
+    }
+  }
+
+  return { $or: pieces, ...getLocationFilter(bounds) };
+};
+
+class HeatmapService {
+  constructor() {
+    // Cells per "zoom/x/y/filters" map tile; Map keeps insertion order, so the first key
+    // is always the least recently used tile
+    this.cache = new Map();
+  }
+
+  /**
+   * Read a tile's cells from the cache, dropping them once expired
+   * @param {string} key - "zoom/x/y/since/until/activityType"
+   * @returns {Array|null} Cached cells
+   */
+  getCachedTile(key) {
+    const entry = this.cache.get(key);
+    if (!entry) return null;
+
+    this.cache.delete(key);
+    if (entry.expiresAt <= Date.now()) return null;
+
+    this.cache.set(key, entry);
+    return entry.cells;
+  }
+
+  /**
+   * Store a tile's cells, evicting the least recently used tiles past the cache size
+   * @param {string} key - "zoom/x/y/since/until/activityType"
+   * @param {Array} cells - Cells of the tile
+   */
+  setCachedTile(key, cells) {
+    this.cache.set(key, { cells, expiresAt: Date.now() + HEATMAP.CACHE_TTL * 1000 });
+
+    while (this.cache.size > HEATMAP.CACHE_MAX_TILES) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+  }
+
+  /**
+   * Drop every cached tile, e.g. after a runner changes their privacy zones
+   */
+  clearCache() {
+    this.cache.clear();
+  }
+
+  /**
+   * Position of a coordinate in map pixels at a zoom level
+   * @param {number} latitude - Latitude in degrees
+   * @param {number} longitude - Longitude in degrees
+   * @param {number} zoom - Zoom level
+   * @returns {Object} { x, y } in pixels from the world's top-left corner
+   */
+  toWorldPixels(latitude, longitude, zoom) {
+    const worldPixels = TILE_SIZE * Math.pow(2, zoom);
+    const { x, y } = toMercator(latitude, longitude);
+
+    return {
+      x: (x / WORLD_SIZE + 0.5) * worldPixels,
+      y: (0.5 - y / WORLD_SIZE) * worldPixels,
+    };
+  }
+
+  /**
+   * Describe the grid covering a bounding box
+   * @param {Object} bounds - { minLat, minLng, maxLat, maxLng }, within Mercator latitude limits
+   * @param {number} zoom - Zoom level
+   * @returns {Object} { cellsPerWorld, pixels: { minX, minY, maxX, maxY }, cellCount }
+   */
+  getGrid(bounds, zoom) {
+    const topLeft = this.toWorldPixels(bounds.maxLat, bounds.minLng, zoom);
+    const bottomRight = this.toWorldPixels(bounds.minLat, bounds.maxLng, zoom);
+    const cell = (pixel) => Math.floor(pixel / HEATMAP.CELL_PIXELS);
+
+    const columns = cell(bottomRight.x) - cell(topLeft.x) + 1;
+    const rows = cell(bottomRight.y) - cell(topLeft.y) + 1;
+
+    return {
+      cellsPerWorld: (TILE_SIZE * Math.pow(2, zoom)) / HEATMAP.CELL_PIXELS,
+      pixels: {
+        minX: topLeft.x,
+        minY: topLeft.y,
+        maxX: bottomRight.x,
+        maxY: bottomRight.y,
+      },
+      cellCount: columns * rows,
+    };
+  }
+
+  /**
+   * Center of a grid cell
+   * @param {number} x - Cell column
+   * @param {number} y - Cell row
+   * @param {number} cellsPerWorld - Cells across the world at this zoom
+   * @returns {Object} { latitude, longitude }
+   */
+  getCellCenter(x, y, cellsPerWorld) {
+    const fx = (x + 0.5) / cellsPerWorld;
+    const fy = (y + 0.5) / cellsPerWorld;
+
+    return {
+      latitude: (Math.atan(Math.sinh(Math.PI * (1 - 2 * fy))) * 180) / Math.PI,
+      longitude: fx * 360 - 180,
+    };
+  }
+
+  /**
+   * Count route points per grid cell in MongoDB
+   * Only the MAX_RUNS most recent runs are counted, and routes longer than MAX_POINTS_PER_RUN
+   * are sampled with a fixed step, each sampled point counting as step points.
+   * Points are filtered to the box and out of the runner's privacy zones before unwinding,
+   * then counted per run and per cell
+   * @param {Object} bounds - { minLat, minLng, maxLat, maxLng }
+   * @param {number} cellsPerWorld - Cells across the world at this zoom
+   * @param {Object} filters - { since, until, activityType }
+   * @returns {Array} [{ x, y, count, runCount }]
+   */
+  async aggregateCells(bounds, cellsPerWorld, filters) {
+    const { since, until, activityType } = filters;
+
+    // Routes are matched by their stored line; older runs by a center near the box
+    const searchBounds = expandBounds(bounds, HEATMAP.ROUTE_SEARCH_RADIUS);
+    const areaFilter = isWideBounds(searchBounds)
+      ? getWideLocationFilter(searchBounds)
+      : getRouteIntersectsFilter(boundsToPolygon(bounds), boundsToPolygon(searchBounds));
+
+    const match = {
+      isDeleted: false,
+      ...getActivityTypeFilter(activityType),
+      ...areaFilter,
+      ...getTimeWindowFilter({ since, until }),
+      // Shared by every viewer, so only public runs count
+      ...getPublicVisibilityFilter(),
+    };
+
+    const cells = await Run.aggregate([
+      { $match: match },
+      { $sort: { startTime: -1 } },
+      { $limit: HEATMAP.MAX_RUNS },
+      {
+        $project: {
+          userId: 1,
+          route: { $ifNull: ['$route', []] },
+          step: {
+            $toInt: {
+              $max: [1, { $ceil: { $divide: [{ $size: { $ifNull: ['$route', []] } }, HEATMAP.MAX_POINTS_PER_RUN] } }],
+            },
+          },
+        },
+      },
+      {
+        $lookup: {
+          from: 'users',
+          let: { userId: '$userId' },
+          pipeline: [
+            { $match: { $expr: { $eq: ['$_id', '$$userId'] } } },
+            { $project: { _id: 0, privacyZones: 1 } },
+          ],
+          as: 'owner',
+        },
+      },
+      {
+        $project: {
+          step: 1,
+          route: {
+            $filter: {
+              input: {
+                $map: {
+                  input: { $range: [0, { $size: '$route' }, '$step'] },
+                  as: 'index',
+                  in: { $arrayElemAt: ['$route', '$$index'] },
+                },
+              },
+              as: 'point',
+              cond: {
+                $and: [
+                  { $gte: ['$$point.latitude', bounds.minLat] },
+                  { $lte: ['$$point.latitude', bounds.maxLat] },
+                  { $gte: ['$$point.longitude', bounds.minLng] },
+                  { $lte: ['$$point.longitude', bounds.maxLng] },
+                  getOutsidePrivacyZonesExpression(
+                    '$$point.latitude',
+                    '$$point.longitude',
+                    { $ifNull: [{ $arrayElemAt: ['$owner.privacyZones', 0] }, []] }
+                  ),
+                ],
+              },
+            },
+          },
+        },
+      },
+      { $unwind: '$route' },
+      // Same Web Mercator projection as toWorldPixels, in cells instead of pixels
+      {
+        $project: {
+          step: 1,
+          ...getMercatorCellProjection('$route.longitude', '$route.latitude', cellsPerWorld),
+        },
+      },
+      { $group: { _id: { x: '$x', y: '$y', run: '$_id' }, points: { $sum: '$step' } } },
+      { $group: { _id: { x: '$_id.x', y: '$_id.y' }, count: { $sum: '$points' }, runCount: { $sum: 1 } } },
+    ]).allowDiskUse(true);
+
+    return cells.map((cell) => ({
+      x: cell._id.x,
+      y: cell._id.y,
+      count: cell.count,
+      runCount: cell.runCount,
+    }));
+  }
+
+  /**
+   * Cells covering a bounding box, aggregated per map tile and cached
+   * Tiles missing from the cache are aggregated together over the box they span
+   * @param {Object} grid - Result of getGrid for the box
+   * @param {number} zoom - Zoom level
+   * @param {Object} filters - { since, until, activityType }
+   * @returns {Array} [{ x, y, count, runCount }] inside the box
+   */
+  async getCells(grid, zoom, filters) {
+    const { since, until, activityType } = filters;
+    const { pixels, cellsPerWorld } = grid;
+    // Boxes ending on the antimeridian or the Mercator limit can round to one cell past the world
+    const cell = (pixel) => Math.min(cellsPerWorld - 1, Math.max(0, Math.floor(pixel / HEATMAP.CELL_PIXELS)));
+    const range = {
+      minX: cell(pixels.minX),
+      minY: cell(pixels.minY),
+      maxX: cell(pixels.maxX),
+      maxY: cell(pixels.maxY),
+    };
+    const tileKey = (x, y) => `${zoom}/${x}/${y}/${since || ''}/${until || ''}/${activityType || ''}`;
+
+    const cells = [];
+    const missing = [];
+    for (let y = Math.floor(range.minY / CELLS_PER_TILE); y <= Math.floor(range.maxY / CELLS_PER_TILE); y++) {
+      for (let x = Math.floor(range.minX / CELLS_PER_TILE); x <= Math.floor(range.maxX / CELLS_PER_TILE); x++) {
+        const cached = this.getCachedTile(tileKey(x, y));
+        if (cached) {
+          cells.push(...cached);
+        } else {
+          missing.push({ x, y });
+        }
+      }
+    }
+
+    if (missing.length > 0) {
+      const xs = missing.map((tile) => tile.x);
+      const ys = missing.map((tile) => tile.y);
+      const northWest = tileBounds(zoom, Math.min(...xs), Math.min(...ys));
+      const southEast = tileBounds(zoom, Math.max(...xs), Math.max(...ys));
+
+      const fresh = await this.aggregateCells(
+        { minLat: southEast.minLat, minLng: northWest.minLng, maxLat: northWest.maxLat, maxLng: southEast.maxLng },
+        cellsPerWorld,
+        filters
+      );
+
+      const byTile = new Map(missing.map(({ x, y }) => [tileKey(x, y), []]));
+      for (const cell of fresh) {
+        byTile.get(tileKey(Math.floor(cell.x / CELLS_PER_TILE), Math.floor(cell.y / CELLS_PER_TILE)))?.push(cell);
+      }
+      for (const [key, tileCells] of byTile) {
+        this.setCachedTile(key, tileCells);
+        cells.push(...tileCells);
+      }
+    }
+
+    return cells.filter((cell) => cell.x >= range.minX && cell.x <= range.maxX
+      && cell.y >= range.minY && cell.y <= range.maxY);
+  }
+
+  /**
+   * Get route point density for a bounding box
+   * @param {Object} options - { minLat, minLng, maxLat, maxLng, zoom, since, until, activityType }
+   * @returns {Object} { zoom, bounds, cellPixels, cellSizeMeters, maxCount, totalPoints, cells, grid }
+   */
+  async getDensity(options) {
+    const zoom = parseInt(options.zoom);
+    const bounds = {
+      minLat: Math.max(-MAX_MERCATOR_LATITUDE, parseFloat(options.minLat)),
+      minLng: parseFloat(options.minLng),
+      maxLat: Math.min(MAX_MERCATOR_LATITUDE, parseFloat(options.maxLat)),
+      maxLng: parseFloat(options.maxLng),
+    };
+
+    const grid = this.getGrid(bounds, zoom);
+    if (grid.cellCount > HEATMAP.MAX_CELLS) {
+      throw ApiError.badRequest(
+        `Bounding box covers ${grid.cellCount} cells at zoom ${zoom}; zoom out or shrink the box (max ${HEATMAP.MAX_CELLS})`
+      );
+    }
+
+    const cells = await this.getCells(grid, zoom, options);
+    const midLat = (bounds.minLat + bounds.maxLat) / 2;
+
+    return {
+      zoom,
+      bounds,
+      cellPixels: HEATMAP.CELL_PIXELS,
+      cellSizeMeters: Math.round(HEATMAP.CELL_PIXELS * getZoomTolerance(zoom) * Math.cos((midLat * Math.PI) / 180) * 10) / 10,
+      maxCount: cells.reduce((max, cell) => Math.max(max, cell.count), 0),
+      totalPoints: cells.reduce((sum, cell) => sum + cell.count, 0),
+      cells: cells.map((cell) => ({
+        ...this.getCellCenter(cell.x, cell.y, grid.cellsPerWorld),
+        ...cell,
+      })),
+      grid,
+    };
+  }
+
+  /**
+   * Color for a density between 0 and 1, interpolated along the heat ramp
+   * @param {number} intensity - Relative density
+   * @returns {Array} [red, green, blue, alpha]
+   */
+  getColor(intensity) {
+    const upper = HEAT_RAMP.findIndex((stop) => stop.at >= intensity);
+    if (upper <= 0) return HEAT_RAMP[Math.max(upper, 0)].color;
+
+    const from = HEAT_RAMP[upper - 1];
+    const to = HEAT_RAMP[upper];
+    const t = (intensity - from.at) / (to.at - from.at);
+
+    return from.color.map((channel, i) => Math.round(channel + (to.color[i] - channel) * t));
+  }
+
+  /**
+   * Render a density grid as a transparent PNG covering exactly the bounding box
+   * Densities are log-scaled so a few very busy cells do not wash out the rest
+   * @param {Object} density - Result of getDensity
+   * @returns {Buffer} PNG image
+   */
+  renderPng(density) {
+    const { pixels } = density.grid;
+    const width = Math.max(1, Math.round(pixels.maxX - pixels.minX));
+    const height = Math.max(1, Math.round(pixels.maxY - pixels.minY));
+
+    if (width > HEATMAP.MAX_IMAGE_SIZE || height > HEATMAP.MAX_IMAGE_SIZE) {
+      throw ApiError.badRequest(
+        `Heatmap image would be ${width}x${height} pixels; zoom out or shrink the box (max ${HEATMAP.MAX_IMAGE_SIZE} per side)`
+      );
+    }
+
+    const scale = Math.log1p(density.maxCount) || 1;
+    const colors = new Map(density.cells.map((cell) => {
+      const intensity = MIN_VISIBLE_INTENSITY + (1 - MIN_VISIBLE_INTENSITY) * (Math.log1p(cell.count) / scale);
+      return [`${cell.x}:${cell.y}`, this.getColor(intensity)];
+    }));
+
+    const image = Buffer.alloc(width * height * 4);
+    for (let row = 0; row < height; row++) {
+      const cellY = Math.floor((pixels.minY + row + 0.5) / HEATMAP.CELL_PIXELS);
+
+      for (let column = 0; column < width; column++) {
+        const cellX = Math.floor((pixels.minX + column + 0.5) / HEATMAP.CELL_PIXELS);
+        const color = colors.get(`${cellX}:${cellY}`);
+        if (color) {
+          image.set(color, (row * width + column) * 4);
+        }
+      }
+    }
+
+    return encodePng(width, height, image);
+  }
+}
+
+module.exports = new HeatmapService();
@@ -0,0 +1,753 @@
+/**
+ * Leaderboard Service
+ * Ranks users by area covered or distance. Standard boards (all time or the current week,
+ * month or year, for all activities or one type) are materialized snapshots kept up to date
+ * as runs change; boards limited to a region or a custom period are aggregated on request
+ */
+
+const mongoose = require('mongoose');
+const Run = require('../models/Run');
+const User = require('../models/User');
+const Region = require('../models/Region');
+const LeaderboardBoard = require('../models/LeaderboardBoard');
+const LeaderboardEntry = require('../models/LeaderboardEntry');
+const LeaderboardHistory = require('../models/LeaderboardHistory');
+const ApiError = require('../utils/ApiError');
+const {
+  calculatePagination,
+  getPeriodDates,
+  getActivityTypeFilter,
+  getLocationFilter,
+  getTimeWindowFilter,
+  getPublicVisibilityFilter,
+} = require('../utils/helpers');
+const { toCenterSphere } = require('../utils/geo');
+const {
+  MESSAGES,
+  PAGINATION,
+  PERIOD_TYPES,
+  ACTIVITY_TYPES,
+  AREA_METHODS,
+  LEADERBOARD_TYPES,
+  LEADERBOARD_PERIODS,
+  LEADERBOARD,
+} = require('../utils/constants');
+const {
+  PUBLIC_PROFILE_SELECT,
+  toPublicProfile,
+  lookupPublicProfile,
+  projectPublicProfile,
+} = require('../utils/publicProfile');
+
+const PERIOD_TYPES_BY_LEADERBOARD_PERIOD = {
+  [LEADERBOARD_PERIODS.WEEK]: PERIOD_TYPES.WEEKLY,
+  [LEADERBOARD_PERIODS.MONTH]: PERIOD_TYPES.MONTHLY,
+  [LEADERBOARD_PERIODS.YEAR]: PERIOD_TYPES.YEARLY,
+};
+
+// Periods kept as snapshots; a run counts toward the all-time board and the ones containing its start
+const SNAPSHOT_PERIODS = [
+  LEADERBOARD_PERIODS.ALL_TIME,
+  LEADERBOARD_PERIODS.WEEK,
+  LEADERBOARD_PERIODS.MONTH,
+  LEADERBOARD_PERIODS.YEAR,
+];
+
+// How each leaderboard totals a user's runs; users are ranked by rankBy
+const LEADERBOARDS = {
+  [LEADERBOARD_TYPES.AREA]: {
+    // Only server-computed areas rank; older runs carry client-reported values
+    match: {
+      areaMethod: { $in: Object.values(AREA_METHODS) },
+      totalArea: { $gt: 0 },
+    },
+    group: {
+      totalAreaCovered: { $sum: '$totalArea' },
+      totalRuns: { $sum: 1 },
+      totalDistance: { $sum: '$distance' },
+    },
+    rankBy: 'totalAreaCovered',
+    fields: {
+      totalAreaCovered: 1,
+      totalRuns: 1,
+      totalDistance: 1,
+      averageArea: { $divide: ['$totalAreaCovered', '$totalRuns'] },
+    },
+  },
+  [LEADERBOARD_TYPES.DISTANCE]: {
+    match: {},
+    group: {
+      totalDistance: { $sum: '$distance' },
+      totalRuns: { $sum: 1 },
+      totalDuration: { $sum: '$duration' },
+      // Runs stored before pause detection have no movingTime
+      totalMovingTime: { $sum: { $ifNull: ['$movingTime', '$duration'] } },
+    },
+    rankBy: 'totalDistance',
+    fields: {
+      totalDistance: 1,
+      totalRuns: 1,
+      totalDuration: 1,
+      totalMovingTime: 1,
+      averageSpeed: {
+        $cond: [
+          { $gt: ['$totalMovingTime', 0] },
+          { $divide: ['$totalDistance', '$totalMovingTime'] },
+          0,
+        ],
+      },
+    },
+  },
+};
+
+// Entries ranked before a score, ties going to the older account like the $sort
+const aheadOf = (score, userId) => ({ $or: [{ score: { $gt: score } }, { score, userId: { $lt: userId } }] });
+
+// Snapshot entries in rank order, matching the $sort of buildLeaderboardStages
+const SNAPSHOT_SORT = { score: -1, userId: 1 };
+
+class LeaderboardService {
+  /**
+   * Build the start time part of a leaderboard query
+   * week, month and year are the current calendar period; custom uses since/until
+   * @param {Object} period - { period, since, until }
+   * @returns {Object} Partial query condition ({} for all time)
+   */
+  buildPeriodFilter({ period, since, until }) {
+    if (!period || period === LEADERBOARD_PERIODS.ALL_TIME) return {};
+
+    if (period === LEADERBOARD_PERIODS.CUSTOM) {
+      return getTimeWindowFilter({ since, until });
+    }
+
+    const { startDate, endDate } = getPeriodDates(PERIOD_TYPES_BY_LEADERBOARD_PERIOD[period]);
+    return { startTime: { $gte: startDate, $lte: endDate } };
+  }
+
+  /**
+   * Find where a user runs most, from the centers of their recent runs
+   * Runs are grouped on a coarse grid and the busiest cell's runs are averaged,
+   * so the odd run while traveling does not move the area
+   * @param {ObjectId} userId - User ID
+   * @returns {Object} { latitude, longitude, radius }
+   */
+  async getHomeArea(userId) {
+    const runs = await Run.find({ userId, isDeleted: false, location: { $exists: true } })
+      .select('location')
+      .sort({ startTime: -1 })
+      .limit(LEADERBOARD.HOME_AREA_RUNS)
+      .lean();
+
+    if (runs.length === 0) {
+      throw ApiError.badRequest('Record a run with GPS before ranking by home area');
+    }
+
+    const cells = new Map();
+    for (const run of runs) {
+      const [longitude, latitude] = run.location.coordinates;
+      const key = `${Math.floor(latitude / LEADERBOARD.HOME_AREA_CELL)}:${Math.floor(longitude / LEADERBOARD.HOME_AREA_CELL)}`;
+      const cell = cells.get(key) || { count: 0, latitude: 0, longitude: 0 };
+
+      cell.count += 1;
+      cell.latitude += latitude;
+      cell.longitude += longitude;
+      cells.set(key, cell);
+    }
+
+    const busiest = [...cells.values()].reduce((best, cell) => (cell.count > best.count ? cell : best));
+
+    return {
+      latitude: busiest.latitude / busiest.count,
+      longitude: busiest.longitude / busiest.count,
+      radius: LEADERBOARD.HOME_AREA_RADIUS,
+    };
+  }
+
+  /**
+   * Build the region part of a leaderboard query; runs are matched by route center
+   * @param {ObjectId} userId - Caller's ID, for their home area
+   * @param {Object} region - One of boundingBox, city (region slug) or home: true
+   * @returns {Object} Partial query condition ({} for the whole world)
+   */
+  async buildRegionFilter(userId, { boundingBox, city, home }) {
+    if (boundingBox) {
+      return getLocationFilter(boundingBox);
+    }
+
+    if (city) {
+      const region = await Region.findOne({ slug: city }).select('boundary').lean();
+      if (!region) {
+        throw ApiError.notFound(MESSAGES.REGION_NOT_FOUND);
+      }
+      return { location: { $geoWithin: { $geometry: region.boundary } } };
+    }
+
+    if (home) {
+      const { latitude, longitude, radius } = await this.getHomeArea(userId);
+      return { location: { $geoWithin: { $centerSphere: toCenterSphere(latitude, longitude, radius) } } };
+    }
+
+    return {};
+  }
+
+  /**
+   * Build the run filter for a leaderboard
+   * @param {Object} options - { viewerId, activityType, period, since, until, boundingBox, city, home }
+   * @returns {Object} Query condition, without the per-leaderboard and visibility conditions
+   */
+  async buildLeaderboardMatch(options) {
+    return {
+      ...getActivityTypeFilter(options.activityType),
+      ...this.buildPeriodFilter(options),
+      ...await this.buildRegionFilter(options.viewerId, options),
+    };
+  }
+
+  /**
+   * Aggregation stages totalling runs per user, best first
+   * Ties go to the older account so pages and /leaderboard/me agree on the order
+   * @param {string} type - Leaderboard type
+   * @param {Object} match - Result of buildLeaderboardMatch
+   * @returns {Array} $match, $group and $sort stages
+   */
+  buildLeaderboardStages(type, match) {
+    const leaderboard = LEADERBOARDS[type];
+
+    return [
+      {
+        $match: {
+          isDeleted: false,
+          ...leaderboard.match,
+          ...match,
+          // Shared by every viewer, so only public runs count
+          ...getPublicVisibilityFilter(),
+        },
+      },
+      { $group: { _id: '$userId', ...leaderboard.group } },
+      { $sort: { [leaderboard.rankBy]: -1, _id: 1 } },
+    ];
+  }
+
+  /**
+   * Get a slice of a leaderboard aggregated from the runs collection
+   * @param {string} type - Leaderboard type
+   * @param {Object} match - Result of buildLeaderboardMatch
+   * @param {number} skip - Users to skip
+   * @param {number} limit - Users to return
+   * @returns {Array} Ranked entries with each user's public profile
+   */
+  async getLiveEntries(type, match, skip, limit) {
+    const entries = await Run.aggregate([
+      ...this.buildLeaderboardStages(type, match),
+      { $skip: skip },
+      { $limit: limit },
+      lookupPublicProfile('_id', 'user'),
+      {
+        $unwind: {
+          path: '$user',
+          preserveNullAndEmptyArrays: true,
+        },
+      },
+      {
+        $project: {
+          _id: 0,
+          ...projectPublicProfile('$_id', '$user'),
+          ...LEADERBOARDS[type].fields,
+        },
+      },
+    ]);
+
+    return entries.map((entry, index) => ({
+      rank: skip + index + 1,
+      ...entry,
+    }));
+  }
+
+  /**
+   * Count the users on a leaderboard aggregated from the runs collection
+   * @param {string} type - Leaderboard type
+   * @param {Object} match - Result of buildLeaderboardMatch
+   * @returns {number} Ranked users
+   */
+  async countLiveUsers(type, match) {
+    const [result] = await Run.aggregate([
+      ...this.buildLeaderboardStages(type, match).slice(0, 2),
+      { $count: 'total' },
+    ]);
+
+    return result ? result.total : 0;
+  }
+
+  /**
+   * Get the caller's place on a leaderboard aggregated from the runs collection
+   * @param {string} type - Leaderboard type
+   * @param {Object} match - Result of buildLeaderboardMatch
+   * @param {ObjectId} userId - Caller's ID
+   * @param {number} neighborCount - Users to include on each side
+   * @returns {Object} { rank, totalUsers, entry, neighbors }
+   */
+  async getLivePosition(type, match, userId, neighborCount) {
+    const { rankBy } = LEADERBOARDS[type];
+    const [matchStage, groupStage] = this.buildLeaderboardStages(type, match);
+
+    const [[own], totalUsers] = await Promise.all([
+      Run.aggregate([{ $match: { ...matchStage.$match, userId } }, groupStage]),
+      this.countLiveUsers(type, match),
+    ]);
+
+    if (!own) {
+      return { rank: null, totalUsers, entry: null, neighbors: [] };
+    }
+
+    const [ahead] = await Run.aggregate([
+      matchStage,
+      groupStage,
+      {
+        $match: {
+          $or: [
+            { [rankBy]: { $gt: own[rankBy] } },
+            { [rankBy]: own[rankBy], _id: { $lt: own._id } },
+          ],
+        },
+      },
+      { $count: 'total' },
+    ]);
+
+    const rank = (ahead ? ahead.total : 0) + 1;
+    const skip = Math.max(0, rank - 1 - neighborCount);
+    const neighbors = await this.getLiveEntries(type, match, skip, rank - skip + neighborCount);
+
+    return {
+      rank,
+      totalUsers,
+      entry: neighbors.find((neighbor) => neighbor.rank === rank) || null,
+      neighbors,
+    };
+  }
+
+  /**
+   * Key of the snapshot board a run or request belongs to
+   * @param {string} type - Leaderboard type
+   * @param {string} period - all_time, week, month or year
+   * @param {string} activityType - Activity type, or falsy for all activities
+   * @param {Date} date - A moment in the period
+   * @returns {Object} { type, period, periodStart, activityType }
+   */
+  getBoardKey(type, period, activityType, date = new Date()) {
+    return {
+      type,
+      period,
+      periodStart: period === LEADERBOARD_PERIODS.ALL_TIME
+        ? null
+        : getPeriodDates(PERIOD_TYPES_BY_LEADERBOARD_PERIOD[period], date).startDate,
+      activityType: activityType || null,
+    };
+  }
+
+  /**
+   * Snapshot board for leaderboard request options
+   * @param {string} type - Leaderboard type
+   * @param {Object} options - Request filters
+   * @returns {Object|null} Board key, or null when the filters need a live aggregation
+   */
+  getRequestBoardKey(type, options) {
+    const { period = LEADERBOARD_PERIODS.ALL_TIME, boundingBox, city, home } = options;
+    if (period === LEADERBOARD_PERIODS.CUSTOM || boundingBox || city || home) {
+      return null;
+    }
+
+    return this.getBoardKey(type, period, options.activityType);
+  }
+
+  /**
+   * Run filter matching a snapshot board
+   * @param {Object} key - Board key
+   * @returns {Object} Result in the shape of buildLeaderboardMatch
+   */
+  getBoardMatch(key) {
+    const range = key.period === LEADERBOARD_PERIODS.ALL_TIME
+      ? null
+      : getPeriodDates(PERIOD_TYPES_BY_LEADERBOARD_PERIOD[key.period], key.periodStart);
+
+    return {
+      ...getActivityTypeFilter(key.activityType),
+      ...(range && { startTime: { $gte: range.startDate, $lte: range.endDate } }),
+    };
+  }
+
+  /**
+   * Aggregation $project turning grouped totals into a snapshot score and stats
+   * @param {string} type - Leaderboard type
+   * @returns {Object} $project stage
+   */
+  getSnapshotProjection(type) {
+    const { rankBy, fields } = LEADERBOARDS[type];
+
+    return {
+      $project: {
+        score: `$${rankBy}`,
+        stats: Object.fromEntries(
+          Object.entries(fields).map(([field, value]) => [field, value === 1 ? `$${field}` : value])
+        ),
+      },
+    };
+  }
+
+  /**
+   * Recompute a snapshot board from the runs collection
+   * All-time boards also record today's rank of every user in the history.
+   * refreshedAt only moves forward, so an overlapping rebuild or refreshEntry never has
+   * its entries removed as stale by this one, and entries written after this rebuild
+   * started keep their newer scores
+   * @param {Object} key - Board key
+   * @returns {Object} The board
+   */
+  async rebuildBoard(key) {
+    const refreshedAt = new Date();
+    const today = new Date(refreshedAt);
+    today.setHours(0, 0, 0, 0);
+
+    const cursor = Run.aggregate([
+      ...this.buildLeaderboardStages(key.type, this.getBoardMatch(key)),
+      this.getSnapshotProjection(key.type),
+    ]).allowDiskUse(true).cursor();
+
+    let rank = 0;
+    let entries = [];
+    let history = [];
+
+    const flush = async () => {
+      await Promise.all([
+        entries.length > 0 && LeaderboardEntry.bulkWrite(entries, { ordered: false }),
+        history.length > 0 && LeaderboardHistory.bulkWrite(history, { ordered: false }),
+      ]);
+      entries = [];
+      history = [];
+    };
+
+    for await (const row of cursor) {
+      rank += 1;
+
+      // The cursor's totals date from when the rebuild started, so leave newer entries alone
+      const isNewer = { $gt: ['$refreshedAt', refreshedAt] };
+      entries.push({
+        updateOne: {
+          filter: { ...key, userId: row._id },
+          update: [{
+            $set: {
+              score: { $cond: [isNewer, '$score', { $literal: row.score }] },
+              stats: { $cond: [isNewer, '$stats', { $literal: row.stats }] },
+              refreshedAt: { $max: ['$refreshedAt', refreshedAt] },
+            },
+          }],
+          upsert: true,
+        },
+      });
+
+      if (key.period === LEADERBOARD_PERIODS.ALL_TIME) {
+        history.push({
+          updateOne: {
+            filter: { type: key.type, activityType: key.activityType, userId: row._id, date: today },
+            update: { $set: { rank, score: row.score } },
+            upsert: true,
+          },
+        });
+      }
+
+      if (entries.length >= LEADERBOARD.SNAPSHOT_BATCH_SIZE) {
+        await flush();
+      }
+    }
+    await flush();
+
+    // Users whose runs no longer count were not rewritten
+    await LeaderboardEntry.deleteMany({ ...key, refreshedAt: { $lt: refreshedAt } });
+
+    return LeaderboardBoard.findOneAndUpdate(
+      key,
+      { $set: { builtAt: refreshedAt } },
+      { new: true, upsert: true }
+    ).lean();
+  }
+
+  /**
+   * Get a snapshot board, building it on first use
+   * @param {Object} key - Board key
+   * @returns {Object} The board
+   */
+  async getBoard(key) {
+    const board = await LeaderboardBoard.findOne(key).lean();
+    return board || this.rebuildBoard(key);
+  }
+
+  /**
+   * Recompute one user's entry on a built board
+   * Only the user's own entry is written; ranks are counted when the board is read
+   * @param {Object} key - Board key
+   * @param {ObjectId} userId - User ID
+   */
+  async refreshEntry(key, userId) {
+    const [matchStage, groupStage] = this.buildLeaderboardStages(key.type, this.getBoardMatch(key));
+
+    const [row] = await Run.aggregate([
+      { $match: { ...matchStage.$match, userId } },
+      groupStage,
+      this.getSnapshotProjection(key.type),
+    ]);
+
+    if (!row) {
+      await LeaderboardEntry.deleteOne({ ...key, userId });
+      return;
+    }
+
+    await LeaderboardEntry.updateOne(
+      { ...key, userId },
+      { $set: { score: row.score, stats: row.stats }, $max: { refreshedAt: new Date() } },
+      { upsert: true }
+    );
+  }
+
+  /**
+   * Bring a user's snapshot entries up to date after their runs changed
+   * Boards nobody has requested yet are skipped; they are built from scratch on first use
+   * @param {ObjectId} userId - User ID
+   * @param {Array} runs - Changed runs (startTime, activityType); omit to refresh every board
+   *   the user is on, e.g. after their runs were removed
+   */
+  async refreshUser(userId, runs = null) {
+    const id = new mongoose.Types.ObjectId(userId);
+    const keys = new Map();
+    const addKey = (key) => keys.set(JSON.stringify(key), key);
+
+    if (runs) {
+      for (const run of runs) {
+        for (const type of Object.values(LEADERBOARD_TYPES)) {
+          for (const period of SNAPSHOT_PERIODS) {
+            // Runs stored before activity types existed count as runs
+            for (const activityType of [null, run.activityType || ACTIVITY_TYPES.RUN]) {
+              addKey(this.getBoardKey(type, period, activityType, run.startTime));
+            }
+          }
+        }
+      }
+    } else {
+      const entries = await LeaderboardEntry.find({ userId: id })
+        .select('-_id type period periodStart activityType')
+        .lean();
+      entries.forEach(({ type, period, periodStart, activityType }) => addKey({ type, period, periodStart, activityType }));
+    }
+
+    const builtKeys = await LeaderboardBoard.find({ $or: [...keys.values()] })
+      .select('-_id type period periodStart activityType')
+      .lean();
+
+    for (const { type, period, periodStart, activityType } of builtKeys) {
+      await this.refreshEntry({ type, period, periodStart, activityType }, id);
+    }
+  }
+
+  /**
+   * Drop a deleted account from every leaderboard and its rank history
+   * Call after the user's runs are removed
+   * @param {ObjectId} userId - User ID
+   */
+  async removeUser(userId) {
+    await this.refreshUser(userId);
+    await LeaderboardHistory.deleteMany({ userId });
+  }
+
+  /**
+   * Rebuild the all-time boards and those of the current week, month and year
+   * Called by the cron; also records the daily all-time rank history.
+   * Boards already rebuilt today are skipped and the least recently built go first.
+   * A few are rebuilt at a time and none starts after REBUILD_TIME_BUDGET, so the request
+   * ends before the function timeout; the next call picks up the remaining boards
+   * @returns {Object} { boards, remaining } - boards rebuilt, and boards still to rebuild today
+   */
+  async rebuildCurrentBoards() {
+    const deadline = Date.now() + LEADERBOARD.REBUILD_TIME_BUDGET * 1000;
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+
+    // Board key -> last build time (null when never built)
+    const keys = new Map();
+    const addKey = (key, builtAt = null) => keys.set(JSON.stringify(key), { key, builtAt });
+
+    const currentBoards = SNAPSHOT_PERIODS.map((period) => this.getBoardKey(LEADERBOARD_TYPES.AREA, period, null))
+      .map(({ period, periodStart }) => ({ period, periodStart }));
+
+    // Boards for all activities always exist; per-activity ones once someone has asked for them
+    for (const type of Object.values(LEADERBOARD_TYPES)) {
+      currentBoards.forEach(({ period, periodStart }) => addKey({ type, period, periodStart, activityType: null }));
+    }
+
+    const existing = await LeaderboardBoard.find({ $or: currentBoards })
+      .select('-_id type period periodStart activityType builtAt')
+      .lean();
+    existing.forEach(({ type, period, periodStart, activityType, builtAt }) => (
+      addKey({ type, period, periodStart, activityType }, builtAt)
+    ));
+
+    const pending = [...keys.values()]
+      .filter(({ builtAt }) => !builtAt || builtAt < today)
+      .sort((a, b) => (a.builtAt || 0) - (b.builtAt || 0))
+      .map(({ key }) => key);
+    let boards = 0;
+
+    const rebuildNext = async () => {
+      while (pending.length > 0 && Date.now() < deadline) {
+        await this.rebuildBoard(pending.shift());
+        boards += 1;
+      }
+    };
+    await Promise.all(Array.from({ length: LEADERBOARD.REBUILD_CONCURRENCY }, rebuildNext));
+
+    return { boards, remaining: pending.length };
+  }
+
+  /**
+   * Shape snapshot entries like live leaderboard entries
+   * @param {Array} entries - Lean LeaderboardEntry documents in rank order
+   * @param {number} firstRank - Rank of the first entry
+   * @returns {Array} Ranked entries with each user's public profile
+   */
+  async formatEntries(entries, firstRank) {
+    const users = await User.find({ _id: { $in: entries.map((entry) => entry.userId) } })
+      .select(PUBLIC_PROFILE_SELECT)
+      .lean();
+    const usersById = new Map(users.map((user) => [user._id.toString(), user]));
+
+    return entries.map((entry, index) => ({
+      rank: firstRank + index,
+      ...toPublicProfile(usersById.get(entry.userId.toString()) || entry.userId),
+      ...entry.stats,
+    }));
+  }
+
+  /**
+   * Get a leaderboard page
+   * @param {string} type - Leaderboard type (area or distance)
+   * @param {Object} options - page, limit and the filters of buildLeaderboardMatch
+   * @returns {Object} { leaderboard, pagination }
+   */
+  async getLeaderboard(type, options = {}) {
+    const {
+      page = PAGINATION.DEFAULT_PAGE,
+      limit = PAGINATION.DEFAULT_LIMIT,
+    } = options;
+    const pageSize = Math.min(parseInt(limit), PAGINATION.MAX_LIMIT);
+    const skip = (parseInt(page) - 1) * pageSize;
+
+    const key = this.getRequestBoardKey(type, options);
+    let leaderboard;
+    let totalItems;
+
+    if (key) {
+      await this.getBoard(key);
+      const [entries, totalUsers] = await Promise.all([
+        LeaderboardEntry.find(key).sort(SNAPSHOT_SORT).skip(skip).limit(pageSize).lean(),
+        LeaderboardEntry.countDocuments(key),
+      ]);
+
+      leaderboard = await this.formatEntries(entries, skip + 1);
+      totalItems = totalUsers;
+    } else {
+      const match = await this.buildLeaderboardMatch(options);
+      [leaderboard, totalItems] = await Promise.all([
+        this.getLiveEntries(type, match, skip, pageSize),
+        this.countLiveUsers(type, match),
+      ]);
+    }
+
+    return {
+      leaderboard,
+      pagination: calculatePagination(totalItems, parseInt(page), parseInt(limit)),
+    };
+  }
+
+  /**
+   * Get the caller's place on a leaderboard and the users around them
+   * @param {string} type - Leaderboard type (area or distance)
+   * @param {Object} options - viewerId, neighbors and the filters of buildLeaderboardMatch
+   * @returns {Object} { rank, totalUsers, entry, neighbors } - rank and entry are null
+   *   when the caller has no runs counting toward this leaderboard
+   */
+  async getLeaderboardPosition(type, options) {
+    const { viewerId } = options;
+    const neighborCount = options.neighbors !== undefined
+      ? parseInt(options.neighbors)
+      : LEADERBOARD.DEFAULT_NEIGHBORS;
+
+    const key = this.getRequestBoardKey(type, options);
+    if (!key) {
+      const match = await this.buildLeaderboardMatch(options);
+      return this.getLivePosition(type, match, viewerId, neighborCount);
+    }
+
+    await this.getBoard(key);
+    const [own, totalUsers] = await Promise.all([
+      LeaderboardEntry.findOne({ ...key, userId: viewerId }).select('userId score').lean(),
+      LeaderboardEntry.countDocuments(key),
+    ]);
+
+    if (!own) {
+      return { rank: null, totalUsers, entry: null, neighbors: [] };
+    }
+
+    const rank = await LeaderboardEntry.countDocuments({ ...key, ...aheadOf(own.score, own.userId) }) + 1;
+    const skip = Math.max(0, rank - 1 - neighborCount);
+    const entries = await LeaderboardEntry.find(key)
+      .sort(SNAPSHOT_SORT)
+      .skip(skip)
+      .limit(rank - skip + neighborCount)
+      .lean();
+    const neighbors = await this.formatEntries(entries, skip + 1);
+
+    return {
+      rank,
+      totalUsers,
+      entry: neighbors.find((neighbor) => neighbor.rank === rank) || null,
+      neighbors,
+    };
+  }
+
+  /**
+   * Get how the caller's rank changed, newest first
+   * All time gives one rank per day from the daily rebuild; week, month and year give
+   * the rank on each board the user is on, the current period first
+   * @param {string} type - Leaderboard type (area or distance)
+   * @param {Object} options - { viewerId, period, activityType, limit }
+   * @returns {Object} { type, period, activityType, history: [{ date, rank, score }] }
+   */
+  async getRankHistory(type, options) {
+    const { viewerId, period = LEADERBOARD_PERIODS.ALL_TIME } = options;
+    const activityType = options.activityType || null;
+    const limit = options.limit !== undefined ? parseInt(options.limit) : LEADERBOARD.DEFAULT_HISTORY_ITEMS;
+
+    const history = period === LEADERBOARD_PERIODS.ALL_TIME
+      ? (await LeaderboardHistory.find({ userId: viewerId, type, activityType })
+        .sort({ date: -1 })
+        .limit(limit)
+        .lean())
+        .map(({ date, rank, score }) => ({ date, rank, score }))
+      : await Promise.all((await LeaderboardEntry.find({ userId: viewerId, type, period, activityType })
+        .sort({ periodStart: -1 })
+        .limit(limit)
+        .lean())
+        .map(async ({ periodStart, userId, score }) => ({
+          date: periodStart,
+          rank: await LeaderboardEntry.countDocuments({
+            type,
+            period,
+            periodStart,
+            activityType,
+            ...aheadOf(score, userId),
+          }) + 1,
+          score,
+        })));
+
+    return { type, period, activityType, history };
+  }
+}
+
+module.exports = new LeaderboardService();
@@ -0,0 +1,174 @@
+/**
+ * Live Service
+ * Tracks runs in progress from periodic position updates for the "running now" map layer
+ */
+
+const LiveSession = require('../models/LiveSession');
+const User = require('../models/User');
+const followService = require('./followService');
+const {
+  getLocationFilter,
+  getVisibilityFilter,
+  isInPrivacyZone,
+  removePrivacyZonePoints,
+} = require('../utils/helpers');
+const { ACTIVITY_TYPES, LIVE, RUN_VISIBILITY } = require('../utils/constants');
+const { PUBLIC_PROFILE_SELECT, toPublicProfile } = require('../utils/publicProfile');
+
+class LiveService {
+  /**
+   * Record the current position of a run in progress
+   * Starts a new session when none is open, the previous one went idle, or startedAt changes.
+   * A new session takes the user's default visibility unless the update sets one
+   * @param {string} userId - User ID
+   * @param {Object} update - { latitude, longitude, timestamp, startedAt, activityType, distance, speed, heading, visibility }
+   * @returns {Object} The updated session
+   */
+  async updatePosition(userId, update) {
+    const now = new Date();
+    const point = {
+      latitude: parseFloat(update.latitude),
+      longitude: parseFloat(update.longitude),
+      timestamp: update.timestamp ? new Date(update.timestamp) : now,
+    };
+    const startedAt = update.startedAt ? new Date(update.startedAt) : null;
+
+    const existing = await LiveSession.findOne({ userId }).select('startedAt lastUpdateAt').lean();
+    const isNewSession = !existing
+      || (startedAt && existing.startedAt.getTime() !== startedAt.getTime())
+      || now - existing.lastUpdateAt > LIVE.SESSION_TTL * 1000;
+
+    const fields = {
+      position: point,
+      location: { type: 'Point', coordinates: [point.longitude, point.latitude] },
+      lastUpdateAt: now,
+      speed: update.speed ?? null,
+      heading: update.heading ?? null,
+      ...(update.activityType && { activityType: update.activityType }),
+      ...(update.distance !== undefined && { distance: parseFloat(update.distance) }),
+      ...(update.visibility && { visibility: update.visibility }),
+    };
+
+    let defaultVisibility = RUN_VISIBILITY.PUBLIC;
+    if (isNewSession && !update.visibility) {
+      const user = await User.findById(userId).select('defaultVisibility').lean();
+      defaultVisibility = user?.defaultVisibility || RUN_VISIBILITY.PUBLIC;
+    }
+
+    const continueSession = () => LiveSession.findOneAndUpdate(
+      { userId },
+      {
+        $set: fields,
+        $push: { trail: { $each: [point], $slice: -LIVE.TRAIL_POINTS } },
+      },
+      { new: true, runValidators: true }
+    );
+
+    let session;
+    try {
+      session = isNewSession
+        ? await LiveSession.findOneAndUpdate(
+          { userId },
+          {
+            $set: {
+              activityType: ACTIVITY_TYPES.RUN,
+              distance: 0,
+              visibility: defaultVisibility,
+              ...fields,
+              startedAt: startedAt || point.timestamp,
+              trail: [point],
+            },
+          },
+          { new: true, upsert: true, setDefaultsOnInsert: true, runValidators: true }
+        )
+        : await continueSession();
+    } catch (error) {
+      // Two first updates upserted at once and the other one started the session
+      if (error.code !== 11000 || !isNewSession) throw error;
+      session = await continueSession();
+    }
+
+    return this.formatSession(session.toObject());
+  }
+
+  /**
+   * End the user's live session
+   * @param {string} userId - User ID
+   * @param {Date} [finishedBefore] - Only end a session started at or before this time,
+   *   so saving an older run does not hide a run still in progress
+   * @returns {boolean} Whether a session was ended
+   */
+  async endSession(userId, finishedBefore = null) {
+    const result = await LiveSession.deleteOne({
+      userId,
+      ...(finishedBefore && { startedAt: { $lte: new Date(finishedBefore) } }),
+    });
+
+    return result.deletedCount > 0;
+  }
+
+  /**
+   * Get runs currently in progress, most recently updated first
+   * Only sessions the viewer may see are returned; runners inside one of their
+   * privacy zones are left out and their trails trimmed
+   * @param {ObjectId} viewerId - Viewing user's ID
+   * @param {Object} options - { boundingBox }
+   * @returns {Object} { runners, count, activeWindow }
+   */
+  async getActiveRunners(viewerId, { boundingBox = null } = {}) {
+    const followingIds = await followService.getFollowingIds(viewerId);
+
+    const sessions = await LiveSession.find({
+      lastUpdateAt: { $gte: new Date(Date.now() - LIVE.ACTIVE_WINDOW * 1000) },
+      ...(boundingBox && getLocationFilter(boundingBox)),
+      ...getVisibilityFilter(viewerId, followingIds),
+    })
+      .populate('userId', `${PUBLIC_PROFILE_SELECT} privacyZones`)
+      .sort({ lastUpdateAt: -1 })
+      .limit(LIVE.MAX_RUNNERS)
+      .lean();
+
+    const runners = sessions
+      .filter(({ userId, position }) => !isInPrivacyZone(position.latitude, position.longitude, userId?.privacyZones))
+      .map((session) => this.formatSession({
+        ...session,
+        trail: removePrivacyZonePoints(session.trail, session.userId?.privacyZones),
+      }));
+
+    return {
+      runners,
+      count: runners.length,
+      activeWindow: LIVE.ACTIVE_WINDOW,
+    };
+  }
+
+  /**
+   * Shape a session for API responses
+   * @param {Object} session - Plain session, optionally with userId populated
+   * @returns {Object} Formatted session
+   */
+  formatSession(session) {
+    const user = session.userId?._id ? session.userId : null;
+    const { latitude, longitude, timestamp } = session.position;
+
+    return {
+      ...(user ? toPublicProfile(user) : { userId: session.userId }),
+      activityType: session.activityType,
+      visibility: session.visibility || RUN_VISIBILITY.PUBLIC,
+      startedAt: session.startedAt,
+      elapsedTime: Math.max(0, Math.round((timestamp - session.startedAt) / 1000)),
+      distance: Math.round(session.distance || 0),
+      speed: session.speed,
+      heading: session.heading,
+      position: { latitude, longitude, timestamp },
+      trail: (session.trail || []).map((point) => ({
+        latitude: point.latitude,
+        longitude: point.longitude,
+        timestamp: point.timestamp,
+      })),
+      lastUpdateAt: session.lastUpdateAt,
+    };
+  }
+}
+
+module.exports = new LiveService();
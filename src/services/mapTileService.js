@@ -0,0 +1,217 @@
+/**
+ * Map Tile Service
+ * Serves community runs as Mapbox Vector Tiles with an in-memory tile cache
+ */
+
+const Run = require('../models/Run');
+const { encodeTile } = require('../utils/mvt');
+const {
+  getLocationFilter,
+  getRouteIntersectsFilter,
+  removePrivacyZonePoints,
+  getPublicVisibilityFilter,
+} = require('../utils/helpers');
+const {
+  simplifyRoute,
+  getZoomTolerance,
+  tileBounds,
+  expandBounds,
+  boundsToPolygon,
+  toTileCoordinates,
+} = require('../utils/geo');
+const { MAP_TILES } = require('../utils/constants');
+const { PUBLIC_PROFILE_SELECT, PUBLIC_ROUTE_SELECT, toPublicProfile } = require('../utils/publicProfile');
+
+class MapTileService {
+  constructor() {
+    // Map keeps insertion order, so the first key is always the least recently used tile
+    this.cache = new Map();
+  }
+
+  /**
+   * Read a tile from the cache, dropping it once expired
+   * @param {string} key - "z/x/y"
+   * @returns {Buffer|null} Cached tile
+   */
+  getCachedTile(key) {
+    const entry = this.cache.get(key);
+    if (!entry) return null;
+
+    this.cache.delete(key);
+    if (entry.expiresAt <= Date.now()) return null;
+
+    this.cache.set(key, entry);
+    return entry.tile;
+  }
+
+  /**
+   * Store a tile, evicting the least recently used ones past the cache size
+   * @param {string} key - "z/x/y"
+   * @param {Buffer} tile - Encoded tile
+   */
+  setCachedTile(key, tile) {
+    this.cache.set(key, { tile, expiresAt: Date.now() + MAP_TILES.CACHE_TTL * 1000 });
+
+    while (this.cache.size > MAP_TILES.CACHE_MAX_TILES) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+  }
+
+  /**
+   * Drop every cached tile, e.g. after a runner changes their privacy zones
+   */
+  clearCache() {
+    this.cache.clear();
+  }
+
+  /**
+   * Cut a projected line down to the parts near the tile
+   * Segments entirely outside the buffered tile are dropped, splitting the line there
+   * @param {Array} points - Points in tile units
+   * @returns {Array} Lines with at least 2 points each
+   */
+  clipLine(points) {
+    const min = -MAP_TILES.BUFFER;
+    const max = MAP_TILES.EXTENT + MAP_TILES.BUFFER;
+    const lines = [];
+    let current = [];
+
+    for (let i = 1; i < points.length; i++) {
+      const a = points[i - 1];
+      const b = points[i];
+      const outside = (Math.max(a.x, b.x) < min) || (Math.min(a.x, b.x) > max)
+        || (Math.max(a.y, b.y) < min) || (Math.min(a.y, b.y) > max);
+
+      if (outside) {
+        if (current.length >= 2) lines.push(current);
+        current = [];
+        continue;
+      }
+
+      if (current.length === 0) current.push(a);
+      current.push(b);
+    }
+
+    if (current.length >= 2) lines.push(current);
+    return lines;
+  }
+
+  /**
+   * Properties shared by route and point features
+   * @param {Object} run - Lean run with userId populated
+   * @returns {Object} Feature properties
+   */
+  getFeatureProperties(run) {
+    const profile = toPublicProfile(run.userId);
+
+    return {
+      runId: run.id,
+      ...profile,
+      userId: String(profile.userId),
+      activityType: run.activityType || 'run',
+      distance: Math.round(run.distance || 0),
+      startTime: new Date(run.startTime).toISOString(),
+    };
+  }
+
+  /**
+   * Draw runs as simplified route lines, without the points in their runner's privacy zones
+   * @param {Array} runs - Lean runs with routes and userId populated
+   * @param {Object} tile - { z, x, y }
+   * @returns {Array} LineString features
+   */
+  buildRouteFeatures(runs, tile) {
+    const tolerance = getZoomTolerance(tile.z);
+    const features = [];
+
+    for (const run of runs) {
+      const projected = [];
+      const route = removePrivacyZonePoints(run.route || [], run.userId?.privacyZones);
+      for (const point of simplifyRoute(route, tolerance)) {
+        const coordinates = toTileCoordinates(point.latitude, point.longitude, tile, MAP_TILES.EXTENT);
+        const last = projected[projected.length - 1];
+        if (!last || last.x !== coordinates.x || last.y !== coordinates.y) {
+          projected.push(coordinates);
+        }
+      }
+
+      const lines = this.clipLine(projected);
+      if (lines.length === 0) continue;
+
+      features.push({
+        id: features.length + 1,
+        type: 'LineString',
+        geometry: lines,
+        properties: this.getFeatureProperties(run),
+      });
+    }
+
+    return features;
+  }
+
+  /**
+   * Draw runs as points at their route center
+   * The stored center already leaves out privacy zones
+   * @param {Array} runs - Lean runs with locations
+   * @param {Object} tile - { z, x, y }
+   * @returns {Array} Point features
+   */
+  buildPointFeatures(runs, tile) {
+    return runs.map((run, index) => {
+      const [longitude, latitude] = run.location.coordinates;
+
+      return {
+        id: index + 1,
+        type: 'Point',
+        geometry: [toTileCoordinates(latitude, longitude, tile, MAP_TILES.EXTENT)],
+        properties: this.getFeatureProperties(run),
+      };
+    });
+  }
+
+  /**
+   * Get a community map vector tile
+   * Routes from zoom ROUTE_MIN_ZOOM up, simplified to about a pixel; run points below that
+   * @param {number} z - Zoom level
+   * @param {number} x - Tile column
+   * @param {number} y - Tile row
+   * @returns {Buffer} Encoded tile (empty when there are no runs)
+   */
+  async getTile(z, x, y) {
+    const key = `${z}/${x}/${y}`;
+    const cached = this.getCachedTile(key);
+    if (cached) return cached;
+
+    const tile = { z, x, y };
+    const drawRoutes = z >= MAP_TILES.ROUTE_MIN_ZOOM;
+
+    const bounds = tileBounds(z, x, y);
+
+    // Routes are matched by their stored line; older runs by a center near the tile
+    const areaFilter = drawRoutes
+      ? getRouteIntersectsFilter(
+        boundsToPolygon(bounds),
+        boundsToPolygon(expandBounds(bounds, MAP_TILES.ROUTE_SEARCH_RADIUS))
+      )
+      : getLocationFilter(bounds);
+
+    // Tiles are cached for every viewer, so only public runs are drawn
+    const runs = await Run.find({ isDeleted: false, ...areaFilter, ...getPublicVisibilityFilter() })
+      .select(`id userId startTime distance activityType ${drawRoutes ? PUBLIC_ROUTE_SELECT : 'location'}`)
+      .populate('userId', `${PUBLIC_PROFILE_SELECT}${drawRoutes ? ' privacyZones' : ''}`)
+      .sort({ startTime: -1 })
+      .limit(MAP_TILES.MAX_FEATURES)
+      .lean();
+
+    const encoded = encodeTile([
+      drawRoutes
+        ? { name: MAP_TILES.ROUTE_LAYER, extent: MAP_TILES.EXTENT, features: this.buildRouteFeatures(runs, tile) }
+        : { name: MAP_TILES.POINT_LAYER, extent: MAP_TILES.EXTENT, features: this.buildPointFeatures(runs, tile) },
+    ]);
+
+    this.setCachedTile(key, encoded);
+    return encoded;
+  }
+}
+
+module.exports = new MapTileService();
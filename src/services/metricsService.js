@@ -0,0 +1,683 @@
+/**
+ * Metrics Service
+ * Derives run metrics from the recorded route so leaderboards and stats
+ * do not depend on client-reported numbers
+ */
+
+const { calculateDistance } = require('../utils/helpers');
+const {
+  simplifyRoute,
+  polygonArea,
+  toPolygon,
+  bufferRoute,
+} = require('../utils/geo');
+const {
+  METRICS,
+  SENSORS,
+  HEART_RATE_ZONES,
+  TRAINING_LOAD,
+  SPLIT_UNITS,
+  BEST_EFFORT_DISTANCES,
+  AREA,
+  AREA_METHODS,
+} = require('../utils/constants');
+
+const UNIT_DISTANCES = {
+  [SPLIT_UNITS.KM]: 1000,
+  [SPLIT_UNITS.MI]: 1609.344,
+};
+
+class MetricsService {
+  /**
+   * Detect pauses from timestamp gaps and low-speed stretches
+   * A recording gap (the device auto-paused or lost the track) is always a pause;
+   * consecutive slow segments are a pause once they last long enough
+   * @param {Array} points - Route points sorted by timestamp
+   * @returns {Array} Pauses as { startTime, endTime, duration } (duration in seconds)
+   */
+  detectPauses(points) {
+    const pauses = [];
+    let stretch = null;
+
+    const closeStretch = () => {
+      if (stretch && (stretch.isGap || stretch.duration >= METRICS.MIN_PAUSE_DURATION)) {
+        pauses.push({
+          startTime: stretch.startTime,
+          endTime: stretch.endTime,
+          duration: Math.round(stretch.duration),
+        });
+      }
+      stretch = null;
+    };
+
+    for (let i = 1; i < points.length; i++) {
+      const prev = points[i - 1];
+      const curr = points[i];
+      const timeDiff = (new Date(curr.timestamp) - new Date(prev.timestamp)) / 1000;
+      if (timeDiff <= 0) continue;
+
+      const segment = calculateDistance(prev.latitude, prev.longitude, curr.latitude, curr.longitude);
+      const isGap = timeDiff >= METRICS.PAUSE_GAP_THRESHOLD;
+      const isSlow = segment / timeDiff < METRICS.MOVING_SPEED_THRESHOLD;
+
+      if (!isGap && !isSlow) {
+        closeStretch();
+        continue;
+      }
+
+      if (!stretch) {
+        stretch = { startTime: new Date(prev.timestamp), duration: 0, isGap: false };
+      }
+      stretch.endTime = new Date(curr.timestamp);
+      stretch.duration += timeDiff;
+      stretch.isGap = stretch.isGap || isGap;
+    }
+
+    closeStretch();
+    return pauses;
+  }
+
+  /**
+   * Compute distance, timing and speed metrics from a route
+   * Average speed is based on moving time so stops do not drag down pace
+   * @param {Array} route - Array of lat/lng points with timestamps
+   * @returns {Object|null} Metrics in meters, seconds and m/s, or null if the route is too short
+   */
+  computeRouteMetrics(route) {
+    if (!Array.isArray(route) || route.length < 2) return null;
+
+    const points = [...route].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+    let distance = 0;
+    let maxSpeed = 0;
+
+    for (let i = 1; i < points.length; i++) {
+      const prev = points[i - 1];
+      const curr = points[i];
+      const segment = calculateDistance(prev.latitude, prev.longitude, curr.latitude, curr.longitude);
+      const timeDiff = (new Date(curr.timestamp) - new Date(prev.timestamp)) / 1000;
+
+      distance += segment;
+
+      // Speeds across recording gaps are averages, not real peaks
+      if (timeDiff > 0 && timeDiff < METRICS.PAUSE_GAP_THRESHOLD) {
+        maxSpeed = Math.max(maxSpeed, segment / timeDiff);
+      }
+    }
+
+    const elapsedTime = Math.round((
+      new Date(points[points.length - 1].timestamp) - new Date(points[0].timestamp)
+    ) / 1000);
+    const pauses = this.detectPauses(points);
+    const pausedTime = pauses.reduce((sum, pause) => sum + pause.duration, 0);
+    const movingTime = Math.max(0, elapsedTime - pausedTime);
+
+    return {
+      distance,
+      elapsedTime,
+      movingTime,
+      pauses,
+      averageSpeed: movingTime > 0 ? distance / movingTime : 0,
+      elapsedAverageSpeed: elapsedTime > 0 ? distance / elapsedTime : 0,
+      maxSpeed,
+    };
+  }
+
+  /**
+   * Compare client-reported values against computed metrics
+   * A field is flagged when it deviates by more than the relative tolerance
+   * and by more than its absolute minimum (to ignore rounding on short runs).
+   * Clients may report duration and speed on either elapsed or moving time,
+   * so those fields are compared against whichever computed value is closer
+   * @param {Object} reported - Client-reported { distance, duration, averageSpeed, maxSpeed }
+   * @param {Object} computed - Output of computeRouteMetrics
+   * @returns {Object} { flagged, discrepancies }
+   */
+  compareWithReported(reported, computed) {
+    const checks = [
+      { field: 'distance', candidates: [computed.distance], minDiff: METRICS.MIN_DISTANCE_DIFF },
+      {
+        field: 'duration',
+        candidates: [computed.elapsedTime, computed.movingTime],
+        minDiff: METRICS.MIN_DURATION_DIFF,
+      },
+      {
+        field: 'averageSpeed',
+        candidates: [computed.averageSpeed, computed.elapsedAverageSpeed],
+        minDiff: METRICS.MIN_SPEED_DIFF,
+      },
+      { field: 'maxSpeed', candidates: [computed.maxSpeed], minDiff: METRICS.MIN_SPEED_DIFF },
+    ];
+
+    const discrepancies = [];
+
+    for (const check of checks) {
+      const value = reported[check.field];
+      if (value === undefined || value === null || value === '') continue;
+
+      const reportedValue = Number(value);
+      const closest = check.candidates.reduce((best, candidate) => (
+        Math.abs(reportedValue - candidate) < Math.abs(reportedValue - best) ? candidate : best
+      ));
+      const diff = Math.abs(reportedValue - closest);
+      const deviation = closest > 0 ? diff / closest : (diff > 0 ? 1 : 0);
+
+      if (diff > check.minDiff && deviation > METRICS.DISCREPANCY_TOLERANCE) {
+        discrepancies.push({
+          field: check.field,
+          reported: reportedValue,
+          computed: closest,
+          deviation: parseFloat(deviation.toFixed(3)),
+        });
+      }
+    }
+
+    return {
+      flagged: discrepancies.length > 0,
+      discrepancies,
+    };
+  }
+
+  /**
+   * Compute elevation gain/loss and extremes from route altitudes
+   * Changes smaller than the hysteresis threshold are ignored so barometer
+   * and GPS altitude noise does not accumulate into phantom climbing
+   * @param {Array} route - Route points
+   * @returns {Object|null} { elevationGain, elevationLoss, maxElevation, minElevation } in meters,
+   *                        or null if the route has no altitude data
+   */
+  computeElevation(route) {
+    const altitudes = (route || [])
+      .filter((point) => point.altitude !== null && point.altitude !== undefined)
+      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+      .map((point) => point.altitude);
+
+    if (altitudes.length === 0) return null;
+
+    let gain = 0;
+    let loss = 0;
+    let reference = altitudes[0];
+    // Tracked here rather than with Math.max(...altitudes), which overflows the call stack on long routes
+    let maxElevation = altitudes[0];
+    let minElevation = altitudes[0];
+
+    for (const altitude of altitudes) {
+      if (altitude > maxElevation) maxElevation = altitude;
+      if (altitude < minElevation) minElevation = altitude;
+
+      const diff = altitude - reference;
+      if (Math.abs(diff) >= METRICS.ELEVATION_HYSTERESIS) {
+        if (diff > 0) gain += diff;
+        else loss -= diff;
+        reference = altitude;
+      }
+    }
+
+    return {
+      elevationGain: parseFloat(gain.toFixed(1)),
+      elevationLoss: parseFloat(loss.toFixed(1)),
+      maxElevation,
+      minElevation,
+    };
+  }
+
+  /**
+   * Metabolic cost of running on a grade relative to flat ground (Minetti et al., 2002)
+   * @param {number} grade - Rise over run, clamped to +/-45%
+   * @returns {number} Cost multiplier (1 on flat ground)
+   */
+  gradeCostFactor(grade) {
+    const g = Math.max(-0.45, Math.min(0.45, grade));
+    const cost = 155.4 * g ** 5 - 30.4 * g ** 4 - 43.3 * g ** 3 + 46.3 * g ** 2 + 19.5 * g + 3.6;
+    return cost / 3.6;
+  }
+
+  /**
+   * Compute grade-adjusted pace: the flat-ground pace with equivalent effort
+   * @param {Array} route - Route points
+   * @returns {number|null} Seconds per km, or null without altitude data
+   */
+  computeGradeAdjustedPace(route) {
+    const points = (route || [])
+      .filter((point) => point.altitude !== null && point.altitude !== undefined)
+      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+    if (points.length < 2) return null;
+
+    // Smooth altitude first; raw point-to-point grades are dominated by noise
+    const half = Math.floor(METRICS.GRADE_SMOOTHING_WINDOW / 2);
+    const altitudes = points.map((_, index) => {
+      const window = points.slice(Math.max(0, index - half), index + half + 1);
+      return window.reduce((sum, point) => sum + point.altitude, 0) / window.length;
+    });
+
+    let equivalentDistance = 0;
+    let movingTime = 0;
+
+    for (let i = 1; i < points.length; i++) {
+      const prev = points[i - 1];
+      const curr = points[i];
+      const segment = calculateDistance(prev.latitude, prev.longitude, curr.latitude, curr.longitude);
+      const timeDiff = (new Date(curr.timestamp) - new Date(prev.timestamp)) / 1000;
+
+      if (segment <= 0 || timeDiff <= 0 || segment / timeDiff < METRICS.MOVING_SPEED_THRESHOLD) continue;
+
+      equivalentDistance += segment * this.gradeCostFactor((altitudes[i] - altitudes[i - 1]) / segment);
+      movingTime += timeDiff;
+    }
+
+    return equivalentDistance > 0 ? Math.round(movingTime / (equivalentDistance / 1000)) : null;
+  }
+
+  /**
+   * Linear interpolation between two optional numbers
+   * @param {number|null} a - Value at fraction 0
+   * @param {number|null} b - Value at fraction 1
+   * @param {number} fraction - Position between a and b (0-1)
+   * @returns {number|null} Interpolated value, or null if either side is missing
+   */
+  interpolate(a, b, fraction) {
+    if (a === null || a === undefined || b === null || b === undefined) return null;
+    return a + (b - a) * fraction;
+  }
+
+  /**
+   * Split a route into fixed-distance splits (per km or per mile)
+   * Split boundaries are interpolated between route points
+   * @param {Array} route - Route points
+   * @param {string} unit - 'km' or 'mi'
+   * @returns {Array} Splits with distance (m), splitTime and elapsedTime (s),
+   *                  pace (s per unit) and elevationChange (m, null without altitude)
+   */
+  computeSplits(route, unit = SPLIT_UNITS.KM) {
+    const unitDistance = UNIT_DISTANCES[unit];
+    if (!Array.isArray(route) || route.length < 2 || !unitDistance) return [];
+
+    const points = [...route].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    const startTime = new Date(points[0].timestamp).getTime();
+
+    const splits = [];
+    let cumulative = 0;
+    let splitStart = { distance: 0, time: startTime, altitude: points[0].altitude ?? null };
+
+    const closeSplit = (boundary, partial) => {
+      const distance = boundary.distance - splitStart.distance;
+      const splitTime = (boundary.time - splitStart.time) / 1000;
+
+      splits.push({
+        split: splits.length + 1,
+        distance: parseFloat(distance.toFixed(1)),
+        splitTime: Math.round(splitTime),
+        elapsedTime: Math.round((boundary.time - startTime) / 1000),
+        pace: distance > 0 ? Math.round(splitTime / (distance / unitDistance)) : null,
+        elevationChange: boundary.altitude !== null && splitStart.altitude !== null
+          ? parseFloat((boundary.altitude - splitStart.altitude).toFixed(1))
+          : null,
+        partial,
+      });
+
+      splitStart = boundary;
+    };
+
+    for (let i = 1; i < points.length; i++) {
+      const prev = points[i - 1];
+      const curr = points[i];
+      const segment = calculateDistance(prev.latitude, prev.longitude, curr.latitude, curr.longitude);
+      const prevTime = new Date(prev.timestamp).getTime();
+      const currTime = new Date(curr.timestamp).getTime();
+
+      // A long segment can cross more than one split boundary
+      while (segment > 0 && cumulative + segment >= (splits.length + 1) * unitDistance) {
+        const fraction = ((splits.length + 1) * unitDistance - cumulative) / segment;
+        closeSplit({
+          distance: (splits.length + 1) * unitDistance,
+          time: prevTime + (currTime - prevTime) * fraction,
+          altitude: this.interpolate(prev.altitude, curr.altitude, fraction),
+        }, false);
+      }
+
+      cumulative += segment;
+    }
+
+    const last = points[points.length - 1];
+    if (cumulative - splitStart.distance >= METRICS.MIN_PARTIAL_SPLIT) {
+      closeSplit({
+        distance: cumulative,
+        time: new Date(last.timestamp).getTime(),
+        altitude: last.altitude ?? null,
+      }, true);
+    }
+
+    return splits;
+  }
+
+  /**
+   * Summarize how pace evolved across full splits
+   * @param {Array} splits - Output of computeSplits
+   * @returns {string|null} 'negative', 'positive' or 'even', null with fewer than 2 full splits
+   */
+  getSplitTrend(splits) {
+    const full = splits.filter((split) => !split.partial && split.pace);
+    if (full.length < 2) return null;
+
+    const half = Math.floor(full.length / 2);
+    const average = (items) => items.reduce((sum, split) => sum + split.pace, 0) / items.length;
+    const firstHalf = average(full.slice(0, half));
+    const secondHalf = average(full.slice(full.length - half));
+    const change = (secondHalf - firstHalf) / firstHalf;
+
+    if (change <= -METRICS.EVEN_SPLIT_TOLERANCE) return 'negative';
+    if (change >= METRICS.EVEN_SPLIT_TOLERANCE) return 'positive';
+    return 'even';
+  }
+
+  /**
+   * Find the fastest segment of the route for each best-effort distance
+   * Uses a sliding window over cumulative distance; the window start is
+   * interpolated so efforts are measured over exactly the target distance
+   * @param {Array} route - Route points
+   * @returns {Array} Efforts as { distance, distanceMeters, time (s), startTime, endTime }
+   */
+  computeBestEfforts(route) {
+    if (!Array.isArray(route) || route.length < 2) return [];
+
+    const points = [...route].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    const times = points.map((point) => new Date(point.timestamp).getTime());
+    const cumulative = [0];
+
+    for (let i = 1; i < points.length; i++) {
+      cumulative.push(cumulative[i - 1] + calculateDistance(
+        points[i - 1].latitude,
+        points[i - 1].longitude,
+        points[i].latitude,
+        points[i].longitude
+      ));
+    }
+
+    const total = cumulative[cumulative.length - 1];
+    const efforts = [];
+
+    for (const [key, target] of Object.entries(BEST_EFFORT_DISTANCES)) {
+      if (total < target) continue;
+
+      let best = null;
+      let start = 0;
+
+      for (let end = 1; end < points.length; end++) {
+        if (cumulative[end] < target) continue;
+
+        // Advance the start while the window still covers the target distance
+        while (cumulative[end] - cumulative[start + 1] >= target) start++;
+
+        const startDistance = cumulative[end] - target;
+        const span = cumulative[start + 1] - cumulative[start];
+        const fraction = span > 0 ? (startDistance - cumulative[start]) / span : 0;
+        const startTime = times[start] + (times[start + 1] - times[start]) * fraction;
+        const time = (times[end] - startTime) / 1000;
+
+        if (time > 0 && (!best || time < best.time)) {
+          best = { time, startTime, endTime: times[end] };
+        }
+      }
+
+      if (best) {
+        efforts.push({
+          distance: key,
+          distanceMeters: target,
+          time: Math.round(best.time),
+          startTime: new Date(best.startTime),
+          endTime: new Date(best.endTime),
+        });
+      }
+    }
+
+    return efforts;
+  }
+
+  /**
+   * Compute distance and timing for laps the client marked during a run
+   * @param {Array} route - Route points
+   * @param {Array} laps - Array of { startTime, endTime }
+   * @returns {Array} Laps with distance (m), duration (s) and averageSpeed (m/s)
+   */
+  computeLaps(route, laps) {
+    if (!Array.isArray(laps) || laps.length === 0) return [];
+
+    const points = [...(route || [])].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+    return laps
+      .map((lap) => ({ startTime: new Date(lap.startTime), endTime: new Date(lap.endTime) }))
+      .sort((a, b) => a.startTime - b.startTime)
+      .map((lap, index) => {
+        const lapPoints = points.filter((point) => {
+          const time = new Date(point.timestamp);
+          return time >= lap.startTime && time <= lap.endTime;
+        });
+
+        let distance = 0;
+        for (let i = 1; i < lapPoints.length; i++) {
+          distance += calculateDistance(
+            lapPoints[i - 1].latitude,
+            lapPoints[i - 1].longitude,
+            lapPoints[i].latitude,
+            lapPoints[i].longitude
+          );
+        }
+
+        const duration = Math.round((lap.endTime - lap.startTime) / 1000);
+
+        return {
+          lap: index + 1,
+          startTime: lap.startTime,
+          endTime: lap.endTime,
+          distance,
+          duration,
+          averageSpeed: duration > 0 ? distance / duration : 0,
+        };
+      });
+  }
+
+  /**
+   * Time each sensor sample was held for (until the next point)
+   * Recording gaps are not credited to the sample before them
+   * @param {Array} points - Route points sorted by timestamp
+   * @returns {Array} Seconds per point (0 for the last point)
+   */
+  getSampleDurations(points) {
+    return points.map((point, index) => {
+      if (index === points.length - 1) return 0;
+
+      const timeDiff = (new Date(points[index + 1].timestamp) - new Date(point.timestamp)) / 1000;
+      return timeDiff > 0 && timeDiff < METRICS.PAUSE_GAP_THRESHOLD ? timeDiff : 0;
+    });
+  }
+
+  /**
+   * Compute time-weighted average and max of one sensor stream
+   * @param {Array} points - Route points sorted by timestamp
+   * @param {Array} durations - Seconds per point from getSampleDurations
+   * @param {string} field - heartRate, cadence or power
+   * @returns {Object} { average, max } rounded, or nulls without samples
+   */
+  summarizeStream(points, durations, field) {
+    let weighted = 0;
+    let totalTime = 0;
+    let sum = 0;
+    let count = 0;
+    let max = null;
+
+    points.forEach((point, index) => {
+      const value = point[field];
+      if (value === null || value === undefined) return;
+
+      weighted += value * durations[index];
+      totalTime += durations[index];
+      sum += value;
+      count++;
+      max = max === null ? value : Math.max(max, value);
+    });
+
+    if (count === 0) return { average: null, max: null };
+
+    // Points recorded at the same instant carry no duration, use a plain mean
+    const average = totalTime > 0 ? weighted / totalTime : sum / count;
+
+    return { average: Math.round(average), max: Math.round(max) };
+  }
+
+  /**
+   * Compute averages and max values of the heart rate, cadence and power streams
+   * @param {Array} route - Route points
+   * @returns {Object} { averageHeartRate, maxHeartRate, averageCadence, maxCadence,
+   *                   averagePower, maxPower } (null when the stream is missing)
+   */
+  computeSensorMetrics(route) {
+    const points = [...(route || [])].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    const durations = this.getSampleDurations(points);
+
+    const heartRate = this.summarizeStream(points, durations, 'heartRate');
+    const cadence = this.summarizeStream(points, durations, 'cadence');
+    const power = this.summarizeStream(points, durations, 'power');
+
+    return {
+      averageHeartRate: heartRate.average,
+      maxHeartRate: heartRate.max,
+      averageCadence: cadence.average,
+      maxCadence: cadence.max,
+      averagePower: power.average,
+      maxPower: power.max,
+    };
+  }
+
+  /**
+   * Compute time spent in each heart-rate zone
+   * Samples below zone 1 count towards zone 1, samples above max towards zone 5
+   * @param {Array} route - Route points
+   * @param {number} maxHeartRate - User's max heart rate in bpm
+   * @returns {Array} [{ zone, name, minHeartRate, maxHeartRate, time }] with time in seconds,
+   *                  or an empty array without heart rate data
+   */
+  computeHeartRateZones(route, maxHeartRate = SENSORS.DEFAULT_MAX_HEART_RATE) {
+    const points = [...(route || [])]
+      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    if (!points.some((point) => point.heartRate !== null && point.heartRate !== undefined)) {
+      return [];
+    }
+
+    const durations = this.getSampleDurations(points);
+    const zones = HEART_RATE_ZONES.map((zone) => ({
+      zone: zone.zone,
+      name: zone.name,
+      minHeartRate: Math.round(zone.min * maxHeartRate),
+      maxHeartRate: Math.round(zone.max * maxHeartRate),
+      time: 0,
+    }));
+
+    points.forEach((point, index) => {
+      if (point.heartRate === null || point.heartRate === undefined) return;
+
+      const fraction = point.heartRate / maxHeartRate;
+      const zoneIndex = HEART_RATE_ZONES.findIndex((zone) => fraction < zone.max);
+      const target = zoneIndex === -1 ? zones.length - 1 : zoneIndex;
+      zones[target].time += durations[index];
+    });
+
+    return zones.map((zone) => ({ ...zone, time: Math.round(zone.time) }));
+  }
+
+  /**
+   * Banister TRIMP for a stretch of time at one heart rate
+   * @param {number} minutes - Duration in minutes
+   * @param {number} heartRate - Heart rate in bpm
+   * @param {number} maxHeartRate - Max heart rate in bpm
+   * @param {number} restingHeartRate - Resting heart rate in bpm
+   * @returns {number} Training impulse
+   */
+  banisterTrimp(minutes, heartRate, maxHeartRate, restingHeartRate) {
+    const reserve = maxHeartRate - restingHeartRate;
+    if (reserve <= 0) return 0;
+
+    const fraction = Math.min(1, Math.max(0, (heartRate - restingHeartRate) / reserve));
+    return minutes * fraction * TRAINING_LOAD.TRIMP_FACTOR * Math.exp(TRAINING_LOAD.TRIMP_EXPONENT * fraction);
+  }
+
+  /**
+   * Compute Banister TRIMP from the heart rate stream, sample by sample
+   * @param {Array} route - Route points
+   * @param {number} maxHeartRate - Max heart rate in bpm
+   * @param {number} restingHeartRate - Resting heart rate in bpm
+   * @returns {number|null} Training impulse, or null without heart rate data
+   */
+  computeTrimp(route, maxHeartRate, restingHeartRate) {
+    const points = [...(route || [])].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    const durations = this.getSampleDurations(points);
+
+    let trimp = 0;
+    let samples = 0;
+
+    points.forEach((point, index) => {
+      if (point.heartRate === null || point.heartRate === undefined || durations[index] === 0) return;
+
+      trimp += this.banisterTrimp(durations[index] / 60, point.heartRate, maxHeartRate, restingHeartRate);
+      samples++;
+    });
+
+    return samples > 0 ? Math.round(trimp * 10) / 10 : null;
+  }
+
+  /**
+   * Compute the area a route covers
+   * A loop covers the area it encloses plus the outer half of its corridor;
+   * an open route covers a corridor of AREA.CORRIDOR_RADIUS either side
+   * @param {Array} route - Route points
+   * @returns {Object|null} { totalArea, enclosedArea, corridorArea, areaMethod, areaPolygon }
+   *                        with areas in square meters and areaPolygon as GeoJSON,
+   *                        or null if the route has fewer than 2 points
+   */
+  computeArea(route) {
+    if (!Array.isArray(route) || route.length < 2) return null;
+
+    const points = [...route].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    let length = 0;
+    for (let i = 1; i < points.length; i++) {
+      length += calculateDistance(
+        points[i - 1].latitude,
+        points[i - 1].longitude,
+        points[i].latitude,
+        points[i].longitude
+      );
+    }
+
+    const radius = AREA.CORRIDOR_RADIUS;
+    const corridorArea = length * 2 * radius + Math.PI * radius * radius;
+    const simplified = simplifyRoute(points, AREA.SIMPLIFY_TOLERANCE);
+
+    const first = points[0];
+    const last = points[points.length - 1];
+    const isLoop = length >= AREA.MIN_LOOP_LENGTH
+      && simplified.length >= 3
+      && calculateDistance(first.latitude, first.longitude, last.latitude, last.longitude)
+        <= AREA.LOOP_CLOSE_DISTANCE;
+
+    if (isLoop) {
+      const enclosedArea = polygonArea(simplified);
+      return {
+        totalArea: Math.round(enclosedArea + corridorArea / 2),
+        enclosedArea: Math.round(enclosedArea),
+        corridorArea: Math.round(corridorArea),
+        areaMethod: AREA_METHODS.LOOP,
+        areaPolygon: toPolygon(simplified),
+      };
+    }
+
+    return {
+      totalArea: Math.round(corridorArea),
+      enclosedArea: 0,
+      corridorArea: Math.round(corridorArea),
+      areaMethod: AREA_METHODS.CORRIDOR,
+      areaPolygon: bufferRoute(simplified, radius),
+    };
+  }
+}
+
+module.exports = new MetricsService();
@@ -0,0 +1,177 @@
+const mongoose = require('mongoose');
+const PersonalRecord = require('../models/PersonalRecord');
+const Run = require('../models/Run');
+const metricsService = require('./metricsService');
+const { ACTIVITY_TYPES, RUNNING_ACTIVITY_TYPES } = require('../utils/constants');
+
+class PersonalRecordService {
+  /**
+   * Scan a run for best efforts and update the user's personal records
+   * Only running activities count; walks, hikes and rides never set a running PR
+   * @param {string} userId - User ID
+   * @param {Object} run - Saved run document (needs id, activityType and bestEfforts or route)
+   * @returns {Array} Records set by this run as { distance, time, previousTime, runId, achievedAt }
+   */
+  async updateFromRun(userId, run) {
+    if (!RUNNING_ACTIVITY_TYPES.includes(run.activityType || ACTIVITY_TYPES.RUN)) return [];
+
+    // Runs created by buildRunDocument already carry their best efforts
+    const efforts = run.bestEfforts && run.bestEfforts.length > 0
+      ? run.bestEfforts
+      : metricsService.computeBestEfforts(run.route);
+    if (efforts.length === 0) return [];
+
+    // Cheap first pass; the guarded upsert below decides when runs are saved concurrently
+    const existing = await PersonalRecord.find({
+      userId,
+      distance: { $in: efforts.map((effort) => effort.distance) },
+    })
+      .select('distance time')
+      .lean();
+    const bestTimes = new Map(existing.map((record) => [record.distance, record.time]));
+
+    const newRecords = [];
+
+    for (const effort of efforts) {
+      if (bestTimes.has(effort.distance) && bestTimes.get(effort.distance) <= effort.time) continue;
+
+      const previous = await this.recordEffort(userId, run.id, effort);
+      if (previous === false) continue;
+
+      newRecords.push({
+        distance: effort.distance,
+        distanceMeters: effort.distanceMeters,
+        time: effort.time,
+        previousTime: previous ? previous.time : null,
+        runId: run.id,
+        achievedAt: effort.startTime,
+      });
+    }
+
+    return newRecords;
+  }
+
+  /**
+   * Make an effort the user's record for its distance if it beats the current one
+   * A single guarded upsert, so concurrent runs cannot both claim the record or lose history
+   * @param {string} userId - User ID
+   * @param {string} runId - Run ID
+   * @param {Object} effort - { distance, distanceMeters, time, startTime }
+   * @returns {Object|null|false} The replaced record, null when it is the first one,
+   *   false when the current record is as fast or faster
+   */
+  async recordEffort(userId, runId, effort) {
+    const update = [
+      {
+        $set: {
+          // Fields on the right still hold the replaced record within this stage
+          history: {
+            $cond: [
+              { $eq: [{ $type: '$time' }, 'missing'] },
+              [],
+              { $concatArrays: ['$history', [{ time: '$time', runId: '$runId', achievedAt: '$achievedAt' }]] },
+            ],
+          },
+          distanceMeters: effort.distanceMeters,
+          time: effort.time,
+          runId: { $literal: runId },
+          achievedAt: effort.startTime,
+          createdAt: { $ifNull: ['$createdAt', '$$NOW'] },
+        },
+      },
+    ];
+
+    // A second attempt covers two first records for a distance being inserted at once
+    for (let attempt = 0; attempt < 2; attempt++) {
+      try {
+        return await PersonalRecord.findOneAndUpdate(
+          { userId, distance: effort.distance, time: { $gt: effort.time } },
+          update,
+          { upsert: true, new: false }
+        ).lean();
+      } catch (error) {
+        // The upsert hit the unique index: a record exists and is at least as fast
+        if (error.code !== 11000) throw error;
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Recompute the records a run held or once held, e.g. after it was deleted
+   * Each affected distance is rebuilt from the best efforts of the user's remaining runs
+   * @param {string} userId - User ID
+   * @param {string} runId - Run ID
+   */
+  async recomputeForRun(userId, runId) {
+    const affected = await PersonalRecord.find({
+      userId,
+      $or: [{ runId }, { 'history.runId': runId }],
+    })
+      .select('distance')
+      .lean();
+    if (affected.length === 0) return;
+
+    const distances = affected.map((record) => record.distance);
+    const efforts = await Run.aggregate([
+      {
+        $match: {
+          userId: new mongoose.Types.ObjectId(userId),
+          isDeleted: false,
+          'bestEfforts.distance': { $in: distances },
+        },
+      },
+      { $unwind: '$bestEfforts' },
+      { $match: { 'bestEfforts.distance': { $in: distances } } },
+      { $sort: { 'bestEfforts.startTime': 1 } },
+      {
+        $project: {
+          _id: 0,
+          runId: '$id',
+          distance: '$bestEfforts.distance',
+          distanceMeters: '$bestEfforts.distanceMeters',
+          time: '$bestEfforts.time',
+          achievedAt: '$bestEfforts.startTime',
+        },
+      },
+    ]);
+
+    for (const distance of distances) {
+      // Replay the remaining efforts in order; each faster one pushes the previous record into history
+      let record = null;
+      for (const effort of efforts.filter((item) => item.distance === distance)) {
+        if (record && record.time <= effort.time) continue;
+
+        const { runId: effortRunId, distanceMeters, time, achievedAt } = effort;
+        record = {
+          distanceMeters,
+          time,
+          runId: effortRunId,
+          achievedAt,
+          history: record
+            ? [...record.history, { time: record.time, runId: record.runId, achievedAt: record.achievedAt }]
+            : [],
+        };
+      }
+
+      if (record) {
+        await PersonalRecord.updateOne({ userId, distance }, { $set: record });
+      } else {
+        await PersonalRecord.deleteOne({ userId, distance });
+      }
+    }
+  }
+
+  /**
+   * Get all personal records for a user
+   * @param {string} userId - User ID
+   * @returns {Array} Records with history, shortest distance first
+   */
+  async getUserRecords(userId) {
+    const records = await PersonalRecord.getUserRecords(userId);
+    return records;
+  }
+}
+
+module.exports = new PersonalRecordService();
@@ -0,0 +1,153 @@
+/**
+ * Prediction Service
+ * Estimates VO2max (Daniels VDOT) and race times (Riegel) from best efforts
+ */
+
+const Run = require('../models/Run');
+const PersonalRecord = require('../models/PersonalRecord');
+const {
+  PREDICTIONS,
+  PREDICTION_SOURCES,
+  BEST_EFFORT_DISTANCES,
+} = require('../utils/constants');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class PredictionService {
+  /**
+   * Daniels/Gilbert VDOT for a race effort
+   * @param {number} distanceMeters - Effort distance in meters
+   * @param {number} timeSeconds - Effort time in seconds
+   * @returns {number|null} VDOT (ml/kg/min), or null for an invalid effort
+   */
+  calculateVdot(distanceMeters, timeSeconds) {
+    if (!(distanceMeters > 0) || !(timeSeconds > 0)) return null;
+
+    const minutes = timeSeconds / 60;
+    const velocity = distanceMeters / minutes; // m/min
+
+    // Oxygen cost of running at this velocity
+    const vo2 = -4.6 + 0.182258 * velocity + 0.000104 * velocity * velocity;
+    // Fraction of VO2max that can be sustained for this long
+    const fraction = 0.8
+      + 0.1894393 * Math.exp(-0.012778 * minutes)
+      + 0.2989558 * Math.exp(-0.1932605 * minutes);
+
+    return Math.round((vo2 / fraction) * 10) / 10;
+  }
+
+  /**
+   * Riegel race-time prediction
+   * @param {number} knownDistance - Known effort distance in meters
+   * @param {number} knownTime - Known effort time in seconds
+   * @param {number} targetDistance - Distance to predict in meters
+   * @returns {number} Predicted time in seconds
+   */
+  riegelTime(knownDistance, knownTime, targetDistance) {
+    return Math.round(knownTime * Math.pow(targetDistance / knownDistance, PREDICTIONS.RIEGEL_EXPONENT));
+  }
+
+  /**
+   * Collect a user's best effort per distance from recent runs,
+   * falling back to all-time personal records when there are none
+   * @param {string} userId - User ID
+   * @returns {Object} { source, efforts } with efforts as { distance, distanceMeters, time, runId, achievedAt }
+   */
+  async getRecentEfforts(userId) {
+    const since = new Date(Date.now() - PREDICTIONS.WINDOW_DAYS * DAY_MS);
+
+    const runs = await Run.find({
+      userId,
+      isDeleted: false,
+      startTime: { $gte: since },
+      'bestEfforts.0': { $exists: true },
+    }).select('id bestEfforts');
+
+    const bestByDistance = new Map();
+    for (const run of runs) {
+      for (const effort of run.bestEfforts) {
+        const best = bestByDistance.get(effort.distance);
+        if (!best || effort.time < best.time) {
+          bestByDistance.set(effort.distance, {
+            distance: effort.distance,
+            distanceMeters: effort.distanceMeters,
+            time: effort.time,
+            runId: run.id,
+            achievedAt: effort.startTime,
+          });
+        }
+      }
+    }
+
+    const isUsable = (effort) => effort.distanceMeters >= PREDICTIONS.MIN_EFFORT_DISTANCE;
+
+    const recent = [...bestByDistance.values()].filter(isUsable);
+    if (recent.length > 0) {
+      return { source: PREDICTION_SOURCES.RECENT_RUNS, efforts: recent };
+    }
+
+    const records = (await PersonalRecord.getUserRecords(userId))
+      .map((record) => ({
+        distance: record.distance,
+        distanceMeters: record.distanceMeters,
+        time: record.time,
+        runId: record.runId,
+        achievedAt: record.achievedAt,
+      }))
+      .filter(isUsable);
+
+    return {
+      source: records.length > 0 ? PREDICTION_SOURCES.PERSONAL_RECORDS : null,
+      efforts: records,
+    };
+  }
+
+  /**
+   * Estimate VDOT and predict 5k, 10k, half and full marathon times
+   * Each distance is predicted from the effort closest to it, since Riegel
+   * is least reliable when extrapolating far from the known distance
+   * @param {string} userId - User ID
+   * @returns {Object} { vdot, source, windowDays, efforts, predictions }
+   */
+  async getPredictions(userId) {
+    const { source, efforts } = await this.getRecentEfforts(userId);
+
+    const rated = efforts.map((effort) => ({
+      ...effort,
+      vdot: this.calculateVdot(effort.distanceMeters, effort.time),
+    }));
+
+    const vdot = rated.length > 0 ? Math.max(...rated.map((effort) => effort.vdot)) : null;
+
+    const predictions = rated.length === 0 ? [] : PREDICTIONS.TARGET_DISTANCES.map((distance) => {
+      const distanceMeters = BEST_EFFORT_DISTANCES[distance];
+      const gap = (effort) => Math.abs(Math.log(distanceMeters / effort.distanceMeters));
+
+      const basis = rated.reduce((best, effort) => {
+        if (gap(effort) < gap(best)) return effort;
+        if (gap(effort) === gap(best) && effort.vdot > best.vdot) return effort;
+        return best;
+      });
+
+      const time = this.riegelTime(basis.distanceMeters, basis.time, distanceMeters);
+
+      return {
+        distance,
+        distanceMeters,
+        time,
+        pacePerKm: Math.round(time / (distanceMeters / 1000)),
+        basedOn: basis.distance,
+      };
+    });
+
+    return {
+      vdot,
+      source,
+      windowDays: PREDICTIONS.WINDOW_DAYS,
+      efforts: rated,
+      predictions,
+    };
+  }
+}
+
+module.exports = new PredictionService();
@@ -0,0 +1,365 @@
+/**
+ * Route File Service
+ * Converts GPS track files (GPX, TCX, GeoJSON) to and from the Run route format
+ */
+
+const ApiError = require('../utils/ApiError');
+const { EXPORT_FORMATS: FORMATS, ACTIVITY_TYPES } = require('../utils/constants');
+
+// Matches <trkpt lat=".." lon="..">...</trkpt> as well as self-closing <trkpt ... />
+const TRKPT_REGEX = /<trkpt\b([^>]*?)(?:\/>|>([\s\S]*?)<\/trkpt>)/gi;
+
+const EXPORT_FORMATS = {
+  [FORMATS.GPX]: { extension: 'gpx', contentType: 'application/gpx+xml' },
+  [FORMATS.TCX]: { extension: 'tcx', contentType: 'application/vnd.garmin.tcx+xml' },
+  [FORMATS.GEOJSON]: { extension: 'geojson', contentType: 'application/geo+json' },
+};
+
+// GPX <type> values as used by Strava and Garmin Connect
+const GPX_ACTIVITY_TYPES = {
+  [ACTIVITY_TYPES.RUN]: 'running',
+  [ACTIVITY_TYPES.WALK]: 'walking',
+  [ACTIVITY_TYPES.HIKE]: 'hiking',
+  [ACTIVITY_TYPES.CYCLE]: 'cycling',
+  [ACTIVITY_TYPES.TRAIL_RUN]: 'trail_running',
+  [ACTIVITY_TYPES.TREADMILL]: 'running',
+};
+
+// TCX only knows Running, Biking and Other
+const TCX_SPORTS = {
+  [ACTIVITY_TYPES.RUN]: 'Running',
+  [ACTIVITY_TYPES.TRAIL_RUN]: 'Running',
+  [ACTIVITY_TYPES.TREADMILL]: 'Running',
+  [ACTIVITY_TYPES.CYCLE]: 'Biking',
+};
+
+class RouteFileService {
+  /**
+   * Read a numeric attribute from an XML attribute string
+   * @param {string} attributes - Raw attribute string of a tag
+   * @param {string} name - Attribute name
+   * @returns {number|null} Parsed value or null
+   */
+  readAttribute(attributes, name) {
+    const match = attributes.match(new RegExp(`\\b${name}\\s*=\\s*["']([^"']*)["']`, 'i'));
+    if (!match) return null;
+
+    const value = parseFloat(match[1]);
+    return Number.isFinite(value) ? value : null;
+  }
+
+  /**
+   * Read the text content of the first matching child tag
+   * @param {string} xml - XML fragment
+   * @param {string} tag - Tag name (without namespace prefix)
+   * @returns {string|null} Trimmed text content or null
+   */
+  readTag(xml, tag) {
+    if (!xml) return null;
+
+    const match = xml.match(new RegExp(`<(?:\\w+:)?${tag}\\b[^>]*>([\\s\\S]*?)<\\/(?:\\w+:)?${tag}>`, 'i'));
+    return match ? this.decodeEntities(match[1].trim()) : null;
+  }
+
+  /**
+   * Decode the predefined XML entities
+   * @param {string} text - Encoded text
+   * @returns {string} Decoded text
+   */
+  decodeEntities(text) {
+    return text
+      .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, "'")
+      .replace(/&amp;/g, '&');
+  }
+
+  /**
+   * Escape text for use inside XML content or attributes
+   * @param {string} text - Raw text
+   * @returns {string} Escaped text
+   */
+  encodeEntities(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
+
+  /**
+   * Display name for an exported run
+   * @param {Object} run - Run document
+   * @returns {string} Track name
+   */
+  getTrackName(run) {
+    const activityType = (run.activityType || ACTIVITY_TYPES.RUN).replace('_', ' ');
+    return run.notes || run.area || `OneKot ${activityType} ${new Date(run.startTime).toISOString()}`;
+  }
+
+  /**
+   * Read heart rate, cadence and power from a track point's extensions
+   * Understands the Garmin TrackPointExtension (<gpxtpx:hr>, <gpxtpx:cad>) and <power>
+   * @param {string} body - Inner XML of a <trkpt>
+   * @returns {Object} Sensor fields that are present
+   */
+  readSensorExtensions(body) {
+    const sensors = {};
+    const fields = { heartRate: 'hr', cadence: 'cad', power: 'power' };
+
+    for (const [field, tag] of Object.entries(fields)) {
+      const value = parseFloat(this.readTag(body, tag));
+      if (Number.isFinite(value) && value >= 0) {
+        sensors[field] = value;
+      }
+    }
+
+    return sensors;
+  }
+
+  /**
+   * Check whether a route point carries a sensor value
+   * @param {Object} point - Route point
+   * @param {string} field - heartRate, cadence or power
+   * @returns {boolean} True if the value is present
+   */
+  hasSensorValue(point, field) {
+    return point[field] !== null && point[field] !== undefined;
+  }
+
+  /**
+   * Parse a GPX 1.1 document into a Run route
+   * @param {string} xml - GPX document
+   * @returns {Object} { name, route } where route matches the Run route point shape
+   */
+  parseGpx(xml) {
+    if (typeof xml !== 'string' || !/<gpx\b/i.test(xml)) {
+      throw ApiError.badRequest('Request body must be a GPX document');
+    }
+
+    const trackMatch = xml.match(/<trk\b[^>]*>([\s\S]*?)<\/trk>/i);
+    const name = trackMatch
+      ? this.readTag(trackMatch[1].split(/<trkseg\b/i)[0], 'name')
+      : null;
+
+    const route = [];
+    let match;
+    TRKPT_REGEX.lastIndex = 0;
+
+    while ((match = TRKPT_REGEX.exec(xml)) !== null) {
+      const [, attributes, body] = match;
+      const latitude = this.readAttribute(attributes, 'lat');
+      const longitude = this.readAttribute(attributes, 'lon');
+
+      if (latitude === null || longitude === null
+        || latitude < -90 || latitude > 90
+        || longitude < -180 || longitude > 180) {
+        throw ApiError.badRequest('GPX track point has an invalid lat/lon');
+      }
+
+      const time = this.readTag(body, 'time');
+      const timestamp = time ? new Date(time) : null;
+      if (!timestamp || Number.isNaN(timestamp.getTime())) {
+        throw ApiError.badRequest('Every GPX track point must include a valid <time>');
+      }
+
+      const elevation = parseFloat(this.readTag(body, 'ele'));
+
+      route.push({
+        latitude,
+        longitude,
+        timestamp,
+        altitude: Number.isFinite(elevation) ? elevation : null,
+        accuracy: null,
+        ...this.readSensorExtensions(body),
+      });
+    }
+
+    if (route.length < 2) {
+      throw ApiError.badRequest('GPX track must contain at least 2 track points');
+    }
+
+    // Devices occasionally write segments out of order
+    route.sort((a, b) => a.timestamp - b.timestamp);
+
+    return { name, route };
+  }
+
+  /**
+   * Serialize a run as a GPX 1.1 document
+   * @param {Object} run - Run document
+   * @returns {string} GPX document
+   */
+  toGpx(run) {
+    const points = (run.route || []).map((point) => {
+      const ele = point.altitude !== null && point.altitude !== undefined
+        ? `<ele>${point.altitude}</ele>`
+        : '';
+
+      const trackPointExtension = [
+        this.hasSensorValue(point, 'heartRate') ? `<gpxtpx:hr>${Math.round(point.heartRate)}</gpxtpx:hr>` : '',
+        this.hasSensorValue(point, 'cadence') ? `<gpxtpx:cad>${Math.round(point.cadence)}</gpxtpx:cad>` : '',
+      ].join('');
+      const power = this.hasSensorValue(point, 'power') ? `<power>${Math.round(point.power)}</power>` : '';
+      const extensions = trackPointExtension || power
+        ? `<extensions>${power}${trackPointExtension ? `<gpxtpx:TrackPointExtension>${trackPointExtension}</gpxtpx:TrackPointExtension>` : ''}</extensions>`
+        : '';
+
+      return `      <trkpt lat="${point.latitude}" lon="${point.longitude}">${ele}<time>${new Date(point.timestamp).toISOString()}</time>${extensions}</trkpt>`;
+    });
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<gpx version="1.1" creator="OneKot" xmlns="http://www.topografix.com/GPX/1/1" xmlns:gpxtpx="http://www.garmin.com/xmlschemas/TrackPointExtension/v1">',
+      '  <metadata>',
+      `    <time>${new Date(run.startTime).toISOString()}</time>`,
+      '  </metadata>',
+      '  <trk>',
+      `    <name>${this.encodeEntities(this.getTrackName(run))}</name>`,
+      `    <type>${GPX_ACTIVITY_TYPES[run.activityType] || GPX_ACTIVITY_TYPES[ACTIVITY_TYPES.RUN]}</type>`,
+      '    <trkseg>',
+      ...points,
+      '    </trkseg>',
+      '  </trk>',
+      '</gpx>',
+      '',
+    ].join('\n');
+  }
+
+  /**
+   * Serialize a run as a Garmin Training Center (TCX) document
+   * @param {Object} run - Run document
+   * @returns {string} TCX document
+   */
+  toTcx(run) {
+    const startTime = new Date(run.startTime).toISOString();
+    const sport = TCX_SPORTS[run.activityType || ACTIVITY_TYPES.RUN] || 'Other';
+    const points = (run.route || []).map((point) => {
+      const altitude = point.altitude !== null && point.altitude !== undefined
+        ? `<AltitudeMeters>${point.altitude}</AltitudeMeters>`
+        : '';
+
+      // TCX <Cadence> is bike cadence; running cadence and power go in the TPX extension
+      const bikeCadence = sport === 'Biking' && this.hasSensorValue(point, 'cadence');
+      const tpx = [
+        !bikeCadence && this.hasSensorValue(point, 'cadence') ? `<ns3:RunCadence>${Math.round(point.cadence)}</ns3:RunCadence>` : '',
+        this.hasSensorValue(point, 'power') ? `<ns3:Watts>${Math.round(point.power)}</ns3:Watts>` : '',
+      ].join('');
+
+      return [
+        '          <Trackpoint>',
+        `            <Time>${new Date(point.timestamp).toISOString()}</Time>`,
+        `            <Position><LatitudeDegrees>${point.latitude}</LatitudeDegrees><LongitudeDegrees>${point.longitude}</LongitudeDegrees></Position>`,
+        altitude ? `            ${altitude}` : null,
+        this.hasSensorValue(point, 'heartRate')
+          ? `            <HeartRateBpm><Value>${Math.round(point.heartRate)}</Value></HeartRateBpm>`
+          : null,
+        bikeCadence ? `            <Cadence>${Math.round(point.cadence)}</Cadence>` : null,
+        tpx ? `            <Extensions><ns3:TPX>${tpx}</ns3:TPX></Extensions>` : null,
+        '          </Trackpoint>',
+      ].filter(Boolean).join('\n');
+    });
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<TrainingCenterDatabase xmlns="http://www.garmin.com/xmlschemas/TrainingCenterDatabase/v2" xmlns:ns3="http://www.garmin.com/xmlschemas/ActivityExtension/v2">',
+      '  <Activities>',
+      `    <Activity Sport="${sport}">`,
+      `      <Id>${startTime}</Id>`,
+      `      <Lap StartTime="${startTime}">`,
+      `        <TotalTimeSeconds>${run.duration}</TotalTimeSeconds>`,
+      `        <DistanceMeters>${run.distance}</DistanceMeters>`,
+      `        <MaximumSpeed>${run.maxSpeed || 0}</MaximumSpeed>`,
+      run.averageHeartRate ? `        <AverageHeartRateBpm><Value>${run.averageHeartRate}</Value></AverageHeartRateBpm>` : null,
+      run.maxHeartRate ? `        <MaximumHeartRateBpm><Value>${run.maxHeartRate}</Value></MaximumHeartRateBpm>` : null,
+      '        <Intensity>Active</Intensity>',
+      '        <TriggerMethod>Manual</TriggerMethod>',
+      '        <Track>',
+      ...points,
+      '        </Track>',
+      '      </Lap>',
+      `      <Notes>${this.encodeEntities(this.getTrackName(run))}</Notes>`,
+      '    </Activity>',
+      '  </Activities>',
+      '</TrainingCenterDatabase>',
+      '',
+    ].filter((line) => line !== null).join('\n');
+  }
+
+  /**
+   * Serialize a run as a GeoJSON Feature with a LineString geometry
+   * @param {Object} run - Run document
+   * @returns {string} GeoJSON document
+   */
+  toGeoJson(run) {
+    const route = run.route || [];
+    const feature = {
+      type: 'Feature',
+      geometry: {
+        type: 'LineString',
+        // GeoJSON positions are [longitude, latitude, altitude?]
+        coordinates: route.map((point) => (
+          point.altitude !== null && point.altitude !== undefined
+            ? [point.longitude, point.latitude, point.altitude]
+            : [point.longitude, point.latitude]
+        )),
+      },
+      properties: {
+        id: run.id,
+        name: this.getTrackName(run),
+        activityType: run.activityType || ACTIVITY_TYPES.RUN,
+        startTime: run.startTime,
+        endTime: run.endTime,
+        distance: run.distance,
+        duration: run.duration,
+        averageSpeed: run.averageSpeed,
+        maxSpeed: run.maxSpeed,
+        averageHeartRate: run.averageHeartRate ?? null,
+        maxHeartRate: run.maxHeartRate ?? null,
+        coordTimes: route.map((point) => new Date(point.timestamp).toISOString()),
+      },
+    };
+
+    // Per-point sensor streams, aligned with coordTimes
+    const streams = { heartRate: 'heartRates', cadence: 'cadences', power: 'powers' };
+    for (const [field, property] of Object.entries(streams)) {
+      if (route.some((point) => this.hasSensorValue(point, field))) {
+        feature.properties[property] = route.map((point) => (
+          this.hasSensorValue(point, field) ? point[field] : null
+        ));
+      }
+    }
+
+    return JSON.stringify(feature);
+  }
+
+  /**
+   * Export a run in the requested file format
+   * @param {Object} run - Run document
+   * @param {string} format - One of gpx, tcx, geojson
+   * @returns {Object} { filename, contentType, body }
+   */
+  exportRun(run, format) {
+    const spec = EXPORT_FORMATS[format];
+    if (!spec) {
+      throw ApiError.badRequest(`Export format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+    }
+
+    const serializers = {
+      [FORMATS.GPX]: () => this.toGpx(run),
+      [FORMATS.TCX]: () => this.toTcx(run),
+      [FORMATS.GEOJSON]: () => this.toGeoJson(run),
+    };
+
+    return {
+      filename: `onekot-run-${run.id}.${spec.extension}`,
+      contentType: spec.contentType,
+      body: serializers[format](),
+    };
+  }
+}
+
+module.exports = new RouteFileService();
@@ -0,0 +1,166 @@
+/**
+ * Route Filter Service
+ * Cleans raw phone GPS traces before metrics are derived from them
+ */
+
+const { calculateDistance } = require('../utils/helpers');
+const { ROUTE_FILTER, ACTIVITY_TYPES } = require('../utils/constants');
+
+class RouteFilterService {
+  /**
+   * Drop points whose reported horizontal accuracy is worse than the limit
+   * Points without an accuracy value are kept
+   * @param {Array} route - Route points
+   * @returns {Array} Filtered route points
+   */
+  removeInaccuratePoints(route) {
+    return route.filter(
+      (point) => point.accuracy === null
+        || point.accuracy === undefined
+        || point.accuracy <= ROUTE_FILTER.MAX_ACCURACY
+    );
+  }
+
+  /**
+   * Whether moving between two points needs no more than the given speed
+   * @param {Object} from - Route point
+   * @param {Object} to - Route point
+   * @param {number} maxSpeed - Fastest plausible speed in m/s
+   * @returns {boolean} False for points with the same timestamp
+   */
+  isPlausibleMove(from, to, maxSpeed) {
+    const timeDiff = Math.abs(new Date(to.timestamp) - new Date(from.timestamp)) / 1000;
+    if (timeDiff === 0) return false;
+
+    return calculateDistance(from.latitude, from.longitude, to.latitude, to.longitude) / timeDiff <= maxSpeed;
+  }
+
+  /**
+   * Pick the first trustworthy point of a route
+   * Each of the first few points is checked against the others; the earliest one
+   * consistent with the most of them wins, so a spike on the first fix is skipped
+   * @param {Array} route - Route points sorted by timestamp
+   * @param {number} maxSpeed - Fastest plausible speed in m/s
+   * @returns {number} Index of the anchor point
+   */
+  findAnchor(route, maxSpeed) {
+    const window = route.slice(0, ROUTE_FILTER.ANCHOR_WINDOW);
+    let anchor = 0;
+    let bestCount = -1;
+
+    window.forEach((candidate, index) => {
+      const count = window.filter((other, j) => j !== index && this.isPlausibleMove(candidate, other, maxSpeed)).length;
+      if (count > bestCount) {
+        anchor = index;
+        bestCount = count;
+      }
+    });
+
+    return anchor;
+  }
+
+  /**
+   * Drop points that would require a physically impossible speed to reach
+   * from the last accepted point (GPS jumps)
+   * Points before the anchor (see findAnchor) are dropped as well
+   * @param {Array} route - Route points sorted by timestamp
+   * @param {number} maxSpeed - Fastest plausible speed in m/s
+   * @returns {Array} Filtered route points
+   */
+  removeSpeedSpikes(route, maxSpeed = ROUTE_FILTER.MAX_SPEED) {
+    if (route.length === 0) return [];
+
+    const anchor = this.findAnchor(route, maxSpeed);
+    const kept = [route[anchor]];
+
+    for (let i = anchor + 1; i < route.length; i++) {
+      const prev = kept[kept.length - 1];
+      const curr = route[i];
+      const timeDiff = (new Date(curr.timestamp) - new Date(prev.timestamp)) / 1000;
+
+      // Duplicate timestamps add no information
+      if (timeDiff <= 0) continue;
+
+      const distance = calculateDistance(prev.latitude, prev.longitude, curr.latitude, curr.longitude);
+      if (distance / timeDiff <= maxSpeed) {
+        kept.push(curr);
+      }
+    }
+
+    return kept;
+  }
+
+  /**
+   * Smooth positional jitter with a centered moving average
+   * Start and end points are left untouched so the run keeps its real endpoints
+   * @param {Array} route - Route points sorted by timestamp
+   * @returns {Array} Smoothed route points
+   */
+  smooth(route) {
+    const half = Math.floor(ROUTE_FILTER.SMOOTHING_WINDOW / 2);
+    if (half === 0 || route.length <= 2) return route;
+
+    return route.map((point, index) => {
+      if (index === 0 || index === route.length - 1) return point;
+
+      const from = Math.max(0, index - half);
+      const to = Math.min(route.length - 1, index + half);
+      const count = to - from + 1;
+
+      let latitude = 0;
+      let longitude = 0;
+      for (let i = from; i <= to; i++) {
+        latitude += route[i].latitude;
+        longitude += route[i].longitude;
+      }
+
+      return {
+        ...point,
+        latitude: latitude / count,
+        longitude: longitude / count,
+      };
+    });
+  }
+
+  /**
+   * Run the full cleaning pipeline on a route
+   * Falls back to the raw route if cleaning would leave fewer than 2 points
+   * @param {Array} route - Raw route points
+   * @param {string} activityType - Activity type, cycling allows higher speeds
+   * @returns {Object} { route, summary } where summary describes what was removed
+   */
+  cleanRoute(route, activityType = ACTIVITY_TYPES.RUN) {
+    const maxSpeed = activityType === ACTIVITY_TYPES.CYCLE
+      ? ROUTE_FILTER.MAX_CYCLE_SPEED
+      : ROUTE_FILTER.MAX_SPEED;
+
+    const sorted = [...route].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    const accurate = this.removeInaccuratePoints(sorted);
+    const plausible = this.removeSpeedSpikes(accurate, maxSpeed);
+
+    const summary = {
+      rawPointCount: route.length,
+      removedInaccurate: sorted.length - accurate.length,
+      removedSpikes: accurate.length - plausible.length,
+      smoothed: false,
+      applied: false,
+    };
+
+    if (plausible.length < 2) {
+      return { route: sorted, summary };
+    }
+
+    const smoothed = this.smooth(plausible);
+
+    return {
+      route: smoothed,
+      summary: {
+        ...summary,
+        smoothed: smoothed !== plausible,
+        applied: true,
+      },
+    };
+  }
+}
+
+module.exports = new RouteFilterService();
@@ -1,8 +1,78 @@
 const Run = require('../models/Run');
 const User = require('../models/User');
+const routeFileService = require('./routeFileService');
+const metricsService = require('./metricsService');
+const routeFilterService = require('./routeFilterService');
+const personalRecordService = require('./personalRecordService');
+const trainingLoadService = require('./trainingLoadService');
+const territoryService = require('./territoryService');
+const liveService = require('./liveService');
+const followService = require('./followService');
+const mapTileService = require('./mapTileService');
+const heatmapService = require('./heatmapService');
+const leaderboardService = require('./leaderboardService');
 const ApiError = require('../utils/ApiError');
-const { generateRunId, calculatePagination } = require('../utils/helpers');
-const { MESSAGES, PAGINATION } = require('../utils/constants');
+const {
+  generateRunId,
+  calculatePagination,
+  calculateDistance,
+  isWideBounds,
+  getLocationFilter,
+  getRouteIntersectsFilter,
+  getMercatorCellProjection,
+  getTimeWindowFilter,
+  isInPrivacyZone,
+  removePrivacyZonePoints,
+  getPublicVisibilityFilter,
+  getVisibilityFilter,
+} = require('../utils/helpers');
+const {
+  simplifyRoute,
+  getZoomTolerance,
+  encodePolyline,
+  boundsToPolygon,
+  toCenterSphere,
+} = require('../utils/geo');
+const {
+  MESSAGES,
+  PAGINATION,
+  VALIDATION,
+  ROUTE_ENCODINGS,
+  SPLIT_UNITS,
+  ACTIVITY_TYPES,
+  RUNNING_ACTIVITY_TYPES,
+  COMMUNITY_MAP,
+  SPATIAL_MATCH,
+  RUN_VISIBILITY,
+} = require('../utils/constants');
+const {
+  DEFAULT_RUN_COLOR,
+  PUBLIC_PROFILE_SELECT,
+  PUBLIC_ROUTE_SELECT,
+  toPublicProfile,
+  toPublicRoute,
+  lookupPublicProfile,
+} = require('../utils/publicProfile');
+
+const emptyTerritory = () => ({ tilesCovered: 0, tilesCaptured: 0, tilesStolen: 0 });
+
+/**
+ * Run a follow-up step for a run that is already saved
+ * A failure is logged and the fallback returned, so the client is not told to retry
+ * a run the server already has (the retry would be rejected as a duplicate)
+ * @param {string} label - Step name for the log
+ * @param {*} fallback - Result when the step fails
+ * @param {Function} task - Async step
+ * @returns {Promise} Result of the step, or the fallback
+ */
+const afterSave = async (label, fallback, task) => {
+  try {
+    return await task();
+  } catch (error) {
+    console.error(`${label} failed after saving a run:`, error.message);
+    return fallback;
+  }
+};
 
 class RunService {
   /**
@@ -29,70 +99,317 @@ class RunService {
   }
 
   /**
-   * Create a new run session
+   * Build the GeoJSON LineString stored for route-intersection queries
+   * Consecutive duplicate positions are dropped, since MongoDB rejects them in geo indexes
+   * @param {Array} route - Route points
+   * @returns {Object|null} GeoJSON LineString, or null without 2 distinct positions
+   */
+  buildRouteLine(route) {
+    if (!route || route.length < 2) return null;
+
+    const round = (value) => Math.round(value * 1e6) / 1e6;
+    const coordinates = [];
+
+    for (const point of simplifyRoute(route, COMMUNITY_MAP.ROUTE_LINE_TOLERANCE)) {
+      const position = [round(point.longitude), round(point.latitude)];
+      const last = coordinates[coordinates.length - 1];
+      if (!last || last[0] !== position[0] || last[1] !== position[1]) {
+        coordinates.push(position);
+      }
+    }
+
+    return coordinates.length >= 2 ? { type: 'LineString', coordinates } : null;
+  }
+
+  /**
+   * Build the geometry community queries match runs by, leaving out privacy zones
+   * The center is dropped when it still falls inside a zone, e.g. for a loop around home
+   * @param {Array} route - Route points
+   * @param {Array} privacyZones - Privacy zones of the run's owner
+   * @returns {Object} { location, routeLine }, each null when nothing public remains
+   */
+  buildPublicGeometry(route, privacyZones = []) {
+    const publicRoute = removePrivacyZonePoints(route, privacyZones);
+    let location = this.calculateRouteCenter(publicRoute);
+
+    if (location && isInPrivacyZone(location.coordinates[1], location.coordinates[0], privacyZones)) {
+      location = null;
+    }
+
+    return {
+      location,
+      routeLine: this.buildRouteLine(publicRoute),
+    };
+  }
+
+  /**
+   * Recompute the public geometry of all of a user's runs after their privacy zones change
    * @param {string} userId - User ID
+   * @param {Array} privacyZones - The user's new privacy zones
+   * @returns {number} Runs updated
+   */
+  async refreshPublicGeometry(userId, privacyZones = []) {
+    const BATCH_SIZE = 200;
+    let operations = [];
+    let updated = 0;
+
+    const flush = async () => {
+      if (operations.length === 0) return;
+      await Run.bulkWrite(operations, { ordered: false });
+      updated += operations.length;
+      operations = [];
+    };
+
+    const cursor = Run.find({ userId, 'route.0': { $exists: true } }).select('route').lean().cursor();
+
+    for await (const run of cursor) {
+      const { location, routeLine } = this.buildPublicGeometry(run.route, privacyZones);
+
+      operations.push({
+        updateOne: {
+          filter: { _id: run._id },
+          update: {
+            ...((location || routeLine) && {
+              $set: {
+                ...(location && { location }),
+                ...(routeLine && { routeLine }),
+              },
+            }),
+            ...((!location || !routeLine) && {
+              $unset: {
+                ...(!location && { location: '' }),
+                ...(!routeLine && { routeLine: '' }),
+              },
+            }),
+          },
+        },
+      });
+
+      if (operations.length >= BATCH_SIZE) {
+        await flush();
+      }
+    }
+
+    await flush();
+    return updated;
+  }
+
+  /**
+   * Shape a run's route for map payloads
+   * Simplifies with Douglas-Peucker (explicit tolerance wins over zoom) and
+   * optionally replaces the point array with a Google encoded polyline
+   * @param {Object} run - Plain run object
+   * @param {Object} options - { zoom, tolerance, encoding }
+   * @returns {Object} Run with the route simplified or encoded
+   */
+  formatRoute(run, options = {}) {
+    const { zoom, tolerance, encoding } = options;
+    if (!run.route || (zoom === undefined && tolerance === undefined && !encoding)) {
+      return run;
+    }
+
+    const maxDeviation = tolerance !== undefined ? tolerance : (zoom !== undefined ? getZoomTolerance(zoom) : 0);
+    const route = simplifyRoute(run.route, maxDeviation);
+
+    if (encoding === ROUTE_ENCODINGS.POLYLINE) {
+      const { route: _route, ...rest } = run;
+      return {
+        ...rest,
+        polyline: encodePolyline(route),
+        routePointCount: route.length,
+      };
+    }
+
+    return {
+      ...run,
+      route,
+    };
+  }
+
+  /**
+   * Build a run document from client data
+   * The route is cleaned of GPS noise (the raw trace is kept in rawRoute), then
+   * distance, duration and speeds are recomputed from it when possible;
+   * the client's values are kept in reportedMetrics and flagged if they are far off.
+   * Indoor activities may come without a route and keep the client's values
+   * @param {string} userId - User ID
+   * @param {string} runId - Run ID
    * @param {Object} runData - Run session data
-   * @returns {Object} Created run
+   * @param {Object} profile - { maxHeartRate, restingHeartRate, thresholdSpeed } from
+   *                           trainingLoadService.getLoadProfile, for zones and TRIMP
+   * @param {Object} owner - { privacyZones, defaultVisibility } of the user; privacy zones are
+   *                         left out of location and routeLine
+   * @returns {Object} Run document ready to be created
    */
-  async createRun(userId, runData) {
-    try {
-      // Generate unique ID if not provided
-      const runId = runData.id || generateRunId();
-
-      // Calculate geographic center for geospatial queries
-      const location = this.calculateRouteCenter(runData.route);
-
-      // Prepare run document
-      const run = await Run.create({
-        id: runId,
-        userId,
-        startTime: new Date(runData.startTime),
-        endTime: new Date(runData.endTime),
+  buildRunDocument(userId, runId, runData, profile, owner = {}) {
+    const activityType = runData.activityType || ACTIVITY_TYPES.RUN;
+    const rawRoute = (runData.route || []).map((point) => ({
+      latitude: point.latitude,
+      longitude: point.longitude,
+      timestamp: new Date(point.timestamp),
+      altitude: point.altitude ?? null,
+      accuracy: point.accuracy ?? null,
+      heartRate: point.heartRate ?? undefined,
+      cadence: point.cadence ?? undefined,
+      power: point.power ?? undefined,
+    }));
+    const { route, summary: routeCleaning } = routeFilterService.cleanRoute(rawRoute, activityType);
+    const publicGeometry = this.buildPublicGeometry(route, owner.privacyZones || []);
+
+    const reportedMetrics = {
+      distance: runData.distance ?? null,
+      duration: runData.duration ?? null,
+      averageSpeed: runData.averageSpeed ?? null,
+      maxSpeed: runData.maxSpeed ?? null,
+      totalArea: runData.totalArea ?? null,
+    };
+
+    const computed = metricsService.computeRouteMetrics(route);
+    const metrics = computed
+      ? {
+        distance: computed.distance,
+        duration: computed.elapsedTime,
+        elapsedTime: computed.elapsedTime,
+        movingTime: computed.movingTime,
+        pauses: computed.pauses,
+        averageSpeed: computed.averageSpeed,
+        maxSpeed: computed.maxSpeed,
+        metricsCheck: metricsService.compareWithReported(reportedMetrics, computed),
+      }
+      : {
+        // Indoor activities carry no usable track, fall back to client values
         distance: runData.distance,
-        area: runData.area || null,
-        totalArea: runData.totalArea || null,
         duration: runData.duration,
         averageSpeed: runData.averageSpeed,
         maxSpeed: runData.maxSpeed || 0,
-        notes: runData.notes || null,
-        location, // GeoJSON Point for geospatial indexing
-        route: runData.route.map((point) => ({
-          latitude: point.latitude,
-          longitude: point.longitude,
-          timestamp: new Date(point.timestamp),
-          altitude: point.altitude || null,
-          accuracy: point.accuracy || null,
-        })),
-      });
+      };
 
-      // Update user metadata
-      const user = await User.findById(userId);
-      if (user) {
-        await user.updateMetadata({
-          distance: runData.distance,
-          duration: runData.duration,
-        });
-      }
+    const document = {
+      id: runId,
+      userId,
+      activityType,
+      visibility: runData.visibility || owner.defaultVisibility || RUN_VISIBILITY.PUBLIC,
+      startTime: new Date(runData.startTime),
+      endTime: new Date(runData.endTime),
+      area: runData.area || null,
+      notes: runData.notes || null,
+      ...metrics,
+      reportedMetrics,
+      // Routes without a usable track cover no area
+      ...(metricsService.computeArea(route) || { totalArea: null }),
+      ...metricsService.computeElevation(route),
+      gradeAdjustedPace: metricsService.computeGradeAdjustedPace(route),
+      ...metricsService.computeSensorMetrics(route),
+      heartRateZones: metricsService.computeHeartRateZones(route, profile.maxHeartRate),
+      bestEfforts: RUNNING_ACTIVITY_TYPES.includes(activityType) ? metricsService.computeBestEfforts(route) : [],
+      laps: metricsService.computeLaps(route, runData.laps),
+      location: publicGeometry.location, // GeoJSON Point for geospatial indexing
+      routeLine: publicGeometry.routeLine || undefined,
+      route,
+      rawRoute,
+      routeCleaning,
+    };
 
-      return run;
+    return {
+      ...document,
+      ...trainingLoadService.computeRunLoad(document, profile),
+    };
+  }
+
+  /**
+   * Create a new run session
+   * @param {string} userId - User ID
+   * @param {Object} runData - Run session data
+   * @returns {Object} { run, personalRecords, territory } - created run, the records it set and the tiles it captured
+   */
+  async createRun(userId, runData) {
+    // Generate unique ID if not provided
+    const runId = runData.id || generateRunId();
+
+    const user = await User.findById(userId);
+
+    const loadProfile = await trainingLoadService.getLoadProfile(user);
+
+    const privacyZones = user ? user.privacyZones : [];
+
+    let run;
+    try {
+      run = await Run.create(this.buildRunDocument(userId, runId, runData, loadProfile, user || {}));
     } catch (error) {
       if (error.code === 11000) {
         throw ApiError.conflict('Run with this ID already exists');
       }
       throw error;
     }
+
+    // The run is saved from here on, so follow-up failures are logged rather than returned
+    if (user) {
+      await afterSave('User metadata', null, () => user.updateMetadata({
+        distance: run.distance,
+        duration: run.duration,
+      }));
+    }
+
+    const personalRecords = await afterSave('Personal records', [], () => personalRecordService.updateFromRun(userId, run));
+    const territory = await afterSave(
+      'Territory capture',
+      emptyTerritory(),
+      () => territoryService.captureFromRun(userId, run, privacyZones)
+    );
+
+    // The finished run replaces its live session on the map
+    await afterSave('Live session', false, () => liveService.endSession(userId, run.endTime));
+
+    await afterSave('Leaderboards', null, () => leaderboardService.refreshUser(userId, [run]));
+
+    return { run, personalRecords, territory };
+  }
+
+  /**
+   * Import a run from a GPX document
+   * @param {string} userId - User ID
+   * @param {string} gpx - GPX 1.1 document
+   * @param {Object} options - Optional id, activityType, visibility, area and notes overrides
+   * @returns {Object} { run, personalRecords, territory } - created run, the records it set and the tiles it captured
+   */
+  async importGpxRun(userId, gpx, options = {}) {
+    const { name, route } = routeFileService.parseGpx(gpx);
+    const startTime = route[0].timestamp;
+    const endTime = route[route.length - 1].timestamp;
+
+    if (endTime <= startTime) {
+      throw ApiError.badRequest('GPX track must span a positive amount of time');
+    }
+
+    // Metrics are left to buildRunDocument, which derives them from the route
+    return this.createRun(userId, {
+      id: options.id,
+      activityType: options.activityType,
+      visibility: options.visibility,
+      startTime,
+      endTime,
+      area: options.area,
+      notes: options.notes || (name ? name.replace(/[<>]/g, '').slice(0, VALIDATION.MAX_NOTES_LENGTH) : null),
+      route,
+    });
   }
 
   /**
    * Bulk create multiple runs (for offline sync)
    * @param {string} userId - User ID
    * @param {Array} runsData - Array of run session data
-   * @returns {Object} Created runs and failed runs
+   * @returns {Object} Created runs, failed runs, personal records and territory captured by the batch
    */
   async bulkCreateRuns(userId, runsData) {
     const results = {
       successful: [],
       failed: [],
+      personalRecords: [],
+      territory: {
+        tilesCovered: 0,
+        tilesCaptured: 0,
+        tilesStolen: 0,
+      },
       summary: {
         total: runsData.length,
         created: 0,
@@ -101,7 +418,14 @@ class RunService {
       },
     };
 
+    // Latest record per distance, a later run in the batch may beat an earlier one
+    const recordsByDistance = new Map();
+
     try {
+      const user = await User.findById(userId);
+      const loadProfile = await trainingLoadService.getLoadProfile(user);
+      const privacyZones = user ? user.privacyZones : [];
+
       for (const runData of runsData) {
         try {
           // Generate unique ID if not provided
@@ -119,34 +443,29 @@ class RunService {
             continue;
           }
 
-          // Calculate geographic center for geospatial queries
-          const location = this.calculateRouteCenter(runData.route);
-
-          // Prepare run document
-          const run = await Run.create({
-            id: runId,
-            userId,
-            startTime: new Date(runData.startTime),
-            endTime: new Date(runData.endTime),
-            distance: runData.distance,
-            area: runData.area || null,
-            totalArea: runData.totalArea || null,
-            duration: runData.duration,
-            averageSpeed: runData.averageSpeed,
-            maxSpeed: runData.maxSpeed || 0,
-            notes: runData.notes || null,
-            location, // GeoJSON Point for geospatial indexing
-            route: runData.route.map((point) => ({
-              latitude: point.latitude,
-              longitude: point.longitude,
-              timestamp: new Date(point.timestamp),
-              altitude: point.altitude || null,
-              accuracy: point.accuracy || null,
-            })),
-          });
+          const run = await Run.create(this.buildRunDocument(userId, runId, runData, loadProfile, user || {}));
 
           results.successful.push(run);
           results.summary.created++;
+
+          const personalRecords = await afterSave('Personal records', [], () => personalRecordService.updateFromRun(userId, run));
+          for (const record of personalRecords) {
+            const previous = recordsByDistance.get(record.distance);
+            recordsByDistance.set(record.distance, {
+              ...record,
+              // Report the improvement over the record held before this sync
+              previousTime: previous ? previous.previousTime : record.previousTime,
+            });
+          }
+
+          const territory = await afterSave(
+            'Territory capture',
+            emptyTerritory(),
+            () => territoryService.captureFromRun(userId, run, privacyZones)
+          );
+          for (const key of Object.keys(results.territory)) {
+            results.territory[key] += territory[key];
+          }
         } catch (error) {
           results.failed.push({
             id: runData.id || 'unknown',
@@ -157,18 +476,21 @@ class RunService {
         }
       }
 
+      results.personalRecords = [...recordsByDistance.values()];
+
       // Update user metadata based on successful runs
       if (results.successful.length > 0) {
         const totalDistance = results.successful.reduce((sum, run) => sum + run.distance, 0);
         const totalDuration = results.successful.reduce((sum, run) => sum + run.duration, 0);
 
-        const user = await User.findById(userId);
         if (user) {
-          await user.updateMetadata({
+          await afterSave('User metadata', null, () => user.updateMetadata({
             distance: totalDistance,
             duration: totalDuration,
-          });
+          }));
         }
+
+        await afterSave('Leaderboards', null, () => leaderboardService.refreshUser(userId, results.successful));
       }
 
       return results;
@@ -213,23 +535,77 @@ class RunService {
    * Get a specific run by ID
    * @param {string} runId - Run ID
    * @param {string} userId - User ID for authorization
+   * @param {Object} routeOptions - Optional { zoom, tolerance, encoding } for the route payload
    * @returns {Object} Run data
    */
-  async getRunById(runId, userId) {
+  async getRunById(runId, userId, routeOptions = null) {
     const run = await Run.findOne({ id: runId, userId, isDeleted: false });
 
     if (!run) {
       throw ApiError.notFound(MESSAGES.RUN_NOT_FOUND);
     }
 
-    return run;
+    return routeOptions ? this.formatRoute(run.toObject(), routeOptions) : run;
+  }
+
+  /**
+   * Build the spatial part of a community map query
+   * @param {Object} area - { boundingBox, polygon, match }
+   * @returns {Object} Partial query condition ({} without an area)
+   */
+  buildAreaFilter({ boundingBox, polygon, match }) {
+    if (!boundingBox && !polygon) return {};
+
+    if (match === SPATIAL_MATCH.ROUTE) {
+      // Boxes too wide for a polygon are matched by route center
+      if (boundingBox && isWideBounds(boundingBox)) {
+        return getLocationFilter(boundingBox);
+      }
+      return getRouteIntersectsFilter(polygon || boundsToPolygon(boundingBox));
+    }
+
+    return polygon
+      ? { location: { $geoWithin: { $geometry: polygon } } }
+      : getLocationFilter(boundingBox);
+  }
+
+  /**
+   * Build the visibility part of a cross-user run query
+   * Kept in $and so its $or does not clash with the route-intersection $or
+   * @param {ObjectId} viewerId - Viewing user's ID, or null for public runs only
+   * @returns {Object} Partial query condition
+   */
+  async buildVisibilityFilter(viewerId) {
+    if (!viewerId) return getPublicVisibilityFilter();
+
+    const followingIds = await followService.getFollowingIds(viewerId);
+    return { $and: [getVisibilityFilter(viewerId, followingIds)] };
+  }
+
+  /**
+   * Build an unsorted filter for route centers within a radius of a point
+   * @param {Object} near - { latitude, longitude, radius } with radius in meters
+   * @returns {Object} Partial query condition
+   */
+  buildNearFilter(near) {
+    return {
+      location: {
+        $geoWithin: {
+          $centerSphere: toCenterSphere(near.latitude, near.longitude, near.radius),
+        },
+      },
+    };
   }
 
   /**
    * Get all community runs for map plotting (all users)
    * OPTIMIZED with MongoDB 2dsphere geospatial indexing
    * Performance: O(log n) instead of O(n) for location queries
-   * @param {Object} options - Query options
+   * @param {Object} options - Query options: page, limit, routeOptions and one spatial filter:
+   *   boundingBox or polygon (matched by route center, or by any part of the route with match=route),
+   *   or near { latitude, longitude, radius } (nearest route centers first),
+   *   plus timeWindow { since, until, daysOfWeek, hours, timezone } on run start time.
+   *   Only runs viewerId may see are returned (public runs without a viewer)
    * @returns {Object} Runs and pagination data
    */
   async getCommunityRuns(options = {}) {
@@ -237,47 +613,73 @@ class RunService {
       page = PAGINATION.DEFAULT_PAGE,
       limit = PAGINATION.DEFAULT_LIMIT,
       boundingBox = null,
+      polygon = null,
+      near = null,
+      match = SPATIAL_MATCH.CENTROID,
+      timeWindow = null,
+      viewerId = null,
+      routeOptions = {},
     } = options;
 
     try {
+      const timeFilter = getTimeWindowFilter(timeWindow || {});
+      const visibilityFilter = await this.buildVisibilityFilter(viewerId);
+
       // Build base query
       const query = {
         isDeleted: false,
+        ...this.buildAreaFilter({ boundingBox, polygon, match }),
+        ...timeFilter,
+        ...visibilityFilter,
       };
+      let countQuery = query;
+      let sort = { startTime: -1 };
+
+      if (near) {
+        const center = [near.longitude, near.latitude];
 
-      // Apply geospatial filter using 2dsphere index (FAST!)
-      if (boundingBox) {
-        const { minLat, maxLat, minLng, maxLng } = boundingBox;
-        
-        // MongoDB $geoWithin query - leverages 2dsphere index
-        // This is O(log n) vs O(n) for array scanning
         query.location = {
-          $geoWithin: {
-            $box: [
-              [minLng, minLat], // Southwest corner [longitude, latitude]
-              [maxLng, maxLat]  // Northeast corner
-            ]
-          }
+          $nearSphere: {
+            $geometry: { type: 'Point', coordinates: center },
+            $maxDistance: near.radius,
+          },
         };
+
+        // $nearSphere already sorts by distance and cannot be counted
+        sort = null;
+        countQuery = { isDeleted: false, ...this.buildNearFilter(near), ...timeFilter, ...visibilityFilter };
+      }
+
+      let runsQuery = Run.find(query)
+        .select(`id userId startTime endTime distance area totalArea duration ${PUBLIC_ROUTE_SELECT} location createdAt`)
+        .populate('userId', `${PUBLIC_PROFILE_SELECT} privacyZones`);
+
+      if (sort) {
+        runsQuery = runsQuery.sort(sort);
       }
 
-      const runs = await Run.find(query)
-        .select('id userId startTime endTime distance area totalArea duration route createdAt')
-        .populate('userId', 'username email runColor')
-        .sort({ startTime: -1 })
+      const runs = await runsQuery
         .limit(Math.min(parseInt(limit), PAGINATION.MAX_LIMIT))
         .skip((parseInt(page) - 1) * Math.min(parseInt(limit), PAGINATION.MAX_LIMIT))
         .lean();
 
-      // Transform the response to include username and runColor at top level
+      // Transform the response to include the runner's public profile at top level
+      // Route points inside the runner's privacy zones are never sent to other users,
+      // nor are their sensor samples
       const transformedRuns = runs.map(run => ({
-        ...run,
-        username: run.userId?.username || 'Runner',
-        runColor: run.userId?.runColor || '#FF6B6B',
-        userId: run.userId?._id || run.userId, // Keep userId as string ID
+        ...this.formatRoute({ ...run, route: toPublicRoute(removePrivacyZonePoints(run.route, run.userId?.privacyZones)) }, routeOptions),
+        ...toPublicProfile(run.userId),
+        ...(near && run.location && {
+          distanceFromPoint: Math.round(calculateDistance(
+            near.latitude,
+            near.longitude,
+            run.location.coordinates[1],
+            run.location.coordinates[0]
+          )),
+        }),
       }));
 
-      const totalItems = await Run.countDocuments(query);
+      const totalItems = await Run.countDocuments(countQuery);
       const pagination = calculatePagination(totalItems, parseInt(page), parseInt(limit));
 
       return {
@@ -289,6 +691,117 @@ class RunService {
     }
   }
 
+  /**
+   * Group community runs into clusters of nearby route centers for zoomed-out maps
+   * Centers are binned on a Web Mercator grid of CLUSTER_CELL_PIXELS at the given zoom
+   * @param {Object} options - zoom plus the spatial and time filters of getCommunityRuns
+   *   (near matches route centers within the radius)
+   * @returns {Object} { zoom, totalRuns, clusters, truncated }
+   */
+  async getCommunityClusters(options = {}) {
+    const {
+      zoom,
+      boundingBox = null,
+      polygon = null,
+      near = null,
+      match = SPATIAL_MATCH.CENTROID,
+      timeWindow = null,
+      viewerId = null,
+    } = options;
+
+    const cellsPerWorld = (256 * Math.pow(2, parseInt(zoom))) / COMMUNITY_MAP.CLUSTER_CELL_PIXELS;
+
+    const query = {
+      isDeleted: false,
+      'location.coordinates.1': { $exists: true },
+      ...this.buildAreaFilter({ boundingBox, polygon, match }),
+      ...(near && this.buildNearFilter(near)),
+      ...getTimeWindowFilter(timeWindow || {}),
+      ...(await this.buildVisibilityFilter(viewerId)),
+    };
+
+    const [clusters, totalRuns] = await Promise.all([
+      Run.aggregate([
+        { $match: query },
+        {
+          $project: {
+            id: 1,
+            userId: 1,
+            longitude: { $arrayElemAt: ['$location.coordinates', 0] },
+            latitude: { $arrayElemAt: ['$location.coordinates', 1] },
+          },
+        },
+        {
+          $addFields: getMercatorCellProjection('$longitude', '$latitude', cellsPerWorld),
+        },
+        // Per user first, so each cluster can take the color of its most active runner
+        {
+          $group: {
+            _id: { x: '$x', y: '$y', userId: '$userId' },
+            count: { $sum: 1 },
+            runId: { $first: '$id' },
+            sumLatitude: { $sum: '$latitude' },
+            sumLongitude: { $sum: '$longitude' },
+            minLat: { $min: '$latitude' },
+            maxLat: { $max: '$latitude' },
+            minLng: { $min: '$longitude' },
+            maxLng: { $max: '$longitude' },
+          },
+        },
+        { $sort: { count: -1 } },
+        {
+          $group: {
+            _id: { x: '$_id.x', y: '$_id.y' },
+            count: { $sum: '$count' },
+            runId: { $first: '$runId' },
+            topUserId: { $first: '$_id.userId' },
+            runnerCount: { $sum: 1 },
+            sumLatitude: { $sum: '$sumLatitude' },
+            sumLongitude: { $sum: '$sumLongitude' },
+            minLat: { $min: '$minLat' },
+            maxLat: { $max: '$maxLat' },
+            minLng: { $min: '$minLng' },
+            maxLng: { $max: '$maxLng' },
+          },
+        },
+        { $sort: { count: -1 } },
+        { $limit: COMMUNITY_MAP.MAX_CLUSTERS + 1 },
+        lookupPublicProfile('topUserId', 'topUser'),
+        {
+          $project: {
+            _id: 0,
+            count: 1,
+            runId: 1,
+            runnerCount: 1,
+            latitude: { $divide: ['$sumLatitude', '$count'] },
+            longitude: { $divide: ['$sumLongitude', '$count'] },
+            bounds: {
+              minLat: '$minLat',
+              minLng: '$minLng',
+              maxLat: '$maxLat',
+              maxLng: '$maxLng',
+            },
+            runColor: { $ifNull: [{ $arrayElemAt: ['$topUser.runColor', 0] }, DEFAULT_RUN_COLOR] },
+          },
+        },
+      ]).allowDiskUse(true),
+      Run.countDocuments(query),
+    ]);
+
+    const truncated = clusters.length > COMMUNITY_MAP.MAX_CLUSTERS;
+
+    return {
+      zoom: parseInt(zoom),
+      totalRuns,
+      // A cluster of one run points straight at it
+      clusters: clusters.slice(0, COMMUNITY_MAP.MAX_CLUSTERS).map(({ runId, ...cluster }) => ({
+        ...cluster,
+        ...(cluster.count === 1 && { runId }),
+      })),
+      truncated,
+    };
+  }
+
   /**
    * Get runs within a date range
    * @param {string} userId - User ID
@@ -319,12 +832,34 @@ class RunService {
       throw ApiError.notFound(MESSAGES.RUN_NOT_FOUND);
     }
 
-    // Only allow updating notes for now
+    // Only notes and visibility can change after a run is saved
     if (updateData.notes !== undefined) {
       run.notes = updateData.notes;
     }
 
+    const visibilityChanged = updateData.visibility !== undefined && updateData.visibility !== run.visibility;
+    if (visibilityChanged) {
+      run.visibility = updateData.visibility;
+    }
+
     await run.save();
+
+    // Cached tiles may still draw a run that is no longer public, and only public runs rank
+    // or hold territory
+    if (visibilityChanged) {
+      mapTileService.clearCache();
+      heatmapService.clearCache();
+
+      if (run.visibility === RUN_VISIBILITY.PUBLIC) {
+        const owner = await User.findById(userId).select('privacyZones').lean();
+        await territoryService.captureFromRun(userId, run, owner?.privacyZones || []);
+      } else {
+        await territoryService.releaseRunTerritory(userId, run.id);
+      }
+
+      await leaderboardService.refreshUser(userId, [run]);
+    }
+
     return run;
   }
 
@@ -353,6 +888,11 @@ class RunService {
       await user.save();
     }
 
+    // Records the run held fall back to the best of the remaining runs
+    await personalRecordService.recomputeForRun(userId, run.id);
+    await territoryService.releaseRunTerritory(userId, run.id);
+    await leaderboardService.refreshUser(userId, [run]);
+
     return { message: MESSAGES.RUN_DELETED };
   }
 
@@ -375,216 +915,66 @@ class RunService {
    * Get location points for a run
    * @param {string} runId - Run ID
    * @param {string} userId - User ID for authorization
+   * @param {Object} options - { raw } to return the unfiltered GPS trace
    * @returns {Array} Location points
    */
-  async getRunLocationPoints(runId, userId) {
+  async getRunLocationPoints(runId, userId, options = {}) {
+    const { raw = false } = options;
+
     // Verify run exists and belongs to user
-    const run = await Run.findOne({ id: runId, userId }).select('route');
+    const run = await Run.findOne({ id: runId, userId }).select(raw ? 'route +rawRoute' : 'route');
 
     if (!run) {
       throw ApiError.notFound(MESSAGES.RUN_NOT_FOUND);
     }
 
+    // Runs stored before route filtering have no separate raw trace
+    if (raw && run.rawRoute && run.rawRoute.length > 0) {
+      return run.rawRoute;
+    }
+
     return run.route || [];
   }
 
   /**
-   * Get leaderboard by total area coverage with pagination
-   * @param {Object} options - Query options
-   * @returns {Object} Leaderboard data with rankings
+   * Get per-unit splits and client-marked laps for a run
+   * @param {string} runId - Run ID
+   * @param {string} userId - User ID for authorization
+   * @param {string} unit - 'km' or 'mi'
+   * @returns {Object} { unit, splits, splitTrend, laps }
    */
-  async getAreaLeaderboard(options = {}) {
-    const {
-      page = PAGINATION.DEFAULT_PAGE,
-      limit = PAGINATION.DEFAULT_LIMIT,
-    } = options;
-
-    try {
-      // Aggregate runs by user and total area covered
-      const pipeline = [
-        {
-          $match: {
-            isDeleted: false,
-            totalArea: { $ne: null, $gt: 0 },
-          },
-        },
-        {
-          $group: {
-            _id: '$userId',
-            totalAreaCovered: { $sum: '$totalArea' },
-            totalRuns: { $sum: 1 },
-            totalDistance: { $sum: '$distance' },
-          },
-        },
-        {
-          $sort: { totalAreaCovered: -1 },
-        },
-        {
-          $lookup: {
-            from: 'users',
-            localField: '_id',
-            foreignField: '_id',
-            as: 'user',
-          },
-        },
-        {
-          $unwind: '$user',
-        },
-        {
-          $project: {
-            _id: 0,
-            userId: '$_id',
-            username: '$user.username',
-            email: '$user.email',
-            totalAreaCovered: 1,
-            totalRuns: 1,
-            totalDistance: 1,
-            averageArea: { $divide: ['$totalAreaCovered', '$totalRuns'] },
-          },
-        },
-      ];
-
-      // Get total count for pagination
-      const countPipeline = [
-        {
-          $match: {
-            isDeleted: false,
-            totalArea: { $ne: null, $gt: 0 },
-          },
-        },
-        {
-          $group: {
-            _id: '$userId',
-          },
-        },
-        {
-          $count: 'total',
-        },
-      ];
+  async getRunSplits(runId, userId, unit = SPLIT_UNITS.KM) {
+    const run = await Run.findOne({ id: runId, userId, isDeleted: false }).select('route laps').lean();
 
-      const totalResults = await Run.aggregate(countPipeline);
-      const totalItems = totalResults.length > 0 ? totalResults[0].total : 0;
-
-      // Apply pagination
-      const skip = (parseInt(page) - 1) * Math.min(parseInt(limit), PAGINATION.MAX_LIMIT);
-      pipeline.push(
-        { $skip: skip },
-        { $limit: Math.min(parseInt(limit), PAGINATION.MAX_LIMIT) }
-      );
-
-      const leaderboard = await Run.aggregate(pipeline);
-
-      // Add ranking index
-      const rankedLeaderboard = leaderboard.map((item, index) => ({
-        rank: skip + index + 1,
-        ...item,
-      }));
+    if (!run) {
+      throw ApiError.notFound(MESSAGES.RUN_NOT_FOUND);
+    }
 
-      const pagination = calculatePagination(totalItems, parseInt(page), parseInt(limit));
+    const splits = metricsService.computeSplits(run.route, unit);
 
-      return {
-        leaderboard: rankedLeaderboard,
-        pagination,
-      };
-    } catch (error) {
-      throw error;
-    }
+    return {
+      unit,
+      splits,
+      splitTrend: metricsService.getSplitTrend(splits),
+      laps: run.laps || [],
+    };
   }
 
   /**
-   * Get leaderboard by distance with pagination
-   * @param {Object} options - Query options
-   * @returns {Object} Leaderboard data with rankings
+   * Export a run as a downloadable route file
+   * @param {string} runId - Run ID
+   * @param {string} userId - User ID for authorization
+   * @param {string} format - One of gpx, tcx, geojson
+   * @returns {Object} { filename, contentType, body }
    */
-  async getDistanceLeaderboard(options = {}) {
-    const {
-      page = PAGINATION.DEFAULT_PAGE,
-      limit = PAGINATION.DEFAULT_LIMIT,
-    } = options;
-
-    try {
-      // Aggregate runs by user and total distance
-      const pipeline = [
-        {
-          $match: {
-            isDeleted: false,
-          },
-        },
-        {
-          $group: {
-            _id: '$userId',
-            totalDistance: { $sum: '$distance' },
-            totalRuns: { $sum: 1 },
-            totalDuration: { $sum: '$duration' },
-          },
-        },
-        {
-          $sort: { totalDistance: -1 },
-        },
-        {
-          $lookup: {
-            from: 'users',
-            localField: '_id',
-            foreignField: '_id',
-            as: 'userInfo',
-          },
-        },
-        {
-          $unwind: {
-            path: '$userInfo',
-            preserveNullAndEmptyArrays: true,
-          },
-        },
-        {
-          $project: {
-            _id: 0,
-            userId: '$_id',
-            username: '$userInfo.username',
-            email: '$userInfo.email',
-            runColor: '$userInfo.runColor',
-            totalDistance: 1,
-            totalRuns: 1,
-            totalDuration: 1,
-          },
-        },
-      ];
-
-      // Get total count for pagination
-      const totalResults = await Run.aggregate([
-        ...pipeline.slice(0, 1),
-        {
-          $group: {
-            _id: '$userId',
-          },
-        },
-        { $count: 'total' },
-      ]);
-      const totalItems = totalResults.length > 0 ? totalResults[0].total : 0;
-
-      // Apply pagination
-      const skip = (parseInt(page) - 1) * Math.min(parseInt(limit), PAGINATION.MAX_LIMIT);
-      pipeline.push(
-        { $skip: skip },
-        { $limit: Math.min(parseInt(limit), PAGINATION.MAX_LIMIT) }
-      );
-
-      const leaderboard = await Run.aggregate(pipeline);
-
-      // Add ranking index
-      const rankedLeaderboard = leaderboard.map((item, index) => ({
-        rank: skip + index + 1,
-        ...item,
-      }));
-
-      const pagination = calculatePagination(totalItems, parseInt(page), parseInt(limit));
+  async exportRun(runId, userId, format) {
+    const run = await Run.findOne({ id: runId, userId, isDeleted: false }).lean();
 
-      return {
-        leaderboard: rankedLeaderboard,
-        pagination,
-      };
-    } catch (error) {
-      throw error;
+    if (!run) {
+      throw ApiError.notFound(MESSAGES.RUN_NOT_FOUND);
     }
+
+    return routeFileService.exportRun(run, format);
   }
 }
 
@@ -1,18 +1,105 @@
 const Stats = require('../models/Stats');
 const Run = require('../models/Run');
 const ApiError = require('../utils/ApiError');
-const { getPeriodDates } = require('../utils/helpers');
-const { PERIOD_TYPES } = require('../utils/constants');
+const { getPeriodDates, getActivityTypeFilter } = require('../utils/helpers');
+const { PERIOD_TYPES, ACTIVITY_TYPES } = require('../utils/constants');
 
 class StatsService {
+  /**
+   * Summarize a set of runs into period totals
+   * @param {Array} runs - Run documents
+   * @returns {Object} Totals, averages and bests (averageSpeed in km/h)
+   */
+  summarizeRuns(runs) {
+    if (runs.length === 0) {
+      return {
+        totalDistance: 0,
+        totalDuration: 0,
+        totalMovingTime: 0,
+        totalRuns: 0,
+        averageSpeed: 0,
+        longestRun: 0,
+        longestDuration: 0,
+        fastestSpeed: 0,
+        totalElevationGain: 0,
+        totalElevationLoss: 0,
+        averageGradeAdjustedPace: null,
+      };
+    }
+
+    const totalDistance = runs.reduce((sum, run) => sum + run.distance, 0);
+    const totalDuration = runs.reduce((sum, run) => sum + run.duration, 0);
+    const totalMovingTime = runs.reduce((sum, run) => sum + (run.movingTime ?? run.duration), 0);
+    const totalRuns = runs.length;
+    const averageSpeed = totalMovingTime > 0 ? (totalDistance / totalMovingTime) * 3.6 : 0;
+    const longestRun = Math.max(...runs.map((run) => run.distance));
+    const longestDuration = Math.max(...runs.map((run) => run.duration));
+    const fastestSpeed = Math.max(...runs.map((run) => run.averageSpeed));
+    const totalElevationGain = runs.reduce((sum, run) => sum + (run.elevationGain || 0), 0);
+    const totalElevationLoss = runs.reduce((sum, run) => sum + (run.elevationLoss || 0), 0);
+
+    // Distance-weighted so long runs count more than short ones
+    const gapRuns = runs.filter((run) => run.gradeAdjustedPace);
+    const gapDistance = gapRuns.reduce((sum, run) => sum + run.distance, 0);
+    const averageGradeAdjustedPace = gapDistance > 0
+      ? Math.round(gapRuns.reduce((sum, run) => sum + run.gradeAdjustedPace * run.distance, 0) / gapDistance)
+      : null;
+
+    return {
+      totalDistance,
+      totalDuration,
+      totalMovingTime,
+      totalRuns,
+      averageSpeed,
+      longestRun,
+      longestDuration,
+      fastestSpeed,
+      totalElevationGain,
+      totalElevationLoss,
+      averageGradeAdjustedPace,
+    };
+  }
+
+  /**
+   * Group runs by activity type into per-type totals
+   * Runs stored before activity types existed count as runs
+   * @param {Array} runs - Run documents
+   * @returns {Array} [{ activityType, totalDistance, totalDuration, totalMovingTime, totalRuns }]
+   */
+  getActivityBreakdown(runs) {
+    const byType = new Map();
+
+    for (const run of runs) {
+      const activityType = run.activityType || ACTIVITY_TYPES.RUN;
+      const entry = byType.get(activityType) || {
+        activityType,
+        totalDistance: 0,
+        totalDuration: 0,
+        totalMovingTime: 0,
+        totalRuns: 0,
+      };
+
+      entry.totalDistance += run.distance;
+      entry.totalDuration += run.duration;
+      entry.totalMovingTime += run.movingTime ?? run.duration;
+      entry.totalRuns += 1;
+      byType.set(activityType, entry);
+    }
+
+    return [...byType.values()].sort((a, b) => b.totalDistance - a.totalDistance);
+  }
+
   /**
    * Calculate and update statistics for a user
+   * Stored stats cover every activity type and carry a per-type breakdown;
+   * stats filtered to one activity type are computed on the fly and not stored
    * @param {string} userId - User ID
    * @param {string} periodType - Type of period
    * @param {Date} refDate - Reference date
+   * @param {string} activityType - Optional activity type filter
    * @returns {Object} Updated stats
    */
-  async calculateStats(userId, periodType, refDate = new Date()) {
+  async calculateStats(userId, periodType, refDate = new Date(), activityType = null) {
     const { startDate, endDate } = getPeriodDates(periodType, refDate);
 
     // Get runs for the period
@@ -23,42 +110,38 @@ class StatsService {
         $gte: startDate,
         $lte: endDate,
       },
+      ...getActivityTypeFilter(activityType),
     });
+    const summary = this.summarizeRuns(runs);
 
-    if (runs.length === 0) {
+    if (activityType) {
       return {
         userId,
         periodType,
         periodStart: startDate,
         periodEnd: endDate,
-        totalDistance: 0,
-        totalDuration: 0,
-        totalRuns: 0,
-        averageSpeed: 0,
-        longestRun: 0,
-        longestDuration: 0,
-        fastestSpeed: 0,
+        activityType,
+        ...summary,
       };
     }
 
-    // Calculate statistics
-    const totalDistance = runs.reduce((sum, run) => sum + run.distance, 0);
-    const totalDuration = runs.reduce((sum, run) => sum + run.duration, 0);
-    const totalRuns = runs.length;
-    const averageSpeed = totalDuration > 0 ? (totalDistance / totalDuration) * 3.6 : 0;
-    const longestRun = Math.max(...runs.map((run) => run.distance));
-    const longestDuration = Math.max(...runs.map((run) => run.duration));
-    const fastestSpeed = Math.max(...runs.map((run) => run.averageSpeed));
+    const activityBreakdown = this.getActivityBreakdown(runs);
+
+    if (runs.length === 0) {
+      return {
+        userId,
+        periodType,
+        periodStart: startDate,
+        periodEnd: endDate,
+        ...summary,
+        activityBreakdown,
+      };
+    }
 
     // Update or create stats
     const stats = await Stats.updateOrCreateStats(userId, periodType, startDate, endDate, {
-      totalDistance,
-      totalDuration,
-      totalRuns,
-      averageSpeed,
-      longestRun,
-      longestDuration,
-      fastestSpeed,
+      ...summary,
+      activityBreakdown,
     });
 
     return stats;
@@ -82,9 +165,14 @@ class StatsService {
   /**
    * Get all-time statistics
    * @param {string} userId - User ID
+   * @param {string} activityType - Optional activity type filter
    * @returns {Object} All-time stats
    */
-  async getAllTimeStats(userId) {
+  async getAllTimeStats(userId, activityType = null) {
+    if (activityType) {
+      return this.calculateStats(userId, PERIOD_TYPES.ALL_TIME, new Date(), activityType);
+    }
+
     let stats = await Stats.getAllTimeStats(userId);
 
     // If stats don't exist, calculate them
@@ -98,44 +186,48 @@ class StatsService {
   /**
    * Get weekly statistics
    * @param {string} userId - User ID
+   * @param {string} activityType - Optional activity type filter
    * @returns {Object} Weekly stats
    */
-  async getWeeklyStats(userId) {
-    const stats = await this.calculateStats(userId, PERIOD_TYPES.WEEKLY);
+  async getWeeklyStats(userId, activityType = null) {
+    const stats = await this.calculateStats(userId, PERIOD_TYPES.WEEKLY, new Date(), activityType);
     return stats;
   }
 
   /**
    * Get monthly statistics
    * @param {string} userId - User ID
+   * @param {string} activityType - Optional activity type filter
    * @returns {Object} Monthly stats
    */
-  async getMonthlyStats(userId) {
-    const stats = await this.calculateStats(userId, PERIOD_TYPES.MONTHLY);
+  async getMonthlyStats(userId, activityType = null) {
+    const stats = await this.calculateStats(userId, PERIOD_TYPES.MONTHLY, new Date(), activityType);
     return stats;
   }
 
   /**
    * Get yearly statistics
    * @param {string} userId - User ID
+   * @param {string} activityType - Optional activity type filter
    * @returns {Object} Yearly stats
    */
-  async getYearlyStats(userId) {
-    const stats = await this.calculateStats(userId, PERIOD_TYPES.YEARLY);
+  async getYearlyStats(userId, activityType = null) {
+    const stats = await this.calculateStats(userId, PERIOD_TYPES.YEARLY, new Date(), activityType);
     return stats;
   }
 
   /**
    * Get comprehensive stats overview
    * @param {string} userId - User ID
+   * @param {string} activityType - Optional activity type filter
    * @returns {Object} All stats
    */
-  async getStatsOverview(userId) {
+  async getStatsOverview(userId, activityType = null) {
     const [allTime, weekly, monthly, yearly] = await Promise.all([
-      this.getAllTimeStats(userId),
-      this.getWeeklyStats(userId),
-      this.getMonthlyStats(userId),
-      this.getYearlyStats(userId),
+      this.getAllTimeStats(userId, activityType),
+      this.getWeeklyStats(userId, activityType),
+      this.getMonthlyStats(userId, activityType),
+      this.getYearlyStats(userId, activityType),
     ]);
 
     return {
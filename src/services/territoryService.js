@@ -0,0 +1,435 @@
+/**
+ * Territory Service
+ * Hex-grid land-grab game: every run captures the tiles its route passes through
+ */
+
+const TerritoryTile = require('../models/TerritoryTile');
+const TerritoryEvent = require('../models/TerritoryEvent');
+const {
+  calculateDistance,
+  calculatePagination,
+  getLocationFilter,
+  isInPrivacyZone,
+} = require('../utils/helpers');
+const { latLngToHex, hexCenter, hexBoundary, toCenterSphere } = require('../utils/geo');
+const {
+  PAGINATION,
+  METRICS,
+  TERRITORY,
+  INDOOR_ACTIVITY_TYPES,
+  RUN_VISIBILITY,
+} = require('../utils/constants');
+const {
+  PUBLIC_PROFILE_SELECT,
+  toPublicProfile,
+  lookupPublicProfile,
+  projectPublicProfile,
+} = require('../utils/publicProfile');
+
+const emptyCapture = () => ({ tilesCovered: 0, tilesCaptured: 0, tilesStolen: 0 });
+
+class TerritoryService {
+  /**
+   * Build the tile ID for axial hex coordinates
+   * @param {number} q - Axial q
+   * @param {number} r - Axial r
+   * @returns {string} Tile ID "q:r"
+   */
+  getTileId(q, r) {
+    return `${q}:${r}`;
+  }
+
+  /**
+   * Find every tile a route passes through and when it was last there
+   * Segments are sampled every SAMPLE_SPACING meters so no tile is skipped;
+   * segments across a recording pause only count their endpoints
+   * @param {Array} route - Route points sorted by timestamp
+   * @returns {Map} tileId -> { q, r, time }
+   */
+  getRouteTiles(route) {
+    const tiles = new Map();
+
+    const visit = (latitude, longitude, time) => {
+      const { q, r } = latLngToHex(latitude, longitude, TERRITORY.HEX_SIZE);
+      tiles.set(this.getTileId(q, r), { q, r, time });
+    };
+
+    route.forEach((point, index) => {
+      const time = new Date(point.timestamp);
+
+      if (index > 0) {
+        const prev = route[index - 1];
+        const prevTime = new Date(prev.timestamp);
+        const gap = (time - prevTime) / 1000;
+
+        if (gap < METRICS.PAUSE_GAP_THRESHOLD) {
+          const distance = calculateDistance(prev.latitude, prev.longitude, point.latitude, point.longitude);
+          const steps = Math.ceil(distance / TERRITORY.SAMPLE_SPACING);
+
+          for (let step = 1; step < steps; step++) {
+            const fraction = step / steps;
+            visit(
+              prev.latitude + (point.latitude - prev.latitude) * fraction,
+              prev.longitude + (point.longitude - prev.longitude) * fraction,
+              new Date(prevTime.getTime() + (time - prevTime) * fraction)
+            );
+          }
+        }
+      }
+
+      visit(point.latitude, point.longitude, time);
+    });
+
+    return tiles;
+  }
+
+  /**
+   * Capture the tiles covered by a run
+   * A tile goes to the run only if it passed through later than the current owner did,
+   * so runs synced out of order do not overwrite newer captures.
+   * Tiles centered in one of the runner's privacy zones are never captured,
+   * and runs that are not public capture nothing since tile owners are shown to everyone
+   * @param {string} userId - User ID
+   * @param {Object} run - Run document
+   * @param {Array} privacyZones - The runner's privacy zones
+   * @returns {Object} { tilesCovered, tilesCaptured, tilesStolen }
+   */
+  async captureFromRun(userId, run, privacyZones = []) {
+    if (INDOOR_ACTIVITY_TYPES.includes(run.activityType) || !run.route || run.route.length === 0) {
+      return emptyCapture();
+    }
+
+    if (run.visibility && run.visibility !== RUN_VISIBILITY.PUBLIC) {
+      return emptyCapture();
+    }
+
+    const routeTiles = this.getRouteTiles(run.route);
+    for (const [tileId, { q, r }] of routeTiles) {
+      const { latitude, longitude } = hexCenter(q, r, TERRITORY.HEX_SIZE);
+      if (isInPrivacyZone(latitude, longitude, privacyZones)) {
+        routeTiles.delete(tileId);
+      }
+    }
+
+    const tileIds = [...routeTiles.keys()];
+
+    const existing = await TerritoryTile.find({ tileId: { $in: tileIds } })
+      .select('tileId ownerId capturedAt');
+    const existingById = new Map(existing.map((tile) => [tile.tileId, tile]));
+
+    const operations = [];
+    const insertsByIndex = new Map();
+    const events = [];
+    const result = { ...emptyCapture(), tilesCovered: tileIds.length };
+
+    for (const [tileId, { q, r, time }] of routeTiles) {
+      const tile = existingById.get(tileId);
+      const owner = { ownerId: userId, runId: run.id, capturedAt: time };
+
+      if (!tile) {
+        const { latitude, longitude } = hexCenter(q, r, TERRITORY.HEX_SIZE);
+        insertsByIndex.set(operations.length, { tileId, owner });
+        // A tile another run created in the meantime is only taken over if it is older;
+        // otherwise the upsert hits the unique tileId index and is skipped below
+        operations.push({
+          updateOne: {
+            filter: { tileId, capturedAt: { $lt: time } },
+            update: {
+              $setOnInsert: {
+                tileId,
+                q,
+                r,
+                center: { type: 'Point', coordinates: [longitude, latitude] },
+                captureCount: 1,
+              },
+              $set: owner,
+            },
+            upsert: true,
+          },
+        });
+        result.tilesCaptured++;
+        continue;
+      }
+
+      if (tile.capturedAt >= time) continue;
+
+      // Matching on capturedAt skips tiles another run took in the meantime
+      operations.push({
+        updateOne: {
+          filter: { tileId, capturedAt: tile.capturedAt },
+          update: { $set: owner, $inc: { captureCount: 1 } },
+        },
+      });
+
+      if (tile.ownerId.toString() !== userId.toString()) {
+        result.tilesCaptured++;
+        result.tilesStolen++;
+        events.push({
+          tileId,
+          userId,
+          previousOwnerId: tile.ownerId,
+          runId: run.id,
+          occurredAt: time,
+        });
+      }
+    }
+
+    if (operations.length > 0) {
+      try {
+        await TerritoryTile.bulkWrite(operations, { ordered: false });
+      } catch (error) {
+        const writeErrors = [].concat(error.writeErrors || []);
+        if (writeErrors.length === 0 || writeErrors.some((writeError) => writeError.code !== 11000)) {
+          throw error;
+        }
+
+        // Tiles another run created first are now existing tiles: capture them if still older
+        const retries = writeErrors.map((writeError) => {
+          const { tileId, owner } = insertsByIndex.get(writeError.index);
+          return {
+            updateOne: {
+              filter: { tileId, capturedAt: { $lt: owner.capturedAt } },
+              update: { $set: owner, $inc: { captureCount: 1 } },
+            },
+          };
+        });
+        const { matchedCount } = await TerritoryTile.bulkWrite(retries, { ordered: false });
+        result.tilesCaptured -= retries.length - matchedCount;
+      }
+    }
+    if (events.length > 0) {
+      await TerritoryEvent.insertMany(events);
+    }
+
+    return result;
+  }
+
+  /**
+   * Shape a tile for API responses
+   * @param {Object} tile - Lean tile document with ownerId populated
+   * @returns {Object} Tile with its owner and GeoJSON outline
+   */
+  formatTile(tile) {
+    const owner = tile.ownerId && tile.ownerId._id
+      ? toPublicProfile(tile.ownerId)
+      : { userId: tile.ownerId };
+
+    return {
+      tileId: tile.tileId,
+      q: tile.q,
+      r: tile.r,
+      center: {
+        latitude: tile.center.coordinates[1],
+        longitude: tile.center.coordinates[0],
+      },
+      boundary: { type: 'Polygon', coordinates: [hexBoundary(tile.q, tile.r, TERRITORY.HEX_SIZE)] },
+      owner,
+      runId: tile.runId,
+      capturedAt: tile.capturedAt,
+      captureCount: tile.captureCount,
+    };
+  }
+
+  /**
+   * Get all owned tiles whose center lies in a bounding box
+   * @param {Object} bbox - { minLat, minLng, maxLat, maxLng }
+   * @returns {Object} { tiles, count, truncated, hexSize }
+   */
+  async getTilesInBoundingBox(bbox) {
+    const bounds = {
+      minLat: parseFloat(bbox.minLat),
+      minLng: parseFloat(bbox.minLng),
+      maxLat: parseFloat(bbox.maxLat),
+      maxLng: parseFloat(bbox.maxLng),
+    };
+
+    const tiles = await TerritoryTile.find(getLocationFilter(bounds, 'center'))
+      .limit(TERRITORY.MAX_BBOX_TILES + 1)
+      .populate('ownerId', PUBLIC_PROFILE_SELECT)
+      .lean();
+
+    const truncated = tiles.length > TERRITORY.MAX_BBOX_TILES;
+    const formatted = tiles.slice(0, TERRITORY.MAX_BBOX_TILES).map((tile) => this.formatTile(tile));
+
+    return {
+      tiles: formatted,
+      count: formatted.length,
+      truncated,
+      hexSize: TERRITORY.HEX_SIZE,
+    };
+  }
+
+  /**
+   * Get the tiles a user currently owns, most recently captured first
+   * @param {string} userId - User ID
+   * @param {Object} options - Query options (page, limit)
+   * @returns {Object} { tiles, pagination }
+   */
+  async getUserTiles(userId, options = {}) {
+    const page = parseInt(options.page) || PAGINATION.DEFAULT_PAGE;
+    const limit = Math.min(parseInt(options.limit) || PAGINATION.DEFAULT_LIMIT, PAGINATION.MAX_LIMIT);
+    const skip = (page - 1) * limit;
+
+    const [tiles, totalItems] = await Promise.all([
+      TerritoryTile.find({ ownerId: userId })
+        .sort({ capturedAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      TerritoryTile.countDocuments({ ownerId: userId }),
+    ]);
+
+    return {
+      tiles: tiles.map((tile) => this.formatTile(tile)),
+      pagination: calculatePagination(totalItems, page, limit),
+    };
+  }
+
+  /**
+   * Get the tiles other users have taken from a user, newest first
+   * @param {string} userId - User ID
+   * @param {Object} options - Query options (page, limit)
+   * @returns {Object} { events, pagination }
+   */
+  async getStolenEvents(userId, options = {}) {
+    const page = parseInt(options.page) || PAGINATION.DEFAULT_PAGE;
+    const limit = Math.min(parseInt(options.limit) || PAGINATION.DEFAULT_LIMIT, PAGINATION.MAX_LIMIT);
+    const skip = (page - 1) * limit;
+
+    const [events, totalItems] = await Promise.all([
+      TerritoryEvent.find({ previousOwnerId: userId })
+        .sort({ occurredAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('userId', PUBLIC_PROFILE_SELECT)
+        .lean(),
+      TerritoryEvent.countDocuments({ previousOwnerId: userId }),
+    ]);
+
+    return {
+      events: events.map((event) => {
+        const [q, r] = event.tileId.split(':').map(Number);
+        const { latitude, longitude } = hexCenter(q, r, TERRITORY.HEX_SIZE);
+
+        return {
+          tileId: event.tileId,
+          center: { latitude, longitude },
+          stolenBy: event.userId ? toPublicProfile(event.userId) : null,
+          runId: event.runId,
+          occurredAt: event.occurredAt,
+        };
+      }),
+      pagination: calculatePagination(totalItems, page, limit),
+    };
+  }
+
+  /**
+   * Rank users by the number of tiles they currently own
+   * @param {Object} options - Query options (page, limit)
+   * @returns {Object} { leaderboard, pagination }
+   */
+  async getTerritoryLeaderboard(options = {}) {
+    const page = parseInt(options.page) || PAGINATION.DEFAULT_PAGE;
+    const limit = Math.min(parseInt(options.limit) || PAGINATION.DEFAULT_LIMIT, PAGINATION.MAX_LIMIT);
+    const skip = (page - 1) * limit;
+
+    const [leaderboard, totalResults] = await Promise.all([
+      TerritoryTile.aggregate([
+        {
+          $group: {
+            _id: '$ownerId',
+            tilesOwned: { $sum: 1 },
+            lastCapturedAt: { $max: '$capturedAt' },
+          },
+        },
+        { $sort: { tilesOwned: -1, lastCapturedAt: 1 } },
+        { $skip: skip },
+        { $limit: limit },
+        lookupPublicProfile('_id', 'user'),
+        // Tiles of deleted users still count in totalResults, so keep their rows too
+        {
+          $unwind: {
+            path: '$user',
+            preserveNullAndEmptyArrays: true,
+          },
+        },
+        {
+          $project: {
+            _id: 0,
+            ...projectPublicProfile('$_id', '$user'),
+            tilesOwned: 1,
+            lastCapturedAt: 1,
+          },
+        },
+      ]),
+      TerritoryTile.aggregate([
+        { $group: { _id: '$ownerId' } },
+        { $count: 'total' },
+      ]),
+    ]);
+
+    const totalItems = totalResults.length > 0 ? totalResults[0].total : 0;
+
+    return {
+      leaderboard: leaderboard.map((item, index) => ({
+        rank: skip + index + 1,
+        ...item,
+      })),
+      pagination: calculatePagination(totalItems, page, limit),
+    };
+  }
+
+  /**
+   * Give up the tiles a user owns inside their privacy zones
+   * The tiles become unowned rather than going back to a previous owner
+   * @param {string} userId - User ID
+   * @param {Array} privacyZones - The user's privacy zones
+   * @returns {number} Tiles released
+   */
+  async releaseTilesInZones(userId, privacyZones = []) {
+    if (privacyZones.length === 0) return 0;
+
+    const result = await TerritoryTile.deleteMany({
+      ownerId: userId,
+      $or: privacyZones.map((zone) => ({
+        center: {
+          $geoWithin: {
+            $centerSphere: toCenterSphere(zone.latitude, zone.longitude, zone.radius),
+          },
+        },
+      })),
+    });
+
+    return result.deletedCount;
+  }
+
+  /**
+   * Release the tiles a run holds, e.g. after it was deleted or stopped being public
+   * The tiles become free for the next run through them, and the steals the run made
+   * are dropped from its victims' history
+   * @param {string} userId - Run owner's ID
+   * @param {string} runId - Run ID
+   * @returns {number} Tiles released
+   */
+  async releaseRunTerritory(userId, runId) {
+    const [result] = await Promise.all([
+      TerritoryTile.deleteMany({ ownerId: userId, runId }),
+      TerritoryEvent.deleteMany({ userId, runId }),
+    ]);
+
+    return result.deletedCount;
+  }
+
+  /**
+   * Remove all of a user's tiles and their steal history
+   * @param {string} userId - User ID
+   */
+  async deleteUserTerritory(userId) {
+    await Promise.all([
+      TerritoryTile.deleteMany({ ownerId: userId }),
+      TerritoryEvent.deleteMany({ $or: [{ userId }, { previousOwnerId: userId }] }),
+    ]);
+  }
+}
+
+module.exports = new TerritoryService();
@@ -0,0 +1,186 @@
+/**
+ * Training Load Service
+ * Per-run training impulse (TRIMP) and rolling acute/chronic workload
+ */
+
+const Run = require('../models/Run');
+const User = require('../models/User');
+const PersonalRecord = require('../models/PersonalRecord');
+const ApiError = require('../utils/ApiError');
+const metricsService = require('./metricsService');
+const {
+  MESSAGES,
+  SENSORS,
+  TRAINING_LOAD,
+  ACWR_STATUS,
+  TRIMP_SOURCES,
+  ACTIVITY_TYPES,
+} = require('../utils/constants');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Threshold speed relative to race speed, best estimate first
+const THRESHOLD_SPEED_FACTORS = [
+  { distance: '10k', factor: 0.97 },
+  { distance: 'half_marathon', factor: 1.02 },
+  { distance: '5k', factor: 0.93 },
+];
+
+class TrainingLoadService {
+  /**
+   * Estimate a user's lactate-threshold running speed from their personal records
+   * @param {string} userId - User ID
+   * @returns {number} Threshold speed in m/s
+   */
+  async getThresholdSpeed(userId) {
+    const records = await PersonalRecord.find({
+      userId,
+      distance: { $in: THRESHOLD_SPEED_FACTORS.map((item) => item.distance) },
+    }).select('distance distanceMeters time');
+
+    for (const { distance, factor } of THRESHOLD_SPEED_FACTORS) {
+      const record = records.find((item) => item.distance === distance);
+      if (record && record.time > 0) {
+        return (record.distanceMeters / record.time) * factor;
+      }
+    }
+
+    return TRAINING_LOAD.DEFAULT_THRESHOLD_SPEED;
+  }
+
+  /**
+   * Collect the physiology values training load depends on
+   * @param {Object} user - User document (may be null)
+   * @returns {Object} { maxHeartRate, restingHeartRate, thresholdSpeed }
+   */
+  async getLoadProfile(user) {
+    return {
+      maxHeartRate: (user && user.maxHeartRate) || SENSORS.DEFAULT_MAX_HEART_RATE,
+      restingHeartRate: (user && user.restingHeartRate) || TRAINING_LOAD.DEFAULT_RESTING_HEART_RATE,
+      thresholdSpeed: user ? await this.getThresholdSpeed(user._id) : TRAINING_LOAD.DEFAULT_THRESHOLD_SPEED,
+    };
+  }
+
+  /**
+   * Compute the training impulse of a run
+   * Uses the heart rate stream when present, then the run's average heart rate;
+   * otherwise estimates heart rate from pace relative to the threshold speed
+   * @param {Object} run - Run document or data (route optional)
+   * @param {Object} profile - { maxHeartRate, restingHeartRate, thresholdSpeed }
+   * @returns {Object} { trimp, trimpSource } (both null when load cannot be estimated)
+   */
+  computeRunLoad(run, profile) {
+    const { maxHeartRate, restingHeartRate, thresholdSpeed } = profile;
+    const minutes = (run.movingTime ?? run.duration ?? 0) / 60;
+
+    const streamTrimp = metricsService.computeTrimp(run.route, maxHeartRate, restingHeartRate);
+    if (streamTrimp !== null) {
+      return { trimp: streamTrimp, trimpSource: TRIMP_SOURCES.HEART_RATE };
+    }
+
+    if (run.averageHeartRate) {
+      const trimp = metricsService.banisterTrimp(minutes, run.averageHeartRate, maxHeartRate, restingHeartRate);
+      return { trimp: Math.round(trimp * 10) / 10, trimpSource: TRIMP_SOURCES.HEART_RATE };
+    }
+
+    // Speed says little about cycling effort without a heart rate
+    if (run.activityType === ACTIVITY_TYPES.CYCLE || minutes <= 0 || !(run.distance > 0)) {
+      return { trimp: null, trimpSource: null };
+    }
+
+    const speed = run.distance / (minutes * 60);
+    const estimatedReserve = Math.min(1, (speed / thresholdSpeed) * TRAINING_LOAD.THRESHOLD_HR_RESERVE);
+    const estimatedHeartRate = restingHeartRate + estimatedReserve * (maxHeartRate - restingHeartRate);
+    const trimp = metricsService.banisterTrimp(minutes, estimatedHeartRate, maxHeartRate, restingHeartRate);
+
+    return { trimp: Math.round(trimp * 10) / 10, trimpSource: TRIMP_SOURCES.PACE };
+  }
+
+  /**
+   * Classify an acute:chronic workload ratio
+   * @param {number|null} acwr - Acute:chronic workload ratio
+   * @returns {string|null} undertraining, optimal, caution or high_risk
+   */
+  getLoadStatus(acwr) {
+    if (acwr === null) return null;
+    return ACWR_STATUS.find((band) => acwr < band.max).status;
+  }
+
+  /**
+   * Get daily training load with rolling acute (7-day) and chronic (28-day) load
+   * Chronic load is expressed per week so the ratio is 1.0 at a steady load
+   * @param {string} userId - User ID
+   * @param {Object} options - { days } of daily history to return
+   * @returns {Object} { current, daily, windows }
+   */
+  async getTrainingLoad(userId, options = {}) {
+    const days = Math.min(
+      parseInt(options.days) || TRAINING_LOAD.DEFAULT_DAYS,
+      TRAINING_LOAD.MAX_DAYS
+    );
+
+    const user = await User.findById(userId);
+    if (!user) {
+      throw ApiError.notFound(MESSAGES.USER_NOT_FOUND);
+    }
+
+    const today = new Date();
+    today.setUTCHours(0, 0, 0, 0);
+    const firstDay = new Date(today.getTime() - (days - 1) * DAY_MS);
+    const windowStart = new Date(firstDay.getTime() - (TRAINING_LOAD.CHRONIC_DAYS - 1) * DAY_MS);
+
+    // Stored runs carry their TRIMP; older runs fall back to average heart rate or pace
+    const runs = await Run.find({
+      userId,
+      isDeleted: false,
+      startTime: { $gte: windowStart },
+    }).select('startTime distance duration movingTime averageHeartRate activityType trimp');
+
+    const needsProfile = runs.some((run) => run.trimp === null || run.trimp === undefined);
+    const profile = needsProfile ? await this.getLoadProfile(user) : null;
+
+    const totalDays = days + TRAINING_LOAD.CHRONIC_DAYS - 1;
+    const dailyLoad = new Array(totalDays).fill(0);
+
+    for (const run of runs) {
+      const trimp = run.trimp ?? this.computeRunLoad(run, profile).trimp;
+      const dayIndex = Math.floor((new Date(run.startTime) - windowStart) / DAY_MS);
+      if (trimp && dayIndex >= 0 && dayIndex < totalDays) {
+        dailyLoad[dayIndex] += trimp;
+      }
+    }
+
+    const round = (value) => Math.round(value * 10) / 10;
+    const sumWindow = (end, length) => dailyLoad
+      .slice(Math.max(0, end - length + 1), end + 1)
+      .reduce((sum, load) => sum + load, 0);
+
+    const daily = [];
+    for (let i = TRAINING_LOAD.CHRONIC_DAYS - 1; i < totalDays; i++) {
+      const acuteLoad = sumWindow(i, TRAINING_LOAD.ACUTE_DAYS);
+      const chronicLoad = sumWindow(i, TRAINING_LOAD.CHRONIC_DAYS)
+        / (TRAINING_LOAD.CHRONIC_DAYS / TRAINING_LOAD.ACUTE_DAYS);
+      const acwr = chronicLoad > 0 ? Math.round((acuteLoad / chronicLoad) * 100) / 100 : null;
+
+      daily.push({
+        date: new Date(windowStart.getTime() + i * DAY_MS),
+        load: round(dailyLoad[i]),
+        acuteLoad: round(acuteLoad),
+        chronicLoad: round(chronicLoad),
+        acwr,
+        status: this.getLoadStatus(acwr),
+      });
+    }
+
+    return {
+      current: daily[daily.length - 1],
+      daily,
+      windows: {
+        acuteDays: TRAINING_LOAD.ACUTE_DAYS,
+        chronicDays: TRAINING_LOAD.CHRONIC_DAYS,
+      },
+    };
+  }
+}
+
+module.exports = new TrainingLoadService();
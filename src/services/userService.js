@@ -2,6 +2,14 @@ const User = require('../models/User');
 const Run = require('../models/Run');
 const Stats = require('../models/Stats');
 const LoginActivity = require('../models/LoginActivity');
+const PersonalRecord = require('../models/PersonalRecord');
+const territoryService = require('./territoryService');
+const liveService = require('./liveService');
+const runService = require('./runService');
+const mapTileService = require('./mapTileService');
+const heatmapService = require('./heatmapService');
+const followService = require('./followService');
+const leaderboardService = require('./leaderboardService');
 const ApiError = require('../utils/ApiError');
 const { sanitizeUser } = require('../utils/helpers');
 const { MESSAGES } = require('../utils/constants');
@@ -40,6 +48,10 @@ class UserService {
       user.username = updateData.username;
     }
 
+    if (updateData.displayName !== undefined) {
+      user.displayName = updateData.displayName;
+    }
+
     if (updateData.profilePicture !== undefined) {
       user.profilePicture = updateData.profilePicture;
     }
@@ -48,8 +60,35 @@ class UserService {
       user.runColor = updateData.runColor;
     }
 
+    if (updateData.maxHeartRate !== undefined) {
+      user.maxHeartRate = updateData.maxHeartRate;
+    }
+
+    if (updateData.restingHeartRate !== undefined) {
+      user.restingHeartRate = updateData.restingHeartRate;
+    }
+
+    // Applies to runs saved from now on
+    if (updateData.defaultVisibility !== undefined) {
+      user.defaultVisibility = updateData.defaultVisibility;
+    }
+
+    // Replaces the whole list; an empty array removes every zone
+    const privacyZonesChanged = updateData.privacyZones !== undefined;
+    if (privacyZonesChanged) {
+      user.privacyZones = updateData.privacyZones;
+    }
+
     await user.save();
 
+    if (privacyZonesChanged) {
+      const privacyZones = user.privacyZones.map((zone) => zone.toObject());
+      await runService.refreshPublicGeometry(userId, privacyZones);
+      await territoryService.releaseTilesInZones(userId, privacyZones);
+      mapTileService.clearCache();
+      heatmapService.clearCache();
+    }
+
     return sanitizeUser(user);
   }
 
@@ -90,10 +129,17 @@ class UserService {
     await Promise.all([
       Run.deleteMany({ userId }),
       Stats.deleteMany({ userId }),
+      PersonalRecord.deleteMany({ userId }),
+      territoryService.deleteUserTerritory(userId),
+      liveService.endSession(userId),
+      followService.deleteUserFollows(userId),
       LoginActivity.deleteMany({ userId }),
       User.findByIdAndDelete(userId),
     ]);
 
+    // Runs are gone, so this drops the user from every leaderboard
+    await leaderboardService.removeUser(userId);
+
     return { message: MESSAGES.USER_DELETED };
   }
 
@@ -113,9 +159,14 @@ class UserService {
     await Promise.all([
       Run.updateMany({ userId }, { $set: { isDeleted: true } }),
       Stats.deleteMany({ userId }),
+      PersonalRecord.deleteMany({ userId }),
+      territoryService.deleteUserTerritory(userId),
+      liveService.endSession(userId),
       LocationPoint.deleteMany({ userId }),
     ]);
 
+    await leaderboardService.refreshUser(userId);
+
     // Reset user metadata
     user.metadata = {
       totalRuns: 0,
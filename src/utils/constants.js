@@ -60,6 +60,8 @@ const MESSAGES = {
   // Specific Error Messages
   USER_NOT_FOUND: 'User not found',
   RUN_NOT_FOUND: 'Run session not found',
+  REGION_NOT_FOUND: 'Region not found',
+  FOLLOW_REQUEST_NOT_FOUND: 'Follow request not found',
   INVALID_EMAIL: 'Invalid email address',
   EMAIL_REQUIRED: 'Email is required',
   INVALID_DATE_RANGE: 'Invalid date range',
@@ -88,6 +90,7 @@ const VALIDATION = {
   EMAIL_REGEX: /^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/,
   MIN_USERNAME_LENGTH: 3,
   MAX_USERNAME_LENGTH: 50,
+  MAX_DISPLAY_NAME_LENGTH: 50,
   MAX_NOTES_LENGTH: 500,
   MIN_PASSWORD_LENGTH: 8,
 };
@@ -101,6 +104,261 @@ const PERIOD_TYPES = {
   ALL_TIME: 'all_time',
 };
 
+// Route Metrics Engine
+const METRICS = {
+  MOVING_SPEED_THRESHOLD: 0.5, // m/s - slower segments count as stopped
+  MIN_PAUSE_DURATION: 10, // seconds - shorter slow stretches still count as moving
+  PAUSE_GAP_THRESHOLD: 30, // seconds - a longer gap between points is a recording pause
+  DISCREPANCY_TOLERANCE: 0.2, // Flag client values more than 20% off
+  MIN_DISTANCE_DIFF: 50, // meters
+  MIN_DURATION_DIFF: 30, // seconds
+  MIN_SPEED_DIFF: 0.5, // m/s
+  MIN_PARTIAL_SPLIT: 10, // meters - shorter trailing splits are dropped
+  EVEN_SPLIT_TOLERANCE: 0.02, // Pace change under 2% counts as even splits
+  ELEVATION_HYSTERESIS: 3, // meters - smaller altitude changes are treated as noise
+  GRADE_SMOOTHING_WINDOW: 5, // points in the altitude moving average used for grades
+};
+
+// Sensor Streams (BLE heart rate straps, footpods, power meters)
+const SENSORS = {
+  MAX_HEART_RATE: 250, // bpm - upper bound accepted from devices
+  MAX_CADENCE: 300, // steps (or revolutions) per minute
+  MAX_POWER: 3000, // watts
+  DEFAULT_MAX_HEART_RATE: 190, // bpm - used for zones when the user has not set one
+};
+
+// Heart-rate zones as fractions of max heart rate
+const HEART_RATE_ZONES = [
+  { zone: 1, name: 'recovery', min: 0.5, max: 0.6 },
+  { zone: 2, name: 'endurance', min: 0.6, max: 0.7 },
+  { zone: 3, name: 'tempo', min: 0.7, max: 0.8 },
+  { zone: 4, name: 'threshold', min: 0.8, max: 0.9 },
+  { zone: 5, name: 'anaerobic', min: 0.9, max: 1.0 },
+];
+
+// Training Load (Banister TRIMP and acute:chronic workload ratio)
+const TRAINING_LOAD = {
+  ACUTE_DAYS: 7,
+  CHRONIC_DAYS: 28,
+  DEFAULT_RESTING_HEART_RATE: 60, // bpm - used when the user has not set one
+  TRIMP_FACTOR: 0.64, // Banister weighting y = 0.64 * e^(1.92 * x)
+  TRIMP_EXPONENT: 1.92,
+  DEFAULT_THRESHOLD_SPEED: 3.33, // m/s (5:00 /km) - used without race efforts
+  THRESHOLD_HR_RESERVE: 0.88, // heart-rate reserve fraction at threshold pace
+  DEFAULT_DAYS: 28, // days of daily load returned by default
+  MAX_DAYS: 365,
+};
+
+// Acute:chronic workload ratio bands (upper bounds)
+const ACWR_STATUS = [
+  { status: 'undertraining', max: 0.8 },
+  { status: 'optimal', max: 1.3 },
+  { status: 'caution', max: 1.5 },
+  { status: 'high_risk', max: Infinity },
+];
+
+// How a run's training load was derived
+const TRIMP_SOURCES = {
+  HEART_RATE: 'heart_rate',
+  PACE: 'pace',
+};
+
+// Split Units
+const SPLIT_UNITS = {
+  KM: 'km',
+  MI: 'mi',
+};
+
+// Activity Types
+const ACTIVITY_TYPES = {
+  RUN: 'run',
+  WALK: 'walk',
+  HIKE: 'hike',
+  CYCLE: 'cycle',
+  TRAIL_RUN: 'trail_run',
+  TREADMILL: 'treadmill',
+};
+
+// Activities recorded without a GPS route
+const INDOOR_ACTIVITY_TYPES = [ACTIVITY_TYPES.TREADMILL];
+
+// Activities whose best efforts count as running personal records
+const RUNNING_ACTIVITY_TYPES = [ACTIVITY_TYPES.RUN, ACTIVITY_TYPES.TRAIL_RUN];
+
+// Best-effort distances tracked as personal records (meters)
+const BEST_EFFORT_DISTANCES = {
+  '400m': 400,
+  '1k': 1000,
+  '1mi': 1609.344,
+  '5k': 5000,
+  '10k': 10000,
+  half_marathon: 21097.5,
+  marathon: 42195,
+};
+
+// Race Predictions (Daniels VDOT and Riegel)
+const PREDICTIONS = {
+  WINDOW_DAYS: 90, // best efforts from runs in this window count as recent
+  RIEGEL_EXPONENT: 1.06,
+  MIN_EFFORT_DISTANCE: 1609.344, // meters - shorter efforts overstate endurance
+  TARGET_DISTANCES: ['5k', '10k', 'half_marathon', 'marathon'],
+};
+
+// Where race predictions were derived from
+const PREDICTION_SOURCES = {
+  RECENT_RUNS: 'recent_runs',
+  PERSONAL_RECORDS: 'personal_records',
+};
+
+// Territory Area
+const AREA = {
+  CORRIDOR_RADIUS: 10, // meters either side of the route counted as covered
+  LOOP_CLOSE_DISTANCE: 100, // meters - a route ending this close to its start is a loop
+  MIN_LOOP_LENGTH: 400, // meters - shorter routes are never treated as loops
+  SIMPLIFY_TOLERANCE: 5, // meters - route simplification before building polygons
+};
+
+// How a run's area was computed
+const AREA_METHODS = {
+  LOOP: 'loop',
+  CORRIDOR: 'corridor',
+};
+
+// Territory Capture Game
+const TERRITORY = {
+  HEX_SIZE: 100, // Web Mercator meters from a hexagon's center to a corner
+  SAMPLE_SPACING: 25, // meters between route samples when assigning tiles
+  MAX_BBOX_TILES: 2000, // tiles returned for one bounding box request
+};
+
+// Community Map Spatial Queries
+const COMMUNITY_MAP = {
+  ROUTE_LINE_TOLERANCE: 5, // meters - route simplification before storing routeLine
+  DEFAULT_NEAR_RADIUS: 5000, // meters
+  MAX_NEAR_RADIUS: 100000, // meters
+  MAX_POLYGON_VERTICES: 500,
+  CLUSTER_CELL_PIXELS: 60, // cluster grid cell size in 256-pixel map tile pixels
+  MAX_CLUSTERS: 2000, // largest clusters returned per request
+};
+
+// How area filters match a run: by its route center or by any part of its route
+const SPATIAL_MATCH = {
+  CENTROID: 'centroid',
+  ROUTE: 'route',
+};
+
+// Community Map Vector Tiles
+const MAP_TILES = {
+  EXTENT: 4096, // integer units per tile side
+  BUFFER: 64, // tile units kept past each edge so lines join across tiles
+  MAX_ZOOM: 22,
+  ROUTE_MIN_ZOOM: 10, // below this, runs are drawn as points instead of routes
+  ROUTE_SEARCH_RADIUS: 15000, // meters - runs without a routeLine centered this far outside a tile may still cross it
+  MAX_FEATURES: 2000, // most recent runs drawn per tile
+  CACHE_TTL: 300, // seconds
+  CACHE_MAX_TILES: 500,
+  ROUTE_LAYER: 'routes',
+  POINT_LAYER: 'runs',
+};
+
+// Community Heatmap
+const HEATMAP = {
+  CELL_PIXELS: 8, // grid cell size in 256-pixel map tile pixels at the requested zoom
+  MAX_CELLS: 65536, // grid cells one request may cover
+  MAX_IMAGE_SIZE: 2048, // pixels per side of a PNG heatmap
+  ROUTE_SEARCH_RADIUS: 15000, // meters - runs without a routeLine centered this far outside the box may still cross it
+  MAX_RUNS: 2000, // most recent runs counted per aggregation
+  MAX_POINTS_PER_RUN: 500, // longer routes are sampled down to this many points, each weighted by the step
+  WIDE_PIECE_DEGREES: 90, // wide boxes are matched as pieces at most this many degrees of longitude across
+  CACHE_TTL: 300, // seconds
+  CACHE_MAX_TILES: 1000, // cached 256-pixel tiles of cells
+};
+
+// Heatmap Output Formats
+const HEATMAP_FORMATS = {
+  JSON: 'json',
+  PNG: 'png',
+};
+
+// Who can see a run
+const RUN_VISIBILITY = {
+  PUBLIC: 'public',
+  FOLLOWERS: 'followers',
+  PRIVATE: 'private',
+};
+
+// Follow Status (follows wait for the followed user's approval)
+const FOLLOW_STATUS = {
+  PENDING: 'pending',
+  ACCEPTED: 'accepted',
+};
+
+// Privacy Zones (areas such as home or work hidden from other users)
+const PRIVACY_ZONES = {
+  MAX_ZONES: 5,
+  MIN_RADIUS: 100, // meters
+  MAX_RADIUS: 2000, // meters
+  MAX_NAME_LENGTH: 50,
+};
+
+// Live "Running Now" Layer
+const LIVE = {
+  ACTIVE_WINDOW: 60, // seconds - sessions without a newer update drop off the live layer
+  SESSION_TTL: 900, // seconds - idle sessions are removed by MongoDB after this
+  TRAIL_POINTS: 30, // most recent positions kept per session
+  MAX_RUNNERS: 500, // most recently updated sessions returned per request
+  UPDATES_PER_MINUTE: 12, // position updates accepted per user
+};
+
+// Leaderboards
+const LEADERBOARD_TYPES = {
+  AREA: 'area',
+  DISTANCE: 'distance',
+};
+
+const LEADERBOARD_PERIODS = {
+  ALL_TIME: 'all_time',
+  WEEK: 'week',
+  MONTH: 'month',
+  YEAR: 'year',
+  CUSTOM: 'custom', // since/until
+};
+
+const LEADERBOARD = {
+  DEFAULT_NEIGHBORS: 2, // users shown above and below the caller on /leaderboard/me
+  MAX_NEIGHBORS: 10,
+  HOME_AREA_RADIUS: 25000, // meters around the caller's home area
+  HOME_AREA_RUNS: 50, // most recent runs used to find the home area
+  HOME_AREA_CELL: 0.1, // degrees - runs are grouped on this grid to find where the user runs most
+  SNAPSHOT_BATCH_SIZE: 500, // entries written per bulkWrite while rebuilding a snapshot
+  REBUILD_CONCURRENCY: 4, // snapshots rebuilt at the same time by the cron
+  REBUILD_TIME_BUDGET: 20, // seconds - the cron starts no new rebuild after this, to end before the function timeout
+  HISTORY_DAYS: 365, // daily all-time ranks are kept this long
+  DEFAULT_HISTORY_ITEMS: 30,
+  MAX_HISTORY_ITEMS: 365,
+};
+
+// GPS Noise Filtering
+const ROUTE_FILTER = {
+  MAX_ACCURACY: 50, // meters - points with worse accuracy are dropped
+  MAX_SPEED: 12.5, // m/s - faster jumps between points are treated as GPS spikes
+  MAX_CYCLE_SPEED: 30, // m/s - spike threshold for cycling
+  ANCHOR_WINDOW: 5, // first points compared with each other to find a trustworthy start
+  SMOOTHING_WINDOW: 3, // points in the centered moving average
+};
+
+// Run Export Formats
+const EXPORT_FORMATS = {
+  GPX: 'gpx',
+  TCX: 'tcx',
+  GEOJSON: 'geojson',
+};
+
+// Route Payload Encodings
+const ROUTE_ENCODINGS = {
+  POLYLINE: 'polyline',
+};
+
 // Node Environment
 const NODE_ENV = {
   DEVELOPMENT: 'development',
@@ -115,5 +373,36 @@ module.exports = {
   TIME,
   VALIDATION,
   PERIOD_TYPES,
+  METRICS,
+  SENSORS,
+  HEART_RATE_ZONES,
+  TRAINING_LOAD,
+  ACWR_STATUS,
+  TRIMP_SOURCES,
+  SPLIT_UNITS,
+  ACTIVITY_TYPES,
+  INDOOR_ACTIVITY_TYPES,
+  RUNNING_ACTIVITY_TYPES,
+  BEST_EFFORT_DISTANCES,
+  PREDICTIONS,
+  PREDICTION_SOURCES,
+  AREA,
+  AREA_METHODS,
+  TERRITORY,
+  COMMUNITY_MAP,
+  SPATIAL_MATCH,
+  MAP_TILES,
+  HEATMAP,
+  HEATMAP_FORMATS,
+  RUN_VISIBILITY,
+  FOLLOW_STATUS,
+  PRIVACY_ZONES,
+  LIVE,
+  LEADERBOARD_TYPES,
+  LEADERBOARD_PERIODS,
+  LEADERBOARD,
+  ROUTE_FILTER,
+  EXPORT_FORMATS,
+  ROUTE_ENCODINGS,
   NODE_ENV,
 };
@@ -0,0 +1,439 @@
+/**
+ * Geometry helpers for route payloads
+ * Pure functions over arrays of { latitude, longitude } points
+ */
+
+const EARTH_RADIUS = 6371e3; // meters
+const EARTH_RADIUS_MERCATOR = 6378137; // meters, WGS 84 semi-major axis used by Web Mercator
+const EARTH_RADIUS_MONGO = 6378100; // meters, the sphere MongoDB uses for $centerSphere
+const METERS_PER_PIXEL_AT_ZOOM_0 = 156543.03392; // Web Mercator, at the equator
+
+/**
+ * Distance from a point to the segment a-b in meters
+ * Uses an equirectangular projection, accurate enough for route-sized segments
+ * @param {Object} point - Point to measure
+ * @param {Object} a - Segment start
+ * @param {Object} b - Segment end
+ * @returns {number} Distance in meters
+ */
+const perpendicularDistance = (point, a, b) => {
+  const toRad = Math.PI / 180;
+  const cosLat = Math.cos(a.latitude * toRad);
+
+  const project = (p) => ({
+    x: (p.longitude - a.longitude) * toRad * cosLat * EARTH_RADIUS,
+    y: (p.latitude - a.latitude) * toRad * EARTH_RADIUS,
+  });
+
+  const p = project(point);
+  const end = project(b);
+  const lengthSquared = end.x * end.x + end.y * end.y;
+
+  if (lengthSquared === 0) {
+    return Math.sqrt(p.x * p.x + p.y * p.y);
+  }
+
+  const t = Math.max(0, Math.min(1, (p.x * end.x + p.y * end.y) / lengthSquared));
+  const dx = p.x - t * end.x;
+  const dy = p.y - t * end.y;
+
+  return Math.sqrt(dx * dx + dy * dy);
+};
+
+/**
+ * Simplify a route with the Douglas-Peucker algorithm
+ * @param {Array} route - Route points
+ * @param {number} tolerance - Maximum allowed deviation in meters
+ * @returns {Array} Simplified route (first and last points are always kept)
+ */
+const simplifyRoute = (route, tolerance) => {
+  if (!Array.isArray(route) || route.length <= 2 || !(tolerance > 0)) {
+    return route;
+  }
+
+  const keep = new Array(route.length).fill(false);
+  keep[0] = true;
+  keep[route.length - 1] = true;
+
+  // Iterative to avoid deep recursion on long runs
+  const stack = [[0, route.length - 1]];
+
+  while (stack.length > 0) {
+    const [first, last] = stack.pop();
+    let maxDistance = 0;
+    let index = -1;
+
+    for (let i = first + 1; i < last; i++) {
+      const distance = perpendicularDistance(route[i], route[first], route[last]);
+      if (distance > maxDistance) {
+        maxDistance = distance;
+        index = i;
+      }
+    }
+
+    if (index !== -1 && maxDistance > tolerance) {
+      keep[index] = true;
+      stack.push([first, index], [index, last]);
+    }
+  }
+
+  return route.filter((_, i) => keep[i]);
+};
+
+/**
+ * Simplification tolerance for a map zoom level (about one screen pixel)
+ * @param {number} zoom - Web Mercator zoom level (0-22)
+ * @returns {number} Tolerance in meters
+ */
+const getZoomTolerance = (zoom) => {
+  return METERS_PER_PIXEL_AT_ZOOM_0 / Math.pow(2, zoom);
+};
+
+/**
+ * Encode a route with the Google encoded polyline algorithm
+ * @param {Array} route - Route points
+ * @param {number} precision - Decimal places kept (5 for Google Maps)
+ * @returns {string} Encoded polyline
+ */
+const encodePolyline = (route, precision = 5) => {
+  const factor = Math.pow(10, precision);
+  let prevLat = 0;
+  let prevLng = 0;
+  let encoded = '';
+
+  const encodeValue = (value) => {
+    let v = value < 0 ? ~(value << 1) : value << 1;
+    let chunk = '';
+    while (v >= 0x20) {
+      chunk += String.fromCharCode((0x20 | (v & 0x1f)) + 63);
+      v >>= 5;
+    }
+    chunk += String.fromCharCode(v + 63);
+    return chunk;
+  };
+
+  for (const point of route || []) {
+    const lat = Math.round(point.latitude * factor);
+    const lng = Math.round(point.longitude * factor);
+
+    encoded += encodeValue(lat - prevLat) + encodeValue(lng - prevLng);
+    prevLat = lat;
+    prevLng = lng;
+  }
+
+  return encoded;
+};
+
+/**
+ * Project route points to local planar meters around their mean latitude
+ * Equirectangular projection, accurate for areas a run can cover
+ * @param {Array} route - Route points
+ * @returns {Object} { points: [{ x, y }], unproject } where unproject maps { x, y } back to [lng, lat]
+ */
+const projectRoute = (route) => {
+  const toRad = Math.PI / 180;
+  const origin = route[0];
+  const meanLat = route.reduce((sum, point) => sum + point.latitude, 0) / route.length;
+  const cosLat = Math.cos(meanLat * toRad);
+
+  const points = route.map((point) => ({
+    x: (point.longitude - origin.longitude) * toRad * cosLat * EARTH_RADIUS,
+    y: (point.latitude - origin.latitude) * toRad * EARTH_RADIUS,
+  }));
+
+  const unproject = ({ x, y }) => [
+    origin.longitude + x / (toRad * cosLat * EARTH_RADIUS),
+    origin.latitude + y / (toRad * EARTH_RADIUS),
+  ];
+
+  return { points, unproject };
+};
+
+/**
+ * Area enclosed by a route treated as a closed ring (shoelace formula)
+ * Self-crossing routes count overlapping lobes with opposite signs
+ * @param {Array} route - Route points (the ring is closed implicitly)
+ * @returns {number} Area in square meters
+ */
+const polygonArea = (route) => {
+  if (!Array.isArray(route) || route.length < 3) return 0;
+
+  const { points } = projectRoute(route);
+  let twiceArea = 0;
+
+  for (let i = 0; i < points.length; i++) {
+    const a = points[i];
+    const b = points[(i + 1) % points.length];
+    twiceArea += a.x * b.y - b.x * a.y;
+  }
+
+  return Math.abs(twiceArea) / 2;
+};
+
+/**
+ * Route as a closed GeoJSON Polygon ring
+ * @param {Array} route - Route points
+ * @returns {Object|null} GeoJSON Polygon, or null with fewer than 3 points
+ */
+const toPolygon = (route) => {
+  if (!Array.isArray(route) || route.length < 3) return null;
+
+  const ring = route.map((point) => [point.longitude, point.latitude]);
+  const [firstLng, firstLat] = ring[0];
+  const [lastLng, lastLat] = ring[ring.length - 1];
+  if (firstLng !== lastLng || firstLat !== lastLat) {
+    ring.push([firstLng, firstLat]);
+  }
+
+  return { type: 'Polygon', coordinates: [ring] };
+};
+
+/**
+ * Outline of the corridor within radius meters of the route
+ * Each vertex is offset along the averaged normal of its segments; ends are square
+ * @param {Array} route - Route points
+ * @param {number} radius - Half the corridor width in meters
+ * @returns {Object|null} GeoJSON Polygon, or null with fewer than 2 distinct points
+ */
+const bufferRoute = (route, radius) => {
+  if (!Array.isArray(route) || route.length < 2) return null;
+
+  const { points: projected, unproject } = projectRoute(route);
+  const points = projected.filter((point, i) => (
+    i === 0 || point.x !== projected[i - 1].x || point.y !== projected[i - 1].y
+  ));
+  if (points.length < 2) return null;
+
+  const direction = (a, b) => {
+    const length = Math.hypot(b.x - a.x, b.y - a.y);
+    return { x: (b.x - a.x) / length, y: (b.y - a.y) / length };
+  };
+
+  const left = [];
+  const right = [];
+
+  points.forEach((point, i) => {
+    const before = i > 0 ? direction(points[i - 1], point) : null;
+    const after = i < points.length - 1 ? direction(point, points[i + 1]) : null;
+    let dx = (before ? before.x : 0) + (after ? after.x : 0);
+    let dy = (before ? before.y : 0) + (after ? after.y : 0);
+    let length = Math.hypot(dx, dy);
+
+    // A full reversal has no average direction, fall back to the incoming segment
+    if (length === 0) {
+      dx = before.x;
+      dy = before.y;
+      length = 1;
+    }
+
+    const normal = { x: -dy / length, y: dx / length };
+    left.push(unproject({ x: point.x + normal.x * radius, y: point.y + normal.y * radius }));
+    right.push(unproject({ x: point.x - normal.x * radius, y: point.y - normal.y * radius }));
+  });
+
+  const ring = [...left, ...right.reverse()];
+  ring.push(ring[0]);
+
+  return { type: 'Polygon', coordinates: [ring] };
+};
+
+/**
+ * Project a coordinate to Web Mercator meters
+ * @param {number} latitude - Latitude in degrees
+ * @param {number} longitude - Longitude in degrees
+ * @returns {Object} { x, y } in meters
+ */
+const toMercator = (latitude, longitude) => {
+  const toRad = Math.PI / 180;
+  const clamped = Math.max(-85.05112878, Math.min(85.05112878, latitude));
+
+  return {
+    x: EARTH_RADIUS_MERCATOR * longitude * toRad,
+    y: EARTH_RADIUS_MERCATOR * Math.log(Math.tan(Math.PI / 4 + (clamped * toRad) / 2)),
+  };
+};
+
+/**
+ * Convert Web Mercator meters back to a coordinate
+ * @param {number} x - Easting in meters
+ * @param {number} y - Northing in meters
+ * @returns {Object} { latitude, longitude } in degrees
+ */
+const fromMercator = (x, y) => {
+  const toDeg = 180 / Math.PI;
+
+  return {
+    latitude: (2 * Math.atan(Math.exp(y / EARTH_RADIUS_MERCATOR)) - Math.PI / 2) * toDeg,
+    longitude: (x / EARTH_RADIUS_MERCATOR) * toDeg,
+  };
+};
+
+/**
+ * Find the pointy-top hexagon containing a coordinate
+ * The grid is laid out in Web Mercator meters, so cells shrink on the ground away from the equator
+ * @param {number} latitude - Latitude in degrees
+ * @param {number} longitude - Longitude in degrees
+ * @param {number} size - Hexagon circumradius in Mercator meters
+ * @returns {Object} Axial coordinates { q, r }
+ */
+const latLngToHex = (latitude, longitude, size) => {
+  const { x, y } = toMercator(latitude, longitude);
+  const fq = ((Math.sqrt(3) / 3) * x - y / 3) / size;
+  const fr = ((2 / 3) * y) / size;
+
+  // Cube rounding: round all three axes and fix the one with the largest error
+  const fs = -fq - fr;
+  let q = Math.round(fq);
+  let r = Math.round(fr);
+  const roundedS = Math.round(fs);
+
+  const dq = Math.abs(q - fq);
+  const dr = Math.abs(r - fr);
+  const ds = Math.abs(roundedS - fs);
+
+  if (dq > dr && dq > ds) {
+    q = -r - roundedS;
+  } else if (dr > ds) {
+    r = -q - roundedS;
+  }
+
+  return { q: q + 0, r: r + 0 }; // + 0 turns -0 into 0
+};
+
+/**
+ * Center of a hexagon
+ * @param {number} q - Axial q
+ * @param {number} r - Axial r
+ * @param {number} size - Hexagon circumradius in Mercator meters
+ * @returns {Object} { latitude, longitude }
+ */
+const hexCenter = (q, r, size) => {
+  return fromMercator(size * Math.sqrt(3) * (q + r / 2), size * 1.5 * r);
+};
+
+/**
+ * Outline of a hexagon as a closed GeoJSON ring
+ * @param {number} q - Axial q
+ * @param {number} r - Axial r
+ * @param {number} size - Hexagon circumradius in Mercator meters
+ * @returns {Array} [[longitude, latitude], ...] with 7 positions
+ */
+const hexBoundary = (q, r, size) => {
+  const cx = size * Math.sqrt(3) * (q + r / 2);
+  const cy = size * 1.5 * r;
+  const ring = [];
+
+  for (let i = 0; i <= 6; i++) {
+    const angle = (Math.PI / 180) * (60 * (i % 6) - 30);
+    const { latitude, longitude } = fromMercator(cx + size * Math.cos(angle), cy + size * Math.sin(angle));
+    ring.push([longitude, latitude]);
+  }
+
+  return ring;
+};
+
+/**
+ * Geographic bounds of a Web Mercator (slippy map) tile
+ * @param {number} z - Zoom level
+ * @param {number} x - Tile column
+ * @param {number} y - Tile row, counted from the north
+ * @returns {Object} { minLat, minLng, maxLat, maxLng }
+ */
+const tileBounds = (z, x, y) => {
+  const n = Math.pow(2, z);
+  const toLng = (tx) => (tx / n) * 360 - 180;
+  const toLat = (ty) => (Math.atan(Math.sinh(Math.PI * (1 - (2 * ty) / n))) * 180) / Math.PI;
+
+  return {
+    minLat: toLat(y + 1),
+    minLng: toLng(x),
+    maxLat: toLat(y),
+    maxLng: toLng(x + 1),
+  };
+};
+
+/**
+ * Widen a bounding box by a distance on every side, clamped to valid coordinates
+ * @param {Object} bounds - { minLat, minLng, maxLat, maxLng }
+ * @param {number} margin - Distance in meters
+ * @returns {Object} { minLat, minLng, maxLat, maxLng }
+ */
+const expandBounds = (bounds, margin) => {
+  const metersPerDegree = (Math.PI / 180) * EARTH_RADIUS;
+  const midLat = (bounds.minLat + bounds.maxLat) / 2;
+  const latMargin = margin / metersPerDegree;
+  const lngMargin = margin / (metersPerDegree * Math.cos((midLat * Math.PI) / 180));
+
+  return {
+    minLat: Math.max(-90, bounds.minLat - latMargin),
+    minLng: Math.max(-180, bounds.minLng - lngMargin),
+    maxLat: Math.min(90, bounds.maxLat + latMargin),
+    maxLng: Math.min(180, bounds.maxLng + lngMargin),
+  };
+};
+
+/**
+ * Bounding box as a closed GeoJSON Polygon
+ * @param {Object} bounds - { minLat, minLng, maxLat, maxLng }
+ * @returns {Object} GeoJSON Polygon, counter-clockwise
+ */
+const boundsToPolygon = ({ minLat, minLng, maxLat, maxLng }) => ({
+  type: 'Polygon',
+  coordinates: [[
+    [minLng, minLat],
+    [maxLng, minLat],
+    [maxLng, maxLat],
+    [minLng, maxLat],
+    [minLng, minLat],
+  ]],
+});
+
+/**
+ * Circle as a MongoDB $centerSphere argument
+ * @param {number} latitude - Center latitude in degrees
+ * @param {number} longitude - Center longitude in degrees
+ * @param {number} radius - Radius in meters
+ * @returns {Array} [[longitude, latitude], radius in radians]
+ */
+const toCenterSphere = (latitude, longitude, radius) => [[longitude, latitude], radius / EARTH_RADIUS_MONGO];
+
+/**
+ * Position of a coordinate relative to a tile's top-left corner
+ * Coordinates outside the tile fall outside 0..extent
+ * @param {number} latitude - Latitude in degrees
+ * @param {number} longitude - Longitude in degrees
+ * @param {Object} tile - { z, x, y }
+ * @param {number} extent - Tile size in integer units (4096 for vector tiles)
+ * @returns {Object} { x, y } rounded to tile units
+ */
+const toTileCoordinates = (latitude, longitude, tile, extent) => {
+  const worldSize = 2 * Math.PI * EARTH_RADIUS_MERCATOR;
+  const n = Math.pow(2, tile.z);
+  const { x, y } = toMercator(latitude, longitude);
+
+  return {
+    x: Math.round(((x / worldSize + 0.5) * n - tile.x) * extent),
+    y: Math.round(((0.5 - y / worldSize) * n - tile.y) * extent),
+  };
+};
+
+module.exports = {
+  perpendicularDistance,
+  simplifyRoute,
+  getZoomTolerance,
+  encodePolyline,
+  projectRoute,
+  polygonArea,
+  toPolygon,
+  bufferRoute,
+  toMercator,
+  fromMercator,
+  latLngToHex,
+  hexCenter,
+  hexBoundary,
+  tileBounds,
+  expandBounds,
+  boundsToPolygon,
+  toCenterSphere,
+  toTileCoordinates,
+};
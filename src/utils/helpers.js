@@ -1,3 +1,6 @@
+const { ACTIVITY_TYPES, RUN_VISIBILITY } = require('./constants');
+const { boundsToPolygon } = require('./geo');
+
 /**
  * Async handler wrapper to catch errors in async route handlers
  * @param {Function} fn - Async function to wrap
@@ -163,6 +166,248 @@ const calculateDistance = (lat1, lon1, lat2, lon2) => {
   return R * c;
 };
 
+/**
+ * Build a query condition for public runs
+ * Runs saved before visibility existed have none and count as public
+ * @returns {Object} Partial query condition
+ */
+const getPublicVisibilityFilter = () => ({
+  visibility: { $nin: [RUN_VISIBILITY.FOLLOWERS, RUN_VISIBILITY.PRIVATE] },
+});
+
+/**
+ * Build a query condition for the runs (or live sessions) a user may see:
+ * public ones, followers-only ones of people they follow, and their own
+ * @param {ObjectId} viewerId - Viewing user's ID
+ * @param {Array} followingIds - IDs of the users the viewer follows
+ * @returns {Object} Partial query condition; uses $or, so wrap it in $and next to other $or filters
+ */
+const getVisibilityFilter = (viewerId, followingIds = []) => ({
+  $or: [
+    getPublicVisibilityFilter(),
+    { visibility: RUN_VISIBILITY.FOLLOWERS, userId: { $in: followingIds } },
+    { userId: viewerId },
+  ],
+});
+
+/**
+ * Check whether a point lies inside any privacy zone
+ * @param {number} latitude - Latitude in degrees
+ * @param {number} longitude - Longitude in degrees
+ * @param {Array} zones - [{ latitude, longitude, radius }] with radius in meters
+ * @returns {boolean} True when inside at least one zone
+ */
+const isInPrivacyZone = (latitude, longitude, zones) => {
+  if (!zones || zones.length === 0) return false;
+
+  return zones.some((zone) => calculateDistance(latitude, longitude, zone.latitude, zone.longitude) <= zone.radius);
+};
+
+/**
+ * Drop the route points inside privacy zones, for showing a route to other users
+ * @param {Array} route - Route points
+ * @param {Array} zones - Privacy zones of the route's owner
+ * @returns {Array} Points outside every zone
+ */
+const removePrivacyZonePoints = (route, zones) => {
+  if (!route || !zones || zones.length === 0) return route;
+
+  return route.filter((point) => !isInPrivacyZone(point.latitude, point.longitude, zones));
+};
+
+/**
+ * Build an aggregation expression that is true when a point is outside every privacy zone
+ * Distances use an equirectangular approximation, accurate at privacy zone sizes
+ * @param {string} latitude - Latitude expression, e.g. '$$point.latitude'
+ * @param {string} longitude - Longitude expression
+ * @param {*} zones - Expression resolving to an array of { latitude, longitude, radius }
+ * @returns {Object} Aggregation expression
+ */
+const getOutsidePrivacyZonesExpression = (latitude, longitude, zones) => {
+  const metersPerDegree = (6371e3 * Math.PI) / 180;
+
+  return {
+    $not: [{
+      $anyElementTrue: [{
+        $map: {
+          input: zones,
+          as: 'zone',
+          in: {
+            $lte: [
+              {
+                $add: [
+                  { $pow: [{ $multiply: [{ $subtract: [latitude, '$$zone.latitude'] }, metersPerDegree] }, 2] },
+                  {
+                    $pow: [{
+                      $multiply: [
+                        { $subtract: [longitude, '$$zone.longitude'] },
+                        metersPerDegree,
+                        { $cos: { $degreesToRadians: '$$zone.latitude' } },
+                      ],
+                    }, 2],
+                  },
+                ],
+              },
+              { $pow: ['$$zone.radius', 2] },
+            ],
+          },
+        },
+      }],
+    }],
+  };
+};
+
+/**
+ * Build a query condition restricting runs to one activity type
+ * Runs stored before activity types existed have no activityType and count as runs
+ * @param {string} activityType - Activity type, or falsy for all types
+ * @returns {Object} Partial query condition ({} when not filtering)
+ */
+const getActivityTypeFilter = (activityType) => {
+  if (!activityType) return {};
+
+  return {
+    activityType: activityType === ACTIVITY_TYPES.RUN
+      ? { $in: [ACTIVITY_TYPES.RUN, null] }
+      : activityType,
+  };
+};
+
+/**
+ * Whether a bounding box is too large to query as a GeoJSON polygon
+ * Polygon edges follow great circles, which stray far from lines of latitude over long spans
+ * @param {Object} bounds - { minLat, minLng, maxLat, maxLng }
+ * @returns {boolean} True for boxes wider or taller than a quarter of the globe
+ */
+const isWideBounds = ({ minLat, minLng, maxLat, maxLng }) => {
+  return maxLng - minLng > 90 || maxLat - minLat > 90;
+};
+
+/**
+ * Build a query condition restricting runs to route centers inside a bounding box
+ * Uses a GeoJSON polygon on the location 2dsphere index; wide boxes fall back to coordinate ranges
+ * @param {Object} bounds - { minLat, minLng, maxLat, maxLng }
+ * @param {string} field - GeoJSON Point field to match, e.g. center for territory tiles
+ * @returns {Object} Partial query condition
+ */
+const getLocationFilter = (bounds, field = 'location') => {
+  if (isWideBounds(bounds)) {
+    return {
+      [`${field}.coordinates.0`]: { $gte: bounds.minLng, $lte: bounds.maxLng },
+      [`${field}.coordinates.1`]: { $gte: bounds.minLat, $lte: bounds.maxLat },
+    };
+  }
+
+  return {
+    [field]: { $geoWithin: { $geometry: boundsToPolygon(bounds) } },
+  };
+};
+
+/**
+ * Build a query condition for runs whose route crosses an area
+ * Runs without a stored routeLine (saved before it existed) fall back to their route center
+ * @param {Object} geometry - GeoJSON Polygon the route must cross
+ * @param {Object} centerGeometry - GeoJSON Polygon the route center must lie in for runs without a routeLine
+ * @returns {Object} Partial query condition
+ */
+const getRouteIntersectsFilter = (geometry, centerGeometry = geometry) => {
+  return {
+    $or: [
+      { routeLine: { $geoIntersects: { $geometry: geometry } } },
+      { routeLine: null, location: { $geoWithin: { $geometry: centerGeometry } } },
+    ],
+  };
+};
+
+/**
+ * Parse a comma-separated list of integers and ranges, e.g. "1-5,7"
+ * Bounds are checked before ranges are expanded, so a huge range costs nothing
+ * @param {string} value - List to parse
+ * @param {number} min - Smallest allowed value
+ * @param {number} max - Largest allowed value
+ * @returns {Array|null} Sorted unique integers, or null when the list is malformed or out of bounds
+ */
+const parseIntegerRanges = (value, min, max) => {
+  if (typeof value !== 'string' || !/^\d+(-\d+)?(,\d+(-\d+)?)*$/.test(value.replace(/\s/g, ''))) {
+    return null;
+  }
+
+  const numbers = new Set();
+  for (const part of value.replace(/\s/g, '').split(',')) {
+    const [from, to = from] = part.split('-').map(Number);
+    if (from < min || to > max || to < from) return null;
+    for (let n = from; n <= to; n++) numbers.add(n);
+  }
+
+  return [...numbers].sort((a, b) => a - b);
+};
+
+/**
+ * Build a query condition restricting runs by start time
+ * Day of week and hour are evaluated in the given time zone
+ * @param {Object} window - { since, until, daysOfWeek (ISO, 1 = Monday), hours (0-23), timezone }
+ * @returns {Object} Partial query condition ({} when not filtering)
+ */
+const getTimeWindowFilter = ({ since, until, daysOfWeek, hours, timezone = 'UTC' } = {}) => {
+  const filter = {};
+
+  if (since || until) {
+    filter.startTime = {
+      ...(since && { $gte: new Date(since) }),
+      ...(until && { $lte: new Date(until) }),
+    };
+  }
+
+  const conditions = [];
+  if (daysOfWeek && daysOfWeek.length > 0) {
+    conditions.push({ $in: [{ $isoDayOfWeek: { date: '$startTime', timezone } }, daysOfWeek] });
+  }
+  if (hours && hours.length > 0) {
+    conditions.push({ $in: [{ $hour: { date: '$startTime', timezone } }, hours] });
+  }
+  if (conditions.length > 0) {
+    filter.$expr = conditions.length === 1 ? conditions[0] : { $and: conditions };
+  }
+
+  return filter;
+};
+
+/**
+ * Build aggregation expressions placing a coordinate on a Web Mercator grid
+ * Cells are numbered from the world's top-left corner, like map tiles
+ * @param {string} longitudeField - Field path holding the longitude, e.g. '$route.longitude'
+ * @param {string} latitudeField - Field path holding the latitude
+ * @param {number} cellsPerWorld - Grid cells across the world
+ * @returns {Object} { x, y } expressions for a $project stage
+ */
+const getMercatorCellProjection = (longitudeField, latitudeField, cellsPerWorld) => {
+  return {
+    x: {
+      $floor: {
+        $multiply: [{ $add: [{ $divide: [longitudeField, 360] }, 0.5] }, cellsPerWorld],
+      },
+    },
+    y: {
+      $floor: {
+        $multiply: [
+          {
+            $subtract: [
+              0.5,
+              {
+                $divide: [
+                  { $ln: { $tan: { $add: [Math.PI / 4, { $multiply: [latitudeField, Math.PI / 360] }] } } },
+                  2 * Math.PI,
+                ],
+              },
+            ],
+          },
+          cellsPerWorld,
+        ],
+      },
+    },
+  };
+};
+
 module.exports = {
   asyncHandler,
   calculatePagination,
@@ -174,4 +419,16 @@ module.exports = {
   isValidEmail,
   generateRunId,
   calculateDistance,
+  getPublicVisibilityFilter,
+  getVisibilityFilter,
+  isInPrivacyZone,
+  removePrivacyZonePoints,
+  getOutsidePrivacyZonesExpression,
+  getActivityTypeFilter,
+  isWideBounds,
+  getLocationFilter,
+  getRouteIntersectsFilter,
+  getMercatorCellProjection,
+  parseIntegerRanges,
+  getTimeWindowFilter,
 };
@@ -0,0 +1,203 @@
+/**
+ * Mapbox Vector Tile encoder
+ * Minimal protobuf writer for version 2.1 of the spec: point and line layers with properties
+ */
+
+const WIRE_TYPES = {
+  VARINT: 0,
+  FIXED64: 1,
+  LENGTH_DELIMITED: 2,
+};
+
+const GEOMETRY_TYPES = {
+  Point: 1,
+  LineString: 2,
+};
+
+const COMMANDS = {
+  MOVE_TO: 1,
+  LINE_TO: 2,
+};
+
+/**
+ * Append a protobuf varint
+ * Uses arithmetic rather than bit operators so values above 2^31 survive
+ * @param {Array} bytes - Output bytes
+ * @param {number} value - Non-negative integer
+ */
+const writeVarint = (bytes, value) => {
+  let remaining = value;
+  while (remaining >= 0x80) {
+    bytes.push((remaining % 0x80) | 0x80);
+    remaining = Math.floor(remaining / 0x80);
+  }
+  bytes.push(remaining);
+};
+
+const writeTag = (bytes, field, wireType) => writeVarint(bytes, field * 8 + wireType);
+
+/**
+ * Append a length-delimited field (string, bytes or embedded message)
+ * @param {Array} bytes - Output bytes
+ * @param {number} field - Field number
+ * @param {Array|Buffer} payload - Field content
+ */
+const writeMessage = (bytes, field, payload) => {
+  writeTag(bytes, field, WIRE_TYPES.LENGTH_DELIMITED);
+  writeVarint(bytes, payload.length);
+  for (const byte of payload) bytes.push(byte);
+};
+
+const writeString = (bytes, field, value) => writeMessage(bytes, field, Buffer.from(String(value), 'utf8'));
+
+const writePacked = (bytes, field, values) => {
+  const packed = [];
+  values.forEach((value) => writeVarint(packed, value));
+  writeMessage(bytes, field, packed);
+};
+
+// Zigzag maps signed to unsigned so small negative deltas stay short
+const zigzag = (value) => (value << 1) ^ (value >> 31);
+
+/**
+ * Encode a property value as a Tile.Value message
+ * @param {string|number|boolean} value - Property value
+ * @returns {Array} Encoded bytes
+ */
+const encodeValue = (value) => {
+  const bytes = [];
+
+  if (typeof value === 'boolean') {
+    writeTag(bytes, 7, WIRE_TYPES.VARINT);
+    writeVarint(bytes, value ? 1 : 0);
+  } else if (typeof value === 'number' && Number.isSafeInteger(value) && value >= 0) {
+    writeTag(bytes, 5, WIRE_TYPES.VARINT);
+    writeVarint(bytes, value);
+  } else if (typeof value === 'number') {
+    const double = Buffer.alloc(8);
+    double.writeDoubleLE(value);
+    writeTag(bytes, 3, WIRE_TYPES.FIXED64);
+    for (const byte of double) bytes.push(byte);
+  } else {
+    writeString(bytes, 1, value);
+  }
+
+  return bytes;
+};
+
+/**
+ * Encode feature geometry as MVT commands with zigzag-encoded deltas
+ * @param {string} type - Point or LineString
+ * @param {Array} geometry - Points [{ x, y }] or lines [[{ x, y }, ...], ...] in tile units
+ * @returns {Array} Command integers
+ */
+const encodeGeometry = (type, geometry) => {
+  const commands = [];
+  let cursorX = 0;
+  let cursorY = 0;
+
+  const command = (id, count) => commands.push((id & 0x7) | (count << 3));
+  const moveCursor = (point) => {
+    commands.push(zigzag(point.x - cursorX), zigzag(point.y - cursorY));
+    cursorX = point.x;
+    cursorY = point.y;
+  };
+
+  if (type === 'Point') {
+    command(COMMANDS.MOVE_TO, geometry.length);
+    geometry.forEach(moveCursor);
+    return commands;
+  }
+
+  for (const line of geometry) {
+    command(COMMANDS.MOVE_TO, 1);
+    moveCursor(line[0]);
+    command(COMMANDS.LINE_TO, line.length - 1);
+    line.slice(1).forEach(moveCursor);
+  }
+
+  return commands;
+};
+
+/**
+ * Encode one layer as a Tile.Layer message
+ * Property keys and values are de-duplicated into the layer's tables as the spec requires
+ * @param {Object} layer - { name, extent, features: [{ id, type, geometry, properties }] }
+ * @returns {Array} Encoded bytes
+ */
+const encodeLayer = (layer) => {
+  const keys = [];
+  const keyIndex = new Map();
+  const values = [];
+  const valueIndex = new Map();
+  const bytes = [];
+
+  writeTag(bytes, 15, WIRE_TYPES.VARINT);
+  writeVarint(bytes, 2);
+  writeString(bytes, 1, layer.name);
+
+  for (const feature of layer.features) {
+    const tags = [];
+
+    for (const [key, value] of Object.entries(feature.properties || {})) {
+      if (value === null || value === undefined) continue;
+
+      if (!keyIndex.has(key)) {
+        keyIndex.set(key, keys.length);
+        keys.push(key);
+      }
+
+      const valueKey = `${typeof value}:${value}`;
+      if (!valueIndex.has(valueKey)) {
+        valueIndex.set(valueKey, values.length);
+        values.push(value);
+      }
+
+      tags.push(keyIndex.get(key), valueIndex.get(valueKey));
+    }
+
+    const featureBytes = [];
+    if (Number.isSafeInteger(feature.id) && feature.id >= 0) {
+      writeTag(featureBytes, 1, WIRE_TYPES.VARINT);
+      writeVarint(featureBytes, feature.id);
+    }
+    if (tags.length > 0) {
+      writePacked(featureBytes, 2, tags);
+    }
+    writeTag(featureBytes, 3, WIRE_TYPES.VARINT);
+    writeVarint(featureBytes, GEOMETRY_TYPES[feature.type]);
+    writePacked(featureBytes, 4, encodeGeometry(feature.type, feature.geometry));
+
+    writeMessage(bytes, 2, featureBytes);
+  }
+
+  keys.forEach((key) => writeString(bytes, 3, key));
+  values.forEach((value) => writeMessage(bytes, 4, encodeValue(value)));
+
+  writeTag(bytes, 5, WIRE_TYPES.VARINT);
+  writeVarint(bytes, layer.extent);
+
+  return bytes;
+};
+
+/**
+ * Encode a vector tile
+ * Layers without features are left out
+ * @param {Array} layers - [{ name, extent, features }]
+ * @returns {Buffer} Protobuf-encoded tile (empty when no layer has features)
+ */
+const encodeTile = (layers) => {
+  const bytes = [];
+
+  for (const layer of layers) {
+    if (layer.features.length > 0) {
+      writeMessage(bytes, 3, encodeLayer(layer));
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+module.exports = {
+  encodeTile,
+};
@@ -0,0 +1,102 @@
+/**
+ * Public profile of a user, and of their routes, as other users see it
+ * The profile is the handle (username), display name, avatar (profilePicture) and run color.
+ * Every cross-user response (community runs, live runners, tiles, territory, leaderboards,
+ * follows) shapes its users and route points through here, so fields like email, privacy
+ * zones or per-point heart rate, cadence and power are never sent to anyone but their owner
+ */
+
+const DEFAULT_USERNAME = 'Runner';
+const DEFAULT_RUN_COLOR = '#FF6B6B';
+
+// The only user fields other users may see
+const PUBLIC_PROFILE_FIELDS = ['username', 'displayName', 'profilePicture', 'runColor'];
+
+// Field list for populate() and select()
+const PUBLIC_PROFILE_SELECT = PUBLIC_PROFILE_FIELDS.join(' ');
+
+// The only route point fields other users may see; accuracy and sensor samples stay private
+const PUBLIC_ROUTE_POINT_FIELDS = ['latitude', 'longitude', 'timestamp', 'altitude'];
+
+// Field list for select() on runs
+const PUBLIC_ROUTE_SELECT = PUBLIC_ROUTE_POINT_FIELDS.map((field) => `route.${field}`).join(' ');
+
+/**
+ * Public profile of a user document
+ * Only whitelisted fields are copied, so extra populated fields cannot slip through
+ * @param {Object|ObjectId} user - Populated user, or a bare user ID
+ * @returns {Object} { userId, username, displayName, profilePicture, runColor }
+ */
+const toPublicProfile = (user) => {
+  const profile = user?._id ? user : { _id: user };
+
+  return {
+    userId: profile._id ?? null,
+    username: profile.username || DEFAULT_USERNAME,
+    // Users without a display name are shown by their handle
+    displayName: profile.displayName || profile.username || DEFAULT_USERNAME,
+    profilePicture: profile.profilePicture || null,
+    runColor: profile.runColor || DEFAULT_RUN_COLOR,
+  };
+};
+
+/**
+ * Aggregation $lookup that joins only the public profile fields of a user
+ * @param {string} localField - Field holding the user ID
+ * @param {string} as - Output array field
+ * @returns {Object} $lookup stage
+ */
+const lookupPublicProfile = (localField, as) => ({
+  $lookup: {
+    from: 'users',
+    let: { userId: `$${localField}` },
+    pipeline: [
+      { $match: { $expr: { $eq: ['$_id', '$$userId'] } } },
+      { $project: Object.fromEntries(PUBLIC_PROFILE_FIELDS.map((field) => [field, 1])) },
+    ],
+    as,
+  },
+});
+
+/**
+ * Aggregation $project fields for the public profile, matching toPublicProfile
+ * @param {string} userIdPath - Path to the user ID, e.g. '$_id'
+ * @param {string} profilePath - Path to the looked-up user, e.g. '$user'
+ * @returns {Object} { userId, username, displayName, profilePicture, runColor } expressions
+ */
+const projectPublicProfile = (userIdPath, profilePath) => ({
+  userId: userIdPath,
+  username: { $ifNull: [`${profilePath}.username`, DEFAULT_USERNAME] },
+  displayName: {
+    $ifNull: [`${profilePath}.displayName`, { $ifNull: [`${profilePath}.username`, DEFAULT_USERNAME] }],
+  },
+  profilePicture: { $ifNull: [`${profilePath}.profilePicture`, null] },
+  runColor: { $ifNull: [`${profilePath}.runColor`, DEFAULT_RUN_COLOR] },
+});
+
+/**
+ * Route as other users see it
+ * Like toPublicProfile, only whitelisted fields are copied
+ * @param {Array} route - Route points
+ * @returns {Array} Points as { latitude, longitude, timestamp, altitude }
+ */
+const toPublicRoute = (route) => {
+  if (!route) return route;
+
+  return route.map((point) => Object.fromEntries(
+    PUBLIC_ROUTE_POINT_FIELDS.map((field) => [field, point[field] ?? null])
+  ));
+};
+
+module.exports = {
+  DEFAULT_USERNAME,
+  DEFAULT_RUN_COLOR,
+  PUBLIC_PROFILE_FIELDS,
+  PUBLIC_PROFILE_SELECT,
+  PUBLIC_ROUTE_POINT_FIELDS,
+  PUBLIC_ROUTE_SELECT,
+  toPublicProfile,
+  toPublicRoute,
+  lookupPublicProfile,
+  projectPublicProfile,
+};
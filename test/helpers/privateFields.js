@@ -0,0 +1,40 @@
+/**
+ * Assertions for payloads sent to users other than the owner
+ */
+
+const assert = require('node:assert/strict');
+
+// Fields that must never reach another user, at any depth
+const PRIVATE_FIELDS = ['email', 'privacyZones', 'heartRate', 'cadence', 'power', 'accuracy'];
+
+/**
+ * Fail when a payload holds a private field or one of the given private values
+ * @param {*} payload - Response data as it would be serialized
+ * @param {Array} privateValues - Strings that must not appear anywhere, e.g. the owner's email
+ */
+const assertNoPrivateFields = (payload, privateValues = []) => {
+  const json = JSON.stringify(payload);
+
+  const visit = (value, path) => {
+    if (Array.isArray(value)) {
+      value.forEach((item, index) => visit(item, `${path}[${index}]`));
+      return;
+    }
+    if (value && typeof value === 'object') {
+      for (const [key, child] of Object.entries(value)) {
+        assert.ok(!PRIVATE_FIELDS.includes(key), `${path}.${key} must not be sent to other users`);
+        visit(child, `${path}.${key}`);
+      }
+    }
+  };
+  visit(JSON.parse(json), 'payload');
+
+  for (const privateValue of privateValues) {
+    assert.ok(!json.includes(privateValue), `payload must not contain ${privateValue}`);
+  }
+};
+
+module.exports = {
+  PRIVATE_FIELDS,
+  assertNoPrivateFields,
+};
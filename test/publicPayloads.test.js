@@ -0,0 +1,171 @@
+/**
+ * Payloads other users see, built from a real database
+ * Needs a MongoDB binary for mongodb-memory-server and fails when none can be downloaded
+ * or found; set MONGOMS_SYSTEM_BINARY to use an installed mongod
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const User = require('../src/models/User');
+const runService = require('../src/services/runService');
+const liveService = require('../src/services/liveService');
+const mapTileService = require('../src/services/mapTileService');
+const territoryService = require('../src/services/territoryService');
+const leaderboardService = require('../src/services/leaderboardService');
+const followService = require('../src/services/followService');
+const { LEADERBOARD_TYPES, RUN_VISIBILITY } = require('../src/utils/constants');
+const { PRIVATE_FIELDS, assertNoPrivateFields } = require('./helpers/privateFields');
+
+const OWNER_EMAIL = 'owner-private@example.com';
+const START = new Date(Date.now() - 2 * 60 * 60 * 1000);
+const BOUNDING_BOX = { minLat: 52.5, minLng: 13.38, maxLat: 52.55, maxLng: 13.43 };
+
+let mongod = null;
+let owner;
+let viewer;
+
+/**
+ * A 15-minute run heading north through Berlin with sensor samples on every point
+ */
+const buildRoute = () => Array.from({ length: 180 }, (_, index) => ({
+  latitude: 52.51 + index * 0.00014,
+  longitude: 13.405,
+  timestamp: new Date(START.getTime() + index * 5000).toISOString(),
+  altitude: 34,
+  accuracy: 4.8,
+  heartRate: 150,
+  cadence: 172,
+  power: 240,
+}));
+
+/**
+ * Slippy map tile containing a coordinate
+ */
+const tileFor = (latitude, longitude, z) => {
+  const n = Math.pow(2, z);
+  const latRad = (latitude * Math.PI) / 180;
+
+  return {
+    z,
+    x: Math.floor(((longitude + 180) / 360) * n),
+    y: Math.floor(((1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2) * n),
+  };
+};
+
+before(async () => {
+  try {
+    const { MongoMemoryServer } = require('mongodb-memory-server');
+    mongod = await MongoMemoryServer.create();
+  } catch (error) {
+    throw new Error(`MongoDB could not start (set MONGOMS_SYSTEM_BINARY to an installed mongod): ${error.message}`);
+  }
+
+  await mongoose.connect(mongod.getUri());
+  await Promise.all(Object.values(mongoose.models).map((model) => model.init()));
+
+  // The privacy zone is away from the route, so the whole route is shared
+  owner = await User.create({
+    email: OWNER_EMAIL,
+    username: 'Owner',
+    runColor: '#4ECDC4',
+    privacyZones: [{ name: 'Home', latitude: 52.4, longitude: 13.2, radius: 500 }],
+  });
+  viewer = await User.create({ email: 'viewer@example.com', username: 'Viewer' });
+
+  await runService.createRun(owner._id, {
+    startTime: START.toISOString(),
+    endTime: new Date(START.getTime() + 179 * 5000).toISOString(),
+    visibility: RUN_VISIBILITY.PUBLIC,
+    route: buildRoute(),
+  });
+
+  await liveService.updatePosition(owner._id, {
+    latitude: 52.52,
+    longitude: 13.405,
+    startedAt: new Date(Date.now() - 60 * 1000).toISOString(),
+    distance: 180,
+  });
+}, { timeout: 120000 });
+
+after(async () => {
+  await mongoose.disconnect();
+  if (mongod) {
+    await mongod.stop();
+  }
+});
+
+describe('payloads other users see', () => {
+  it('community runs', async () => {
+    const { runs } = await runService.getCommunityRuns({ viewerId: viewer._id });
+
+    assert.equal(runs.length, 1);
+    assert.equal(runs[0].username, 'Owner');
+    assert.ok(runs[0].route.length > 0);
+    assertNoPrivateFields(runs, [OWNER_EMAIL]);
+  });
+
+  it('live runners', async () => {
+    const { runners } = await liveService.getActiveRunners(viewer._id);
+
+    assert.equal(runners.length, 1);
+    assertNoPrivateFields(runners, [OWNER_EMAIL]);
+  });
+
+  it('leaderboard snapshot pages and positions', async () => {
+    const page = await leaderboardService.getLeaderboard(LEADERBOARD_TYPES.DISTANCE, {});
+    const position = await leaderboardService.getLeaderboardPosition(LEADERBOARD_TYPES.DISTANCE, {
+      viewerId: owner._id,
+    });
+
+    assert.equal(page.leaderboard.length, 1);
+    assert.equal(position.rank, 1);
+    assertNoPrivateFields([page, position], [OWNER_EMAIL]);
+  });
+
+  it('live leaderboard aggregation', async () => {
+    const page = await leaderboardService.getLeaderboard(LEADERBOARD_TYPES.DISTANCE, {
+      boundingBox: BOUNDING_BOX,
+    });
+
+    assert.equal(page.leaderboard.length, 1);
+    assert.equal(page.leaderboard[0].username, 'Owner');
+    assertNoPrivateFields(page, [OWNER_EMAIL]);
+  });
+
+  it('territory tiles and leaderboard', async () => {
+    const tiles = await territoryService.getTilesInBoundingBox(BOUNDING_BOX);
+    const leaderboard = await territoryService.getTerritoryLeaderboard({});
+
+    assert.ok(tiles.count > 0);
+    assertNoPrivateFields([tiles, leaderboard], [OWNER_EMAIL]);
+  });
+
+  it('vector tiles', async () => {
+    const { z, x, y } = tileFor(52.52, 13.405, 14);
+    const encoded = await mapTileService.getTile(z, x, y);
+
+    assert.ok(encoded.length > 0);
+    for (const value of [OWNER_EMAIL, ...PRIVATE_FIELDS]) {
+      assert.ok(!encoded.includes(value), `tile must not contain ${value}`);
+    }
+  });
+
+  it('follow requests and lists', async () => {
+    await followService.follow(viewer._id, owner._id);
+
+    const requests = await followService.listConnections(owner._id, 'requests');
+    const sent = await followService.listConnections(viewer._id, 'sent');
+    const followers = await followService.listConnections(owner._id, 'followers');
+    await followService.acceptRequest(owner._id, viewer._id);
+    const following = await followService.listConnections(viewer._id, 'following');
+
+    assert.equal(requests.users.length, 1);
+    assert.equal(sent.users.length, 1);
+    assert.equal(sent.users[0].username, 'Owner');
+    assert.equal(followers.users.length, 0);
+    assert.equal(following.users.length, 1);
+    assertNoPrivateFields([requests, sent, following], [OWNER_EMAIL]);
+  });
+});
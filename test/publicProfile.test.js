@@ -0,0 +1,173 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const {
+  DEFAULT_USERNAME,
+  DEFAULT_RUN_COLOR,
+  PUBLIC_PROFILE_FIELDS,
+  PUBLIC_ROUTE_SELECT,
+  toPublicProfile,
+  toPublicRoute,
+  lookupPublicProfile,
+  projectPublicProfile,
+} = require('../src/utils/publicProfile');
+const liveService = require('../src/services/liveService');
+const mapTileService = require('../src/services/mapTileService');
+const territoryService = require('../src/services/territoryService');
+const { assertNoPrivateFields } = require('./helpers/privateFields');
+
+const userId = new mongoose.Types.ObjectId();
+
+const user = {
+  _id: userId,
+  email: 'runner@example.com',
+  username: 'jane_runs',
+  displayName: 'Jane Runner',
+  profilePicture: 'https://example.com/jane.png',
+  runColor: '#4ECDC4',
+  privacyZones: [{ name: 'Home', latitude: 52.5, longitude: 13.4, radius: 200 }],
+  metadata: { totalRuns: 12 },
+};
+
+const sensorPoint = {
+  latitude: 52.52,
+  longitude: 13.405,
+  timestamp: new Date('2026-01-30T08:00:00Z'),
+  altitude: 34,
+  accuracy: 4.8,
+  heartRate: 152,
+  cadence: 170,
+  power: 245,
+};
+
+describe('toPublicProfile', () => {
+  it('copies only the handle, display name, avatar and run color of a populated user', () => {
+    const profile = toPublicProfile(user);
+
+    assert.deepEqual(profile, {
+      userId,
+      username: 'jane_runs',
+      displayName: 'Jane Runner',
+      profilePicture: 'https://example.com/jane.png',
+      runColor: '#4ECDC4',
+    });
+    assertNoPrivateFields(profile, [user.email]);
+  });
+
+  it('fills in defaults for a bare user ID', () => {
+    assert.deepEqual(toPublicProfile(userId), {
+      userId,
+      username: DEFAULT_USERNAME,
+      displayName: DEFAULT_USERNAME,
+      profilePicture: null,
+      runColor: DEFAULT_RUN_COLOR,
+    });
+  });
+
+  it('shows users without a display name by their handle', () => {
+    assert.equal(toPublicProfile({ ...user, displayName: null }).displayName, 'jane_runs');
+  });
+
+  it('handles a missing user', () => {
+    assert.equal(toPublicProfile(null).userId, null);
+  });
+});
+
+describe('toPublicRoute', () => {
+  it('keeps position, time and altitude only', () => {
+    const [point] = toPublicRoute([sensorPoint]);
+
+    assert.deepEqual(point, {
+      latitude: 52.52,
+      longitude: 13.405,
+      timestamp: sensorPoint.timestamp,
+      altitude: 34,
+    });
+    assertNoPrivateFields(point);
+  });
+
+  it('matches the fields selected for other users', () => {
+    const selected = PUBLIC_ROUTE_SELECT.split(' ').map((field) => field.replace('route.', ''));
+
+    assert.deepEqual(Object.keys(toPublicRoute([sensorPoint])[0]), selected);
+  });
+});
+
+describe('lookupPublicProfile', () => {
+  it('projects only the public fields of the joined user', () => {
+    const { $lookup } = lookupPublicProfile('userId', 'user');
+    const projection = $lookup.pipeline.find((stage) => stage.$project).$project;
+
+    assert.equal($lookup.from, 'users');
+    assert.equal($lookup.as, 'user');
+    assert.deepEqual($lookup.let, { userId: '$userId' });
+    assert.deepEqual(Object.keys(projection).sort(), [...PUBLIC_PROFILE_FIELDS].sort());
+    assert.ok(Object.values(projection).every((value) => value === 1));
+  });
+});
+
+describe('projectPublicProfile', () => {
+  it('outputs the same fields as toPublicProfile', () => {
+    const projection = projectPublicProfile('$_id', '$user');
+
+    assert.deepEqual(Object.keys(projection).sort(), Object.keys(toPublicProfile(user)).sort());
+    assert.equal(projection.userId, '$_id');
+    assert.deepEqual(projection.username, { $ifNull: ['$user.username', DEFAULT_USERNAME] });
+    assert.deepEqual(projection.displayName, {
+      $ifNull: ['$user.displayName', { $ifNull: ['$user.username', DEFAULT_USERNAME] }],
+    });
+    assert.deepEqual(projection.runColor, { $ifNull: ['$user.runColor', DEFAULT_RUN_COLOR] });
+  });
+});
+
+describe('cross-user payload formatters', () => {
+  it('live sessions carry the public profile and a bare trail', () => {
+    const session = liveService.formatSession({
+      userId: user,
+      activityType: 'run',
+      visibility: 'public',
+      startedAt: new Date('2026-01-30T07:50:00Z'),
+      distance: 1800,
+      speed: 3.1,
+      heading: 90,
+      position: sensorPoint,
+      trail: [sensorPoint, sensorPoint],
+      lastUpdateAt: new Date('2026-01-30T08:00:00Z'),
+    });
+
+    assert.equal(session.displayName, 'Jane Runner');
+    assert.equal(session.trail.length, 2);
+    assertNoPrivateFields(session, [user.email]);
+  });
+
+  it('vector tile features carry the public profile', () => {
+    const properties = mapTileService.getFeatureProperties({
+      id: 'run_1',
+      userId: user,
+      activityType: 'run',
+      distance: 5012.4,
+      startTime: new Date('2026-01-30T07:50:00Z'),
+      route: [sensorPoint],
+    });
+
+    assert.equal(properties.userId, String(userId));
+    assertNoPrivateFields(properties, [user.email]);
+  });
+
+  it('territory tiles carry the owner\'s public profile', () => {
+    const tile = territoryService.formatTile({
+      tileId: '120:-34',
+      q: 120,
+      r: -34,
+      center: { type: 'Point', coordinates: [13.405, 52.52] },
+      ownerId: user,
+      runId: 'run_1',
+      capturedAt: new Date('2026-01-30T07:55:00Z'),
+      captureCount: 3,
+    });
+
+    assert.equal(tile.owner.displayName, 'Jane Runner');
+    assertNoPrivateFields(tile, [user.email]);
+  });
+});